@@ -0,0 +1,64 @@
+// client/plugins/precacheManifest.js
+// Build-only Vite plugin: turns the hand-written service worker (src/sw.js) into
+// dist/sw.js with the list of files to precache and a version stamped in front.
+// Every emitted chunk is listed (app shell, routes, the leaf-vision code, CSS) plus
+// the files in public/, so the app opens and scans with no network.
+// A new deploy changes the version, which changes sw.js and triggers the update prompt.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+function listFiles(dir, base = dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full, base);
+    return [path.relative(base, full).split(path.sep).join("/")];
+  });
+}
+
+export default function precacheManifest({ swSrc = "src/sw.js", swDest = "sw.js" } = {}) {
+  let config;
+
+  return {
+    name: "pestiscan-precache-manifest",
+    apply: "build",
+    enforce: "post",
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    generateBundle(_options, bundle) {
+      const base = config.base.endsWith("/") ? config.base : `${config.base}/`;
+      const hash = crypto.createHash("sha256");
+
+      const built = Object.values(bundle)
+        .filter((item) => !item.fileName.endsWith(".map"))
+        .sort((a, b) => a.fileName.localeCompare(b.fileName));
+      for (const item of built) {
+        hash.update(item.fileName);
+        hash.update(item.type === "chunk" ? item.code : item.source);
+      }
+
+      const publicFiles = listFiles(config.publicDir).filter((f) => f !== swDest);
+      for (const f of publicFiles) {
+        hash.update(f);
+        hash.update(fs.readFileSync(path.join(config.publicDir, f)));
+      }
+
+      const manifest = {
+        version: hash.digest("hex").slice(0, 12),
+        urls: [...new Set([...built.map((item) => item.fileName), ...publicFiles])].map((f) => `${base}${f}`),
+      };
+
+      const source = fs.readFileSync(path.resolve(config.root, swSrc), "utf8");
+      this.emitFile({
+        type: "asset",
+        fileName: swDest,
+        source: `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n\n${source}`,
+      });
+    },
+  };
+}
@@ -13,11 +13,22 @@ import PrivateRoute from "./PrivateRoute.jsx";
 import LandingPage from "./LandingPage.jsx";
 import Scan from "./Scan.jsx";
 import History from "./History.jsx";
+import SprayLog from "./SprayLog.jsx";
+import SprayWindow from "./SprayWindow.jsx";
 import Profile from "./Profile.jsx";
 import About from "./About.jsx";
 import Contact from "./Contact.jsx";
 import Login from "./Login.jsx";
 import Register from "./Register.jsx";
+import ForgotPassword from "./ForgotPassword.jsx";
+import ResetPassword from "./ResetPassword.jsx";
+import VerifyEmail from "./VerifyEmail.jsx";
+import Farmers from "./Farmers.jsx";
+import Users from "./Users.jsx";
+import { adoptQueuedScans, startScanSync, syncQueuedScans } from "./utils/scanQueue.js";
+import { declineGuestMigration, GUEST_KEY, migrateGuestScans, pendingGuestScans } from "./utils/scanHistory.js";
+import { registerServiceWorker } from "./utils/serviceWorker.js";
+import { can } from "./utils/roles.js";
 
 /* ---------------- Menu Dropdown Navbar (NON-OVERLAY) ---------------- */
 /* Key change: menu is NOT absolute anymore, so it never covers the hero.
@@ -37,6 +48,142 @@ function useClickOutside(ref, onOutside) {
   }, [ref, onOutside]);
 }
 
+/* Sends scans captured offline once there's signal (and right after logging in) */
+function ScanSync() {
+  const { user, getToken, historyKey } = useAuth();
+  const owner = historyKey();
+  const userId = user?.id;
+  const authRef = useRef({ getToken, owner });
+
+  useEffect(() => {
+    authRef.current = { getToken, owner };
+    if (userId && navigator.onLine) {
+      getToken()
+        .then((token) => syncQueuedScans({ token, owner }))
+        .catch(() => {});
+    }
+  }, [userId, owner, getToken]);
+
+  // the access token is renewed before each run, so a long-idle tab still sends
+  useEffect(
+    () =>
+      startScanSync(async () => ({
+        token: await authRef.current.getToken(),
+        owner: authRef.current.owner,
+      })),
+    []
+  );
+
+  return null;
+}
+
+/* After login / register: offer once to move this phone's guest scans into the account */
+function GuestScansPrompt() {
+  const { user, authFetch, historyKey } = useAuth();
+  const [count, setCount] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    setMessage("");
+    setCount(user ? pendingGuestScans(user.id).length : 0);
+  }, [user]);
+
+  if (!user || (!count && !message)) return null;
+
+  async function moveScans() {
+    setBusy(true);
+    setMessage("");
+    const send = async (scan) => {
+      const res = await authFetch("/api/scans", { method: "POST", body: JSON.stringify(scan) });
+      return res.ok;
+    };
+    const { moved, failed } = await migrateGuestScans(user.id, historyKey(), send);
+    // photos still waiting to be sent go to the account too
+    await adoptQueuedScans(GUEST_KEY, historyKey()).catch(() => 0);
+    setBusy(false);
+    setCount(failed);
+    setMessage(
+      failed
+        ? `Moved ${moved} scan${moved === 1 ? "" : "s"}; ${failed} couldn’t be sent. Try again when you have signal.`
+        : `Moved ${moved} scan${moved === 1 ? "" : "s"} into your account.`
+    );
+  }
+
+  function notNow() {
+    declineGuestMigration(user.id);
+    setCount(0);
+    setMessage("");
+  }
+
+  return (
+    <div className="mx-auto max-w-6xl px-4 pt-4">
+      <div className="flex flex-wrap items-center gap-3 rounded-2xl border border-black/10 bg-white/90 px-4 py-3 text-sm text-[#0f3d2a] shadow-sm">
+        <div className="flex-1 min-w-[220px] font-semibold">
+          {message ||
+            `This phone has ${count} scan${count === 1 ? "" : "s"} saved without an account. Add them to your history?`}
+        </div>
+        {count ? (
+          <>
+            <button
+              onClick={notNow}
+              disabled={busy}
+              className="rounded-xl px-3 py-2 font-semibold text-[#0f3d2a]/70 hover:bg-black/5 transition"
+            >
+              No, keep them separate
+            </button>
+            <button
+              onClick={moveScans}
+              disabled={busy}
+              className="rounded-xl px-3 py-2 font-extrabold bg-[rgba(38,199,102,0.9)] text-white hover:bg-[rgba(38,199,102,1)] transition"
+            >
+              {busy ? "Moving…" : "Add to my account"}
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={() => setMessage("")}
+            className="rounded-xl px-3 py-2 font-semibold text-[#0f3d2a]/70 hover:bg-black/5 transition"
+          >
+            OK
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* "New version available" banner once a deployed update is installed */
+function UpdatePrompt() {
+  const [apply, setApply] = useState(null);
+
+  useEffect(() => {
+    registerServiceWorker((applyUpdate) => setApply(() => applyUpdate));
+  }, []);
+
+  if (!apply) return null;
+
+  return (
+    <div className="fixed inset-x-0 bottom-4 z-50 px-4">
+      <div className="mx-auto flex max-w-md items-center gap-3 rounded-2xl border border-black/10 bg-white/95 px-4 py-3 text-sm text-[#0f3d2a] shadow-lg backdrop-blur">
+        <div className="flex-1 font-semibold">A new version of PestiScan is ready.</div>
+        <button
+          onClick={() => setApply(null)}
+          className="rounded-xl px-3 py-2 font-semibold text-[#0f3d2a]/70 hover:bg-black/5 transition"
+        >
+          Later
+        </button>
+        <button
+          onClick={apply}
+          className="rounded-xl px-3 py-2 font-extrabold bg-[rgba(38,199,102,0.9)] text-white hover:bg-[rgba(38,199,102,1)] transition"
+        >
+          Update
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function Navbar() {
   const { user, logout } = useAuth();
   const location = useLocation();
@@ -54,11 +201,16 @@ function Navbar() {
       [
         { to: "/", label: "Home" },
         { to: "/scan", label: "Scan" },
-        { to: "/history", label: "History", private: true },
+        { to: "/spray-log", label: "Spray log" },
+        { to: "/spray-window", label: "When to spray" },
+        { to: "/history", label: "History" },
         { to: "/profile", label: "Profile", private: true },
+        // officers and admins (see utils/roles.js)
+        { to: "/farmers", label: "Farmers", permission: "farmers:read" },
+        { to: "/admin/users", label: "Users", permission: "users:manage" },
         { to: "/about", label: "About" },
         { to: "/contact", label: "Contact" },
-      ].filter((l) => (l.private ? user : true)),
+      ].filter((l) => (l.permission ? can(user, l.permission) : l.private ? user : true)),
     [user]
   );
 
@@ -192,27 +344,44 @@ export default function App() {
           </div>
 
           <Navbar />
+          <ScanSync />
+          <GuestScansPrompt />
+          <UpdatePrompt />
 
           <div className="text-[#0f3d2a]">
             <div className="mx-auto max-w-6xl px-4 py-6">
               <Routes>
                 <Route path="/" element={<LandingPage />} />
                 <Route path="/scan" element={<Scan />} />
+                <Route path="/spray-log" element={<SprayLog />} />
+                <Route path="/spray-window" element={<SprayWindow />} />
+
+                {/* guests see the scans saved on this device, logged-in users their account's */}
+                <Route path="/history" element={<History />} />
 
                 <Route
-                  path="/history"
+                  path="/profile"
                   element={
                     <PrivateRoute>
-                      <History />
+                      <Profile />
                     </PrivateRoute>
                   }
                 />
 
+                {/* extension officers, cooperative admins and system admins */}
                 <Route
-                  path="/profile"
+                  path="/farmers"
                   element={
-                    <PrivateRoute>
-                      <Profile />
+                    <PrivateRoute permission="farmers:read">
+                      <Farmers />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/users"
+                  element={
+                    <PrivateRoute permission="users:manage">
+                      <Users />
                     </PrivateRoute>
                   }
                 />
@@ -221,6 +390,10 @@ export default function App() {
                 <Route path="/contact" element={<Contact />} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                {/* opened from links in account emails */}
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
               </Routes>
             </div>
           </div>
@@ -1,10 +1,32 @@
-import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
 import { jwtDecode } from "jwt-decode";
+import { authFetch as fetchWithToken } from "../utils/http.js";
 
 const AuthCtx = createContext();
 
+// The access token (ps_token) is short-lived; the refresh token (ps_refresh) gets a new
+// one from the server and is replaced each time. Both are shared by all tabs.
+const TOKEN_KEY = "ps_token";
+const REFRESH_KEY = "ps_refresh";
+const REFRESH_EARLY_MS = 60 * 1000; // renew this long before the access token runs out
+
+function expiresAt(token) {
+  try {
+    const { exp } = jwtDecode(token);
+    return exp ? exp * 1000 : 0;
+  } catch {
+    return 0;
+  }
+}
+
 export function AuthProvider({ children }) {
-  const [token, setToken] = useState(() => localStorage.getItem("ps_token") || "");
+  // a token saved without a refresh token is from before sessions: it can't be renewed
+  const [token, setToken] = useState(() =>
+    localStorage.getItem(REFRESH_KEY) ? localStorage.getItem(TOKEN_KEY) || "" : ""
+  );
+  const [endedMessage, setEndedMessage] = useState("");
+  const tokenRef = useRef(token); // latest token, for calls already in flight
+  const refreshing = useRef(null);
 
   // decode JWT to get user info
   const user = useMemo(() => {
@@ -16,23 +38,155 @@ export function AuthProvider({ children }) {
     }
   }, [token]);
 
-  function login(newToken) {
-    setToken(newToken);
-    localStorage.setItem("ps_token", newToken);
-  }
+  const applyToken = useCallback((next) => {
+    tokenRef.current = next;
+    setToken(next);
+  }, []);
+
+  const login = useCallback(
+    (newToken, newRefreshToken) => {
+      localStorage.setItem(TOKEN_KEY, newToken);
+      if (newRefreshToken) localStorage.setItem(REFRESH_KEY, newRefreshToken);
+      setEndedMessage("");
+      applyToken(newToken);
+    },
+    [applyToken]
+  );
+
+  const clear = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_KEY);
+    applyToken("");
+  }, [applyToken]);
+
+  /**
+   * Swap the refresh token for a new access token (one request at a time).
+   * Resolves to the token to use: "" once the session was ended on the server.
+   * Offline or a server error keeps the current one, so the app still works offline.
+   */
+  const refresh = useCallback(() => {
+    if (!refreshing.current) {
+      refreshing.current = (async () => {
+        const sent = localStorage.getItem(REFRESH_KEY);
+        if (!sent) {
+          clear();
+          return "";
+        }
+        let res;
+        try {
+          res = await fetch("/api/auth/refresh", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ refreshToken: sent }),
+          });
+        } catch {
+          return tokenRef.current;
+        }
+        const data = await res.json().catch(() => null);
+        if (res.ok && data?.token) {
+          login(data.token, data.refreshToken);
+          return data.token;
+        }
+        if (res.status === 400 || res.status === 401) {
+          // another tab may have refreshed with the same token a moment earlier
+          const stored = localStorage.getItem(REFRESH_KEY);
+          if (stored && stored !== sent) {
+            const current = localStorage.getItem(TOKEN_KEY) || "";
+            applyToken(current);
+            return current;
+          }
+          clear();
+          setEndedMessage("You were logged out on this device. Please log in again.");
+          return "";
+        }
+        return tokenRef.current;
+      })().finally(() => {
+        refreshing.current = null;
+      });
+    }
+    return refreshing.current;
+  }, [clear, login, applyToken]);
+
+  /**
+   * A usable access token ("" for guests), renewed first if it's about to run out.
+   */
+  const getToken = useCallback(async () => {
+    const current = tokenRef.current;
+    if (!current || expiresAt(current) - Date.now() > REFRESH_EARLY_MS) return current;
+    return refresh();
+  }, [refresh]);
+
+  /**
+   * fetch() with the access token. A 401 gets one refresh and one retry; if the
+   * session was ended, the app is logged out and the 401 response returned.
+   */
+  const authFetch = useCallback(
+    async (url, options = {}) => {
+      const used = await getToken();
+      const res = await fetchWithToken(used, url, options);
+      if (res.status !== 401 || !used) return res;
+      const next = await refresh();
+      return next && next !== used ? fetchWithToken(next, url, options) : res;
+    },
+    [getToken, refresh]
+  );
 
   function logout() {
-    setToken("");
-    localStorage.removeItem("ps_token");
+    const refreshToken = localStorage.getItem(REFRESH_KEY);
+    if (refreshToken) {
+      // best effort: offline, the session just expires on its own
+      fetch("/api/auth/logout", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      }).catch(() => {});
+    }
+    clear();
   }
 
+  // ends the session on every device, this one included; false if the server couldn't be reached
+  async function logoutAll() {
+    try {
+      const res = await authFetch("/api/auth/logout-all", { method: "POST" });
+      if (!res.ok && res.status !== 401) return false;
+    } catch {
+      return false;
+    }
+    clear();
+    return true;
+  }
+
+  // renew shortly before the access token runs out (right away if it already has),
+  // and again when the connection comes back
+  useEffect(() => {
+    if (!token) return undefined;
+    const timer = setTimeout(refresh, Math.max(0, expiresAt(token) - Date.now() - REFRESH_EARLY_MS));
+    const onOnline = () => getToken();
+    window.addEventListener("online", onOnline);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener("online", onOnline);
+    };
+  }, [token, refresh, getToken]);
+
+  // login, logout or a refresh in another tab
+  useEffect(() => {
+    function onStorage(e) {
+      if (e.key === TOKEN_KEY || e.key === null) applyToken(localStorage.getItem(TOKEN_KEY) || "");
+    }
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [applyToken]);
+
   // unique key for storing history per user
   function historyKey() {
     return user ? `history_${user.id}` : "history_guest";
   }
 
   return (
-    <AuthCtx.Provider value={{ token, user, login, logout, historyKey }}>
+    <AuthCtx.Provider
+      value={{ token, user, login, logout, logoutAll, getToken, refresh, authFetch, endedMessage, historyKey }}
+    >
       {children}
     </AuthCtx.Provider>
   );
@@ -0,0 +1,158 @@
+import { useEffect, useMemo, useState } from "react";
+import { useAuth } from "./AuthContext.jsx";
+import { roleOf } from "./utils/roles.js";
+
+function formatDate(iso) {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString();
+}
+
+function riskText(result = {}) {
+  const pct = Number(result.riskPercent);
+  const level = result.level || "—";
+  return Number.isFinite(pct) ? `${Math.round(pct)}% · ${level}` : level;
+}
+
+/* Extension officers: the farmers assigned to them. Cooperative admins: their cooperative.
+   Scans are read-only here; farmers edit them in their own History. */
+export default function Farmers() {
+  const { user, authFetch } = useAuth();
+  const [farmers, setFarmers] = useState(null);
+  const [query, setQuery] = useState("");
+  const [selectedId, setSelectedId] = useState("");
+  const [scans, setScans] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    authFetch("/api/farmers")
+      .then(async (res) => {
+        const data = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(data?.error || "Couldn’t load your farmers.");
+        if (alive) setFarmers(Array.isArray(data?.items) ? data.items : []);
+      })
+      .catch((err) => alive && setError(err.message || "Couldn’t load your farmers."));
+    return () => {
+      alive = false;
+    };
+  }, [authFetch]);
+
+  useEffect(() => {
+    if (!selectedId) return undefined;
+    let alive = true;
+    setScans(null);
+    authFetch(`/api/farmers/${encodeURIComponent(selectedId)}/scans`)
+      .then(async (res) => {
+        const data = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(data?.error || "Couldn’t load this farmer’s scans.");
+        if (alive) setScans(Array.isArray(data?.items) ? data.items : []);
+      })
+      .catch((err) => {
+        if (!alive) return;
+        setScans([]);
+        setError(err.message || "Couldn’t load this farmer’s scans.");
+      });
+    return () => {
+      alive = false;
+    };
+  }, [authFetch, selectedId]);
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return (farmers || []).filter(
+      (f) => !q || [f.name, f.username, f.email, f.cooperative].some((v) => String(v || "").toLowerCase().includes(q))
+    );
+  }, [farmers, query]);
+
+  const selected = (farmers || []).find((f) => f.id === selectedId) || null;
+  const intro =
+    roleOf(user) === "officer"
+      ? "Farmers assigned to you. Open one to see their saved scans."
+      : "Farmers you can follow. Open one to see their saved scans.";
+
+  return (
+    <div className="ps-page">
+      <div className="mb-5 md:mb-6">
+        <h1 className="text-2xl md:text-3xl font-extrabold tracking-tight text-emerald-950">Farmers</h1>
+        <p className="mt-1 ps-muted">{intro}</p>
+      </div>
+
+      {error ? (
+        <div className="mb-5 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">{error}</div>
+      ) : null}
+
+      <div className="grid gap-6 md:grid-cols-[minmax(0,1fr)_minmax(0,1.6fr)]">
+        <div className="ps-card">
+          <input
+            className="ps-input"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search name, email, cooperative…"
+          />
+
+          <div className="mt-4 space-y-2">
+            {farmers === null && !error ? <div className="text-sm ps-muted">Loading…</div> : null}
+            {farmers && !visible.length ? (
+              <div className="text-sm ps-muted">
+                {farmers.length ? "No farmer matches that search." : "No farmers are assigned to you yet."}
+              </div>
+            ) : null}
+            {visible.map((f) => (
+              <button
+                key={f.id}
+                onClick={() => {
+                  setError("");
+                  setSelectedId(f.id);
+                }}
+                className={[
+                  "block w-full text-left rounded-2xl border px-4 py-3 transition",
+                  f.id === selectedId
+                    ? "border-emerald-300 bg-emerald-50"
+                    : "border-emerald-200 bg-white/60 hover:bg-white",
+                ].join(" ")}
+              >
+                <div className="text-sm font-extrabold text-emerald-950">{f.name || f.username}</div>
+                <div className="mt-0.5 text-xs text-emerald-950/60">
+                  {f.cooperative ? `${f.cooperative} · ` : ""}
+                  {f.scanCount} scan{f.scanCount === 1 ? "" : "s"} · last {formatDate(f.lastScanAt)}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="ps-card">
+          {!selected ? (
+            <div className="text-sm ps-muted">Choose a farmer to see their scans.</div>
+          ) : (
+            <>
+              <div className="text-lg font-extrabold text-emerald-950">{selected.name || selected.username}</div>
+              <div className="mt-0.5 text-sm ps-muted">{selected.email}</div>
+
+              <div className="mt-5 space-y-3">
+                {scans === null ? <div className="text-sm ps-muted">Loading…</div> : null}
+                {scans && !scans.length ? <div className="text-sm ps-muted">No saved scans yet.</div> : null}
+                {(scans || []).map((s) => (
+                  <div key={s.id} className="rounded-2xl border border-emerald-200 bg-white/60 px-4 py-3">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <div className="text-sm font-extrabold text-emerald-950">
+                        {s.inputs?.crop || "—"}
+                        {s.inputs?.pesticide ? ` · ${s.inputs.pesticide}` : ""}
+                      </div>
+                      <span className="ps-badge">{riskText(s.result)}</span>
+                    </div>
+                    <div className="mt-0.5 text-xs text-emerald-950/60">{formatDate(s.createdAt)}</div>
+                    {s.notes ? (
+                      <p className="mt-2 text-sm text-emerald-950/80 whitespace-pre-wrap">{s.notes}</p>
+                    ) : null}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
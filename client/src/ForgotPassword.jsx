@@ -0,0 +1,101 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      const res = await fetch("/api/auth/forgot", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email }),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || "Couldn’t send the email. Please try again.");
+      setSent(true);
+    } catch (err) {
+      setError(err?.message || "Couldn’t send the email. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="ps-page">
+      <div className="mb-5 md:mb-6">
+        <h1 className="text-2xl md:text-3xl font-extrabold tracking-tight text-emerald-950">
+          Forgot password
+        </h1>
+        <p className="mt-1 ps-muted">We’ll email you a link to choose a new one.</p>
+      </div>
+
+      <div className="ps-card">
+        {error ? (
+          <div className="mb-5 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+            {error}
+          </div>
+        ) : null}
+
+        {sent ? (
+          <div className="rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-900">
+            If an account uses <b>{email}</b>, an email with a reset link is on its way. The link
+            works once and expires in 1 hour. Check your spam folder if it doesn’t arrive.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <Field label="Email">
+              <input
+                type="email"
+                className="ps-input"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="you@example.com"
+                autoComplete="email"
+                inputMode="email"
+                required
+              />
+            </Field>
+
+            <div className="pt-1">
+              <button
+                type="submit"
+                disabled={loading}
+                className="ps-btn ps-btn-primary w-full disabled:opacity-60"
+              >
+                {loading ? "Sending..." : "Send reset link"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="mt-6 rounded-2xl border border-emerald-200 bg-white/60 p-4 text-sm text-emerald-950/75">
+          <div className="flex flex-wrap items-center gap-x-2 gap-y-1">
+            <span>Remembered it?</span>
+            <Link to="/login" className="font-extrabold text-emerald-800 hover:underline">
+              Back to login
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <div className="text-xs font-extrabold text-emerald-950/70 mb-2">
+        {label}
+      </div>
+      {children}
+    </div>
+  );
+}
@@ -1,17 +1,18 @@
 import React, { useEffect, useMemo, useState } from "react";
 import jsPDF from "jspdf";
-
-const LS_KEY = "pestiscan_history_v1";
+import { AREA_UNITS, formatRate } from "./utils/dose.js";
+import { bandsText, fetchRiskBands, levelFromBands, riskBandsKey } from "./utils/riskLevels.js";
+import { useAuth } from "./AuthContext.jsx";
+import { HISTORY_EVENT, loadLocalScans, saveLocalScans } from "./utils/scanHistory.js";
+import {
+  isOfflineError,
+  listQueuedScans,
+  QUEUE_EVENT,
+  removeQueuedScan,
+  retryQueuedScan,
+} from "./utils/scanQueue.js";
 
 /* ---------------- Helpers ---------------- */
-function safeJsonParse(s, fallback) {
-  try {
-    return JSON.parse(s);
-  } catch {
-    return fallback;
-  }
-}
-
 function formatDate(iso) {
   if (!iso) return "—";
   const d = new Date(iso);
@@ -142,6 +143,68 @@ function normalizeItem(raw) {
   };
 }
 
+function safeHarvestText(sh) {
+  if (!sh) return "—";
+  if (!sh.reached && sh.limitedBy === "half-life") return "Unknown (no half-life)";
+  if (!sh.reached || !sh.date) return "Not reached at scan-time conditions";
+  const d = new Date(sh.date);
+  if (Number.isNaN(d.getTime())) return "—";
+  const why =
+    sh.limitedBy === "phi" ? ` (label PHI ${sh.phiDays} days)` : sh.limitedBy === "phi-unknown" ? " (no PHI on record)" : "";
+  return `${d.toLocaleDateString()}${why}`;
+}
+
+function tempSeriesText(series) {
+  const temps = series.map((d) => Number(d?.tempC)).filter(Number.isFinite);
+  if (!temps.length) return "—";
+  const avg = temps.reduce((a, b) => a + b, 0) / temps.length;
+  return `${temps.length} day${temps.length === 1 ? "" : "s"}, avg ${Math.round(avg)} °C`;
+}
+
+function waterEventsText(events) {
+  const mm = events.reduce((a, e) => a + (Number(e?.mm) || 0), 0);
+  return `${events.length} event${events.length === 1 ? "" : "s"}, ${Math.round(mm * 10) / 10} mm`;
+}
+
+function rangeText(u) {
+  if (!u?.interval) return null;
+  const conf = Math.round((u.interval.confidence || 0.9) * 100);
+  return `${u.interval.low}–${u.interval.high}% (${conf}% interval)`;
+}
+
+function riskContext(it) {
+  return { crop: it.inputs?.crop, org: it.inputs?.org };
+}
+
+// Grade the badge with the current policy so old scans and new ones share the same bands
+function regrade(it, bandsByKey) {
+  const policy = bandsByKey[riskBandsKey(riskContext(it))];
+  const level = policy ? levelFromBands(it.result?.riskPercent, policy) : null;
+  if (!level) return it;
+
+  const phyto = it.result?.phytotoxicity;
+  const phytoLevel = phyto ? levelFromBands(phyto.riskPercent, policy) : null;
+  return {
+    ...it,
+    riskBands: policy,
+    result: {
+      ...it.result,
+      level,
+      ...(phytoLevel ? { phytotoxicity: { ...phyto, level: phytoLevel } } : {}),
+    },
+  };
+}
+
+function scoreText(score) {
+  if (!score) return "—";
+  return `${Math.round(clampNum(score.riskPercent, 0))}% (${score.level || "—"})`;
+}
+
+// scans saved before results were stamped came from the old server placeholder
+function modelText(result) {
+  return result?.modelVersion || "placeholder (unversioned)";
+}
+
 /* ---------------- Weather (human readable) ---------------- */
 /**
  * ✅ UPDATED PER YOUR REQUEST:
@@ -157,6 +220,7 @@ function weatherToWords(weather) {
   const rainfallMm =
     w.rainfallMm ??
     w.rainMm ??
+    w.rainMm24h ??
     w.rain ??
     w.current?.rain ??
     w.current?.precipitation ??
@@ -171,10 +235,15 @@ function weatherToWords(weather) {
   const t = formatMaybe(tempC, "°C");
   const h = formatMaybe(humidity, "%");
   const r = formatMaybe(rainfallMm, " mm");
+  // null = not measured (Number(null) would read as 0)
+  const vpd = w.vpdKpa != null ? formatMaybe(w.vpdKpa, " kPa") : null;
+  const wet = w.leafWetnessHours != null ? formatMaybe(w.leafWetnessHours, " h") : null;
 
   if (t) parts.push(`Temperature ${t}`);
   if (h) parts.push(`Humidity ${h}`);
   if (r) parts.push(`Rain ${r}`);
+  if (vpd) parts.push(`VPD ${vpd}`);
+  if (wet) parts.push(`Leaf wetness ${wet}`);
 
   const hasAny = parts.length > 0;
 
@@ -191,6 +260,8 @@ function weatherToWords(weather) {
     Temperature: t || "—",
     Humidity: h || "—",
     Rain: r || "—",
+    ...(vpd ? { VPD: vpd } : {}),
+    ...(wet ? { "Leaf wetness": wet } : {}),
     Location: coord ? `(${round1(lat)}, ${round1(lon)})` : "—",
     Source: source || "—",
   };
@@ -234,9 +305,19 @@ function exportHistoryPDF(items) {
     doc.text(`Date: ${formatDate(it.createdAt)}`, 14, y); y += 5;
     doc.text(`Crop: ${it.inputs?.crop || "—"}`, 14, y); y += 5;
     doc.text(`Pesticide: ${it.inputs?.pesticide || "—"}`, 14, y); y += 5;
-    doc.text(`Recommended Dose: ${it.inputs?.recommendedDose ?? "—"}`, 14, y); y += 5;
-    doc.text(`Applied Dose: ${it.inputs?.appliedDose ?? "—"}`, 14, y); y += 5;
+    doc.text(`Recommended Dose: ${doseText(it.inputs, "recommendedDose")}`, 14, y); y += 5;
+    doc.text(`Applied Dose: ${doseText(it.inputs, "appliedDose")}`, 14, y); y += 5;
+    const tank = tankText(it.inputs?.tank);
+    if (tank) { doc.text(`Tank: ${tank}`, 14, y); y += 5; }
     doc.text(`Days Since Spray: ${it.inputs?.daysSinceSpray ?? "—"}`, 14, y); y += 5;
+    if (it.inputs?.applications?.length) {
+      const sprays = doc.splitTextToSize(`Sprays counted: ${formatKV(it.inputs.applications)}`, 180);
+      sprays.forEach((line) => {
+        if (y > 270) { doc.addPage(); y = 14; }
+        doc.text(line, 14, y);
+        y += 5;
+      });
+    }
     doc.text(`Breakdown time: ${it.inputs?.halfLifeDays ?? "—"} days`, 14, y); y += 5;
 
     const stress = it.ai?.stressScore;
@@ -253,11 +334,19 @@ function exportHistoryPDF(items) {
     y += 1;
 
     doc.setFontSize(11);
-    doc.text(
-      `Risk: ${Math.round(clampNum(it.result?.riskPercent, 0))}% (${it.result?.level || "—"})`,
-      14,
-      y
-    );
+    doc.text(`Residue risk: ${scoreText(it.result)}`, 14, y);
+    y += 6;
+    if (it.result?.phytotoxicity) {
+      doc.text(`Plant damage risk: ${scoreText(it.result.phytotoxicity)}`, 14, y);
+      y += 6;
+    }
+
+    doc.setFontSize(10);
+    const range = rangeText(it.result?.uncertainty);
+    if (range) { doc.text(`Likely range: ${range}`, 14, y); y += 5; }
+    doc.text(`Earliest safe harvest: ${safeHarvestText(it.result?.safeHarvest)}`, 14, y);
+    y += 5;
+    doc.text(`Scoring model: ${modelText(it.result)}`, 14, y);
     y += 6;
 
     if (it.ai?.symptoms?.length) {
@@ -272,6 +361,27 @@ function exportHistoryPDF(items) {
       y += 1;
     }
 
+    if (it.notes) {
+      doc.setFontSize(10);
+      doc.splitTextToSize(`Notes: ${it.notes}`, 180).forEach((line) => {
+        if (y > 270) { doc.addPage(); y = 14; }
+        doc.text(line, 14, y);
+        y += 5;
+      });
+      y += 1;
+    }
+
+    const whys = [it.result?.explanation, it.result?.phytotoxicity?.explanation].filter(Boolean);
+    whys.forEach((why) => {
+      doc.setFontSize(10);
+      doc.splitTextToSize(`Why: ${why}`, 180).forEach((line) => {
+        if (y > 270) { doc.addPage(); y = 14; }
+        doc.text(line, 14, y);
+        y += 5;
+      });
+      y += 1;
+    });
+
     doc.setFontSize(10);
     doc.text("Breakdown:", 14, y);
     y += 5;
@@ -289,16 +399,58 @@ function exportHistoryPDF(items) {
           y = 14;
         }
         const num = Number(v);
-        const val = Number.isFinite(num) ? num.toFixed(3) : String(v);
+        const val = v != null && Number.isFinite(num) ? num.toFixed(3) : String(v ?? "—");
         doc.text(`• ${prettyLabel(k)}: ${val}`, 18, y);
         y += 4;
       });
     }
 
-    const tips = it.result?.tips || [];
-    if (tips.length) {
+    const contributions = it.result?.contributions || [];
+    if (contributions.length) {
+      y += 2;
+      doc.text("Contribution to risk (points):", 14, y);
+      y += 5;
+      contributions.forEach((c) => {
+        if (y > 270) { doc.addPage(); y = 14; }
+        doc.text(`• ${c.label}: +${clampNum(c.points, 0).toFixed(1)}`, 18, y);
+        y += 4;
+      });
+    }
+
+    const phytoBreakdown = Object.entries(it.result?.phytotoxicity?.breakdown || {});
+    if (phytoBreakdown.length) {
+      y += 2;
+      doc.text("Plant damage breakdown:", 14, y);
+      y += 5;
+      phytoBreakdown.forEach(([k, v]) => {
+        if (y > 270) { doc.addPage(); y = 14; }
+        const num = Number(v);
+        doc.text(`• ${prettyLabel(k)}: ${v != null && Number.isFinite(num) ? num.toFixed(3) : "—"}`, 18, y);
+        y += 4;
+      });
+    }
+
+    const mixShares = it.result?.ingredients || [];
+    if (mixShares.length > 1) {
+      y += 2;
+      doc.text("Residue by ingredient:", 14, y);
+      y += 5;
+      mixShares.forEach((g, gi) => {
+        if (y > 270) { doc.addPage(); y = 14; }
+        const driver = gi === 0 ? " (drives risk)" : "";
+        doc.text(`• ${g.pesticide}: ${Math.round(clampNum(g.share, 0) * 100)}%${driver}`, 18, y);
+        y += 4;
+      });
+    }
+
+    const tipGroups = [
+      ["Tips:", it.result?.tips || []],
+      ["Tips for the plant:", it.result?.phytotoxicity?.tips || []],
+    ];
+    tipGroups.forEach(([heading, tips]) => {
+      if (!tips.length) return;
       y += 2;
-      doc.text("Tips:", 14, y);
+      doc.text(heading, 14, y);
       y += 5;
       tips.forEach((t) => {
         if (y > 270) {
@@ -312,7 +464,7 @@ function exportHistoryPDF(items) {
           y += 5;
         });
       });
-    }
+    });
 
     y += 4;
     doc.line(14, y, 196, y);
@@ -322,6 +474,39 @@ function exportHistoryPDF(items) {
   doc.save("pestiscan-history.pdf");
 }
 
+// absolute rates carry a unit (e.g. "ml/ha"); older scans stored a relative dose
+function doseText(inputs, key) {
+  const v = inputs?.[key];
+  if (v === undefined || v === null || v === "") return "—";
+  if (!inputs?.doseUnit) return String(v);
+
+  const [unit, per] = String(inputs.doseUnit).split("/");
+  const text = formatRate(v, unit, per || "ha");
+  return key === "appliedDose" && inputs.doseRatio ? `${text} (${inputs.doseRatio}× label)` : text;
+}
+
+function tankText(tank) {
+  if (!tank?.volumeL && !tank?.area) return null;
+  const area = tank.area ? ` over ${tank.area} ${AREA_UNITS[tank.areaUnit]?.label || tank.areaUnit || "ha"}` : "";
+  return `${tank.volumeL ? `${tank.volumeL} L` : "Tank"}${area}`;
+}
+
+// arrays/objects inside inputs (e.g. spray log applications) -> short readable text
+function formatKV(v) {
+  if (Array.isArray(v)) {
+    const parts = v.map((x) =>
+      x && typeof x === "object"
+        ? [x.pesticide || x.name || "—", x.daysAgo != null ? `${round1(x.daysAgo)} d ago` : null]
+            .filter(Boolean)
+            .join(" ")
+        : String(x)
+    );
+    return parts.length ? parts.join(", ") : "—";
+  }
+  if (v && typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
 /* ---------------- UI Pieces ---------------- */
 function KVGrid({ data }) {
   const entries = Object.entries(data || {}).filter(
@@ -335,7 +520,7 @@ function KVGrid({ data }) {
       {entries.map(([k, v]) => (
         <div key={k} style={styles.kvItem}>
           <div style={styles.kvKey}>{prettyLabel(k)}</div>
-          <div style={styles.kvVal}>{String(v)}</div>
+          <div style={styles.kvVal}>{formatKV(v)}</div>
         </div>
       ))}
     </div>
@@ -354,7 +539,7 @@ function BreakdownTable({ breakdown }) {
       </div>
       {entries.map(([k, v]) => {
         const num = Number(v);
-        const val = Number.isFinite(num) ? num.toFixed(3) : String(v);
+        const val = v != null && Number.isFinite(num) ? num.toFixed(3) : String(v ?? "—");
         return (
           <div key={k} style={styles.tr}>
             <div style={styles.td}>{prettyLabel(k)}</div>
@@ -366,6 +551,28 @@ function BreakdownTable({ breakdown }) {
   );
 }
 
+function IngredientShares({ ingredients }) {
+  if (!Array.isArray(ingredients) || ingredients.length < 2) return null;
+
+  return (
+    <div style={{ ...styles.table, marginTop: 10 }}>
+      <div style={{ ...styles.tr, ...styles.thRow }}>
+        <div style={styles.th}>Ingredient</div>
+        <div style={styles.th}>Residue share</div>
+      </div>
+      {ingredients.map((g, idx) => (
+        <div key={`${g.pesticide}-${idx}`} style={styles.tr}>
+          <div style={styles.td}>
+            {g.pesticide}
+            {idx === 0 ? <b> · drives risk</b> : null}
+          </div>
+          <div style={styles.tdMono}>{Math.round(clampNum(g.share, 0) * 100)}%</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function WeatherCard({ weather }) {
   const { summary, details } = weatherToWords(weather);
 
@@ -381,37 +588,155 @@ function WeatherCard({ weather }) {
 
 /* ---------------- Main ---------------- */
 export default function History() {
+  const { token, authFetch, getToken, historyKey } = useAuth();
+  // logged in: scans live on the server (follow the farmer across phones); guests: this device.
+  // Either way the copy on this phone is kept per account, so a shared phone doesn't mix them.
+  const onServer = Boolean(token);
+  const localKey = historyKey();
+
   const [items, setItems] = useState([]);
+  const [status, setStatus] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [notesDraft, setNotesDraft] = useState("");
+  const [queued, setQueued] = useState([]); // captured offline, not sent yet
+  const [reloadKey, setReloadKey] = useState(0);
   const [query, setQuery] = useState("");
   const [riskFilter, setRiskFilter] = useState("All");
   const [selected, setSelected] = useState(null);
+  const [bandsByKey, setBandsByKey] = useState({});
+
+  useEffect(() => {
+    setStatus("");
+    if (!onServer) {
+      setItems(loadLocalScans(localKey));
+      return undefined;
+    }
+
+    const ctrl = new AbortController();
+    setLoading(reloadKey === 0);
+    authFetch("/api/scans", { signal: ctrl.signal })
+      .then(async (res) => {
+        const data = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(data?.error || "Couldn’t load your saved scans.");
+        const list = Array.isArray(data?.items) ? data.items : [];
+        setItems(saveLocalScans(localKey, list));
+      })
+      .catch((err) => {
+        if (err.name === "AbortError") return;
+        if (isOfflineError(err)) {
+          setItems(loadLocalScans(localKey));
+          setStatus("You’re offline. Showing your scans from the last time you were online.");
+          return;
+        }
+        setItems([]);
+        setStatus(err.message || "Couldn’t load your saved scans.");
+      })
+      .finally(() => setLoading(false));
+    return () => ctrl.abort();
+  }, [onServer, authFetch, localKey, reloadKey]);
+
+  // offline queue: refresh when scans are queued or sent (sent ones now show up as saved),
+  // and after guest scans were moved into the account
+  useEffect(() => {
+    let alive = true;
+    const refresh = () => {
+      listQueuedScans(localKey).then((list) => alive && setQueued(list));
+      setReloadKey((k) => k + 1);
+    };
+    listQueuedScans(localKey).then((list) => alive && setQueued(list));
+    window.addEventListener(QUEUE_EVENT, refresh);
+    window.addEventListener(HISTORY_EVENT, refresh);
+    return () => {
+      alive = false;
+      window.removeEventListener(QUEUE_EVENT, refresh);
+      window.removeEventListener(HISTORY_EVENT, refresh);
+    };
+  }, [localKey]);
 
   useEffect(() => {
-    const raw = localStorage.getItem(LS_KEY);
-    const parsed = safeJsonParse(raw, []);
-    setItems(Array.isArray(parsed) ? parsed : []);
-  }, []);
+    setNotesDraft(selected?.notes || "");
+  }, [selected]);
+
+  // One /api/risk-levels lookup per crop/org in the list (cached)
+  useEffect(() => {
+    let alive = true;
+    const contexts = new Map(items.map(normalizeItem).map((it) => [riskBandsKey(riskContext(it)), riskContext(it)]));
+    Promise.all([...contexts].map(([key, ctx]) => fetchRiskBands(ctx).then((policy) => [key, policy]))).then(
+      (pairs) => alive && setBandsByKey(Object.fromEntries(pairs))
+    );
+    return () => {
+      alive = false;
+    };
+  }, [items]);
 
   function persist(next) {
-    setItems(next);
-    localStorage.setItem(LS_KEY, JSON.stringify(next));
+    setItems(saveLocalScans(localKey, next));
   }
 
-  function deleteOne(id) {
+  // server call for logged-in users; false (with a message) when it failed
+  async function sendToServer(url, options) {
+    if (!onServer) return true;
+    setStatus("");
+    try {
+      const res = await authFetch(url, options);
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || "Couldn’t update your saved scans.");
+      return true;
+    } catch (err) {
+      setStatus(err.message || "Couldn’t update your saved scans.");
+      return false;
+    }
+  }
+
+  async function deleteOne(id) {
+    if (!(await sendToServer(`/api/scans/${encodeURIComponent(id)}`, { method: "DELETE" }))) return;
     const next = items.filter((x) => (x?.id || x?._id) !== id);
     persist(next);
     if ((selected?.id || selected?._id) === id) setSelected(null);
   }
 
-  function clearAll() {
+  async function clearAll() {
+    if (!(await sendToServer("/api/scans", { method: "DELETE" }))) return;
     persist([]);
     setSelected(null);
   }
 
+  async function saveNotes(id) {
+    const notes = notesDraft.trim();
+    const ok = await sendToServer(`/api/scans/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      body: JSON.stringify({ notes }),
+    });
+    if (!ok) return;
+    persist(items.map((x) => ((x?.id || x?._id) === id ? { ...x, notes } : x)));
+    setSelected((prev) => (prev ? { ...prev, notes } : prev));
+  }
+
+  async function sendQueuedNow(id) {
+    setStatus("");
+    try {
+      const out = await retryQueuedScan(id, { token: await getToken(), owner: localKey });
+      if (out?.pending) setStatus("Still no connection. The scan will be sent when you have signal.");
+    } catch {
+      setStatus("Couldn’t send the scan. It stays on this device.");
+    }
+  }
+
+  async function dropQueued(id) {
+    await removeQueuedScan(id);
+  }
+
+  // a scan that reached the server (e.g. from another tab) is shown once, as saved
+  const waiting = useMemo(() => {
+    const saved = new Set(items.map((x) => x?.id || x?._id));
+    return queued.filter((q) => !saved.has(q.id));
+  }, [items, queued]);
+
   const filtered = useMemo(() => {
     const q = query.toLowerCase().trim();
     return items
       .map(normalizeItem)
+      .map((it) => regrade(it, bandsByKey))
       .filter((it) => {
         const lvl = (it?.result?.level || "").toLowerCase();
         const matchText =
@@ -422,7 +747,7 @@ export default function History() {
         const matchRisk = riskFilter === "All" || lvl.includes(riskFilter.toLowerCase());
         return matchText && matchRisk;
       });
-  }, [items, query, riskFilter]);
+  }, [items, query, riskFilter, bandsByKey]);
 
   return (
     <div style={styles.page}>
@@ -430,7 +755,9 @@ export default function History() {
         <header style={styles.header}>
           <div>
             <h1 style={styles.title}>History</h1>
-            <p style={styles.subTitle}>Saved scans on this device</p>
+            <p style={styles.subTitle}>
+              {onServer ? "Saved scans in your account" : "Saved scans on this device — log in to keep them when you change phones"}
+            </p>
           </div>
 
           <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
@@ -446,7 +773,7 @@ export default function History() {
               style={styles.dangerBtn}
               onClick={clearAll}
               disabled={!items.length}
-              title="Removes all saved scans from this device"
+              title={onServer ? "Removes all saved scans from your account" : "Removes all saved scans from this device"}
             >
               Clear all
             </button>
@@ -473,8 +800,48 @@ export default function History() {
           </select>
         </div>
 
+        {status ? <div style={styles.status}>{status}</div> : null}
+
+        {waiting.length ? (
+          <div style={{ ...styles.card, marginBottom: 12 }}>
+            <div style={styles.queueTitle}>
+              Waiting to send ({waiting.length}) — scored as soon as this phone has signal
+            </div>
+            {waiting.map((q) => (
+              <div key={q.id} style={styles.row}>
+                <div style={{ minWidth: 0 }}>
+                  <div style={styles.rowTop}>
+                    <strong style={styles.rowTitle}>{q.inputs?.crop || "—"}</strong>
+                    <span style={styles.dot}>•</span>
+                    <span style={styles.rowSubtitle}>{q.inputs?.pesticide || "—"}</span>
+                  </div>
+                  <div style={styles.small}>Captured {formatDate(q.createdAt)}</div>
+                  {q.status === "failed" && q.error ? <div style={styles.small}>Not accepted: {q.error}</div> : null}
+                </div>
+
+                <div style={{ textAlign: "right" }}>
+                  <span style={q.status === "failed" ? styles.syncFailed : styles.syncPending}>
+                    {q.status === "failed" ? "Not sent" : "Pending"}
+                  </span>
+                </div>
+
+                <div style={{ textAlign: "right", display: "flex", justifyContent: "flex-end", gap: 8, flexWrap: "wrap" }}>
+                  <button style={styles.secondaryBtn} onClick={() => sendQueuedNow(q.id)}>
+                    Send now
+                  </button>
+                  <button style={styles.dangerBtnSm} onClick={() => dropQueued(q.id)}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : null}
+
         <div style={styles.card}>
-          {!filtered.length ? (
+          {loading ? (
+            <div style={styles.empty}>Loading your scans…</div>
+          ) : !filtered.length ? (
             <div style={styles.empty}>No scans found</div>
           ) : (
             filtered.map((it) => (
@@ -503,13 +870,24 @@ export default function History() {
                       <span style={styles.pillDim}>+{it.ai.symptoms.length - 3} more</span>
                     )}
                   </div>
+
+                  {it.notes ? <div style={styles.notesPreview}>{it.notes}</div> : null}
                 </div>
 
-                <div style={{ textAlign: "right" }}>
-                  <div style={riskBadgeStyle(it.result?.level)}>
-                    <span>{Math.round(clampNum(it.result?.riskPercent, 0))}%</span>
+                <div style={{ textAlign: "right", display: "grid", gap: 6, justifyItems: "end" }}>
+                  <div style={riskBadgeStyle(it.result?.level)} title="Residue risk">
+                    <span>Residue {Math.round(clampNum(it.result?.riskPercent, 0))}%</span>
                     <span style={{ opacity: 0.9 }}>({it.result?.level || "—"})</span>
                   </div>
+                  {it.result?.phytotoxicity ? (
+                    <div style={riskBadgeStyle(it.result.phytotoxicity.level)} title="Plant damage risk">
+                      <span>Plant {Math.round(clampNum(it.result.phytotoxicity.riskPercent, 0))}%</span>
+                      <span style={{ opacity: 0.9 }}>({it.result.phytotoxicity.level || "—"})</span>
+                    </div>
+                  ) : null}
+                  <span style={onServer ? styles.syncDone : styles.syncLocal}>
+                    {onServer ? "Synced" : "On this device"}
+                  </span>
                 </div>
 
                 <div style={{ textAlign: "right", display: "flex", justifyContent: "flex-end", gap: 8, flexWrap: "wrap" }}>
@@ -557,15 +935,15 @@ export default function History() {
                   <div style={styles.sectionTitle}>Risk summary</div>
                   <div style={styles.summaryStrip}>
                     <div style={styles.summaryBox}>
-                      <div style={styles.kvKey}>Risk</div>
-                      <div style={styles.summaryBig}>
-                        {Math.round(clampNum(selected.result?.riskPercent, 0))}%
+                      <div style={styles.kvKey}>Residue risk</div>
+                      <div style={{ ...styles.summaryBig, ...levelColor(selected.result?.level) }}>
+                        {scoreText(selected.result)}
                       </div>
                     </div>
                     <div style={styles.summaryBox}>
-                      <div style={styles.kvKey}>Level</div>
-                      <div style={{ ...styles.summaryBig, ...levelColor(selected.result?.level) }}>
-                        {selected.result?.level || "—"}
+                      <div style={styles.kvKey}>Plant damage risk</div>
+                      <div style={{ ...styles.summaryBig, ...levelColor(selected.result?.phytotoxicity?.level) }}>
+                        {selected.result?.phytotoxicity ? scoreText(selected.result.phytotoxicity) : "Not scored"}
                       </div>
                     </div>
                     <div style={styles.summaryBox}>
@@ -576,6 +954,30 @@ export default function History() {
                     </div>
                   </div>
 
+                  {selected.result?.explanation ? (
+                    <div style={{ ...styles.small, marginTop: 10 }}>{selected.result.explanation}</div>
+                  ) : null}
+                  {selected.result?.phytotoxicity?.explanation ? (
+                    <div style={{ ...styles.small, marginTop: 6 }}>{selected.result.phytotoxicity.explanation}</div>
+                  ) : null}
+
+                  <div style={{ ...styles.small, marginTop: 10 }}>
+                    Earliest safe harvest: <b>{safeHarvestText(selected.result?.safeHarvest)}</b>
+                  </div>
+                  {rangeText(selected.result?.uncertainty) ? (
+                    <div style={styles.small}>
+                      Likely range: <b>{rangeText(selected.result.uncertainty)}</b>
+                    </div>
+                  ) : null}
+                  <div style={styles.small}>
+                    Scoring model: <b>{modelText(selected.result)}</b>
+                  </div>
+                  {selected.riskBands ? (
+                    <div style={styles.small}>
+                      Risk bands: <b>{bandsText(selected.riskBands)}</b>
+                    </div>
+                  ) : null}
+
                   <div style={styles.disclaimer}>
                     Disclaimer: AI stress is a heuristic proxy (v1.0). Always follow label instructions and waiting intervals.
                   </div>
@@ -589,6 +991,13 @@ export default function History() {
                       const base = { ...(selected.inputs || {}) };
                       // remove weather if present inside inputs
                       if (base.weather) delete base.weather;
+                      if (base.appliedDose != null) base.appliedDose = doseText(base, "appliedDose");
+                      if (base.recommendedDose != null) base.recommendedDose = doseText(base, "recommendedDose");
+                      if (base.tank) base.tank = tankText(base.tank);
+                      if (Array.isArray(base.tempSeries)) base.tempSeries = tempSeriesText(base.tempSeries);
+                      if (Array.isArray(base.waterEvents)) base.waterEvents = waterEventsText(base.waterEvents);
+                      delete base.doseUnit;
+                      delete base.doseRatio;
                       return base;
                     })()}
                   />
@@ -631,8 +1040,61 @@ export default function History() {
                 </section>
 
                 <section style={styles.section}>
-                  <div style={styles.sectionTitle}>Risk breakdown</div>
-                  <BreakdownTable breakdown={selected.result?.breakdown} />
+                  <div style={styles.twoCol}>
+                    <div>
+                      <div style={styles.sectionTitle}>Residue breakdown</div>
+                      <BreakdownTable breakdown={selected.result?.breakdown} />
+                      <IngredientShares ingredients={selected.result?.ingredients} />
+                    </div>
+                    {selected.result?.phytotoxicity ? (
+                      <div>
+                        <div style={styles.sectionTitle}>Plant damage breakdown</div>
+                        <BreakdownTable breakdown={selected.result.phytotoxicity.breakdown} />
+                      </div>
+                    ) : null}
+                  </div>
+                </section>
+
+                {selected.result?.tips?.length || selected.result?.phytotoxicity?.tips?.length ? (
+                  <section style={styles.section}>
+                    <div style={styles.twoCol}>
+                      <div>
+                        <div style={styles.sectionTitle}>Residue tips</div>
+                        <ul style={styles.ul}>
+                          {(selected.result?.tips || []).map((t) => <li key={t}>{t}</li>)}
+                        </ul>
+                      </div>
+                      {selected.result?.phytotoxicity?.tips?.length ? (
+                        <div>
+                          <div style={styles.sectionTitle}>Tips for the plant</div>
+                          <ul style={styles.ul}>
+                            {selected.result.phytotoxicity.tips.map((t) => <li key={t}>{t}</li>)}
+                          </ul>
+                        </div>
+                      ) : null}
+                    </div>
+                  </section>
+                ) : null}
+
+                <section style={styles.section}>
+                  <div style={styles.sectionTitle}>Notes</div>
+                  <textarea
+                    value={notesDraft}
+                    onChange={(e) => setNotesDraft(e.target.value)}
+                    placeholder="e.g. which block, what you saw, what you did next"
+                    rows={3}
+                    maxLength={2000}
+                    style={styles.notes}
+                  />
+                  <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 8 }}>
+                    <button
+                      style={styles.secondaryBtn}
+                      onClick={() => saveNotes(selected.id)}
+                      disabled={notesDraft.trim() === (selected.notes || "")}
+                    >
+                      Save notes
+                    </button>
+                  </div>
                 </section>
 
                 <section style={styles.section}>
@@ -802,6 +1264,53 @@ const styles = {
     fontWeight: 900,
   },
   empty: { textAlign: "center", padding: 20, opacity: 0.65 },
+  status: {
+    marginBottom: 12,
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(239,68,68,0.25)",
+    background: "rgba(239,68,68,0.08)",
+    fontSize: 13,
+  },
+  queueTitle: { fontWeight: 900, fontSize: 13, padding: "4px 4px 10px" },
+  syncPending: {
+    fontSize: 12,
+    padding: "4px 8px",
+    borderRadius: 999,
+    background: "rgba(234,179,8,0.14)",
+    border: "1px solid rgba(234,179,8,0.35)",
+    fontWeight: 800,
+  },
+  syncFailed: {
+    fontSize: 12,
+    padding: "4px 8px",
+    borderRadius: 999,
+    background: "rgba(239,68,68,0.10)",
+    border: "1px solid rgba(239,68,68,0.30)",
+    fontWeight: 800,
+  },
+  syncDone: { fontSize: 11, fontWeight: 800, color: "#16a34a" },
+  syncLocal: { fontSize: 11, fontWeight: 800, opacity: 0.6 },
+  notesPreview: {
+    marginTop: 6,
+    fontSize: 12,
+    opacity: 0.75,
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  },
+  notes: {
+    width: "100%",
+    boxSizing: "border-box",
+    padding: 10,
+    borderRadius: 12,
+    border: "1px solid rgba(15,61,42,0.12)",
+    background: "rgba(255,255,255,0.85)",
+    color: "rgba(15,61,42,0.92)",
+    fontFamily: "inherit",
+    resize: "vertical",
+    outline: "none",
+  },
 
   /* Modal */
   modalOverlay: {
@@ -923,6 +1432,7 @@ const styles = {
   },
 
   ul: { margin: 0, paddingLeft: 18, opacity: 0.85 },
+  twoCol: { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))", gap: 14 },
 
   weatherSummary: {
     padding: 10,
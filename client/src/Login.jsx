@@ -3,7 +3,7 @@ import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "./AuthContext.jsx";
 
 export default function Login() {
-  const { login } = useAuth();
+  const { login, endedMessage } = useAuth();
   const navigate = useNavigate();
 
   const [identifier, setIdentifier] = useState("");
@@ -37,7 +37,7 @@ export default function Login() {
 
       if (!res.ok) throw new Error(data.error || "Login failed");
 
-      login(data.token);
+      login(data.token, data.refreshToken);
       setSuccess("Logged in successfully.");
       setTimeout(() => navigate("/scan"), 250);
     } catch (err) {
@@ -59,6 +59,12 @@ export default function Login() {
 
       {/* Content card */}
       <div className="ps-card">
+        {endedMessage && !error && !success ? (
+          <div className="mb-5 rounded-2xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-900">
+            {endedMessage}
+          </div>
+        ) : null}
+
         {error ? (
           <div className="mb-5 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
             {error}
@@ -93,6 +99,11 @@ export default function Login() {
               autoComplete="current-password"
               required
             />
+            <div className="mt-2 text-right text-xs">
+              <Link to="/forgot-password" className="font-extrabold text-emerald-800 hover:underline">
+                Forgot your password?
+              </Link>
+            </div>
           </Field>
 
           <div className="pt-1">
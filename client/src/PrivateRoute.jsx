@@ -1,7 +1,9 @@
-import { Navigate } from "react-router-dom";
+import { Link, Navigate } from "react-router-dom";
 import { useAuth } from "./AuthContext.jsx";
+import { can } from "./utils/roles.js";
 
-export default function PrivateRoute({ children }) {
+// permission (optional): only roles that have it see the page (see utils/roles.js)
+export default function PrivateRoute({ children, permission }) {
   const { user } = useAuth();
 
   // If no user logged in, redirect to login page
@@ -9,6 +11,23 @@ export default function PrivateRoute({ children }) {
     return <Navigate to="/login" replace />;
   }
 
+  // Logged in, but this page is for another role
+  if (permission && !can(user, permission)) {
+    return (
+      <div className="ps-page">
+        <div className="ps-card">
+          <div className="text-lg font-extrabold text-emerald-950">Not available for your account</div>
+          <p className="mt-1 text-sm ps-muted">
+            This page is for extension officers and administrators. Ask your cooperative admin if you need access.
+          </p>
+          <Link to="/" className="ps-btn ps-btn-primary mt-4 inline-block">
+            Back to home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
   // Otherwise, render the requested page
   return children;
 }
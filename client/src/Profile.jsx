@@ -1,4 +1,6 @@
 import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "./AuthContext.jsx";
 
 export default function Profile() {
   const [profile, setProfile] = useState({ name: "", email: "" });
@@ -74,16 +76,171 @@ export default function Profile() {
               Privacy note
             </div>
             <p className="mt-1 text-sm text-emerald-950/70 leading-relaxed">
-              This page only stores your name and email in your browser’s local
-              storage (ps_profile). Nothing is uploaded from this page.
+              The name and email above are only stored in your browser’s local
+              storage (ps_profile). They are not uploaded.
             </p>
           </div>
         </div>
       </div>
+
+      <EmailStatus />
+      <Devices />
+    </div>
+  );
+}
+
+/* Unconfirmed email: send the confirmation link again */
+function EmailStatus() {
+  const { user, authFetch } = useAuth();
+  const [message, setMessage] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  if (!user || user.emailVerified) return null;
+
+  async function resend() {
+    setBusy(true);
+    setMessage("");
+    try {
+      const res = await authFetch("/api/auth/verify/resend", { method: "POST" });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || "Couldn’t send the email.");
+      setMessage(data?.alreadyVerified ? "Your email is already confirmed." : `Sent. Check ${user.email} for the link.`);
+    } catch (err) {
+      setMessage(err.message || "Couldn’t send the email.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="ps-card mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="text-lg font-extrabold text-emerald-950">Confirm your email</div>
+          <p className="mt-1 text-sm ps-muted">
+            {message || `${user.email} isn’t confirmed yet. You need it to reset a forgotten password.`}
+          </p>
+        </div>
+        <button onClick={resend} disabled={busy} className="ps-btn disabled:opacity-60">
+          {busy ? "Sending…" : "Send confirmation email"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* Signed-in devices: log out one of them, or all of them at once */
+function Devices() {
+  const { authFetch, logout, logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    authFetch("/api/auth/sessions")
+      .then(async (res) => {
+        const data = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(data?.error || "Couldn’t load your devices.");
+        if (alive) setSessions(Array.isArray(data?.items) ? data.items : []);
+      })
+      .catch((err) => alive && setError(err.message || "Couldn’t load your devices."));
+    return () => {
+      alive = false;
+    };
+  }, [authFetch]);
+
+  async function endSession(s) {
+    if (s.current) {
+      logout();
+      navigate("/login");
+      return;
+    }
+    setBusy(s.id);
+    setError("");
+    try {
+      const res = await authFetch(`/api/auth/sessions/${encodeURIComponent(s.id)}`, { method: "DELETE" });
+      const data = await res.json().catch(() => null);
+      if (!res.ok && res.status !== 404) throw new Error(data?.error || "Couldn’t log out that device.");
+      setSessions((list) => list.filter((x) => x.id !== s.id));
+    } catch (err) {
+      setError(err.message || "Couldn’t log out that device.");
+    } finally {
+      setBusy("");
+    }
+  }
+
+  async function endAll() {
+    setBusy("all");
+    setError("");
+    const ok = await logoutAll();
+    setBusy("");
+    if (ok) navigate("/login");
+    else setError("Couldn’t reach the server. Try again when you have signal.");
+  }
+
+  return (
+    <div className="ps-card mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="text-lg font-extrabold text-emerald-950">Signed-in devices</div>
+          <p className="mt-1 text-sm ps-muted">Phones and browsers logged in to your account.</p>
+        </div>
+        <button onClick={endAll} disabled={Boolean(busy)} className="ps-btn disabled:opacity-60">
+          {busy === "all" ? "Logging out…" : "Log out all devices"}
+        </button>
+      </div>
+
+      {error ? (
+        <div className="mt-5 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+          {error}
+        </div>
+      ) : null}
+
+      <div className="mt-5 space-y-3">
+        {sessions === null && !error ? <div className="text-sm ps-muted">Loading…</div> : null}
+        {(sessions || []).map((s) => (
+          <div
+            key={s.id}
+            className="flex flex-wrap items-center gap-3 rounded-2xl border border-emerald-200 bg-white/60 px-4 py-3"
+          >
+            <div className="flex-1 min-w-[200px]">
+              <div className="text-sm font-extrabold text-emerald-950">
+                {deviceName(s.userAgent)}
+                {s.current ? <span className="ps-badge ml-2">This device</span> : null}
+              </div>
+              <div className="mt-0.5 text-xs text-emerald-950/60">
+                Signed in {formatDate(s.createdAt)} · last active {formatDate(s.lastUsedAt)}
+              </div>
+            </div>
+            <button onClick={() => endSession(s)} disabled={Boolean(busy)} className="ps-btn disabled:opacity-60">
+              {busy === s.id ? "Logging out…" : "Log out"}
+            </button>
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
 
+// "Chrome on Android" from a user agent string, good enough to tell devices apart
+const BROWSERS = [[/Edg\//, "Edge"], [/OPR\/|Opera/, "Opera"], [/Firefox\//, "Firefox"], [/Chrome\//, "Chrome"], [/Safari\//, "Safari"]];
+const SYSTEMS = [[/Android/, "Android"], [/iPhone|iPad|iPod/, "iOS"], [/Windows/, "Windows"], [/Mac OS X/, "macOS"], [/Linux/, "Linux"]];
+
+function deviceName(ua = "") {
+  const pick = (list) => list.find(([re]) => re.test(ua))?.[1] || "";
+  const browser = pick(BROWSERS);
+  const os = pick(SYSTEMS);
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+}
+
+function formatDate(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString();
+}
+
 function Field({ label, children }) {
   return (
     <div>
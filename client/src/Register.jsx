@@ -39,7 +39,7 @@ export default function Register() {
 
       if (!res.ok) throw new Error(data.error || "Registration failed");
 
-      login(data.token);
+      login(data.token, data.refreshToken);
       setSuccess("Registered successfully.");
       setTimeout(() => navigate("/scan"), 250);
     } catch (err) {
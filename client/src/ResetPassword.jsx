@@ -0,0 +1,136 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useAuth } from "./AuthContext.jsx";
+
+// opened from the link in the reset email: /reset-password?token=...
+export default function ResetPassword() {
+  const [params] = useSearchParams();
+  const token = params.get("token") || "";
+  const { user, logout } = useAuth();
+
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    if (password !== confirm) {
+      setError("The two passwords don’t match.");
+      return;
+    }
+    setLoading(true);
+
+    try {
+      const res = await fetch("/api/auth/reset", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token, password }),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || "Couldn’t reset your password.");
+      // every session was ended on the server, this one included
+      if (user) logout();
+      setDone(true);
+    } catch (err) {
+      setError(err?.message || "Couldn’t reset your password.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="ps-page">
+      <div className="mb-5 md:mb-6">
+        <h1 className="text-2xl md:text-3xl font-extrabold tracking-tight text-emerald-950">
+          Choose a new password
+        </h1>
+        <p className="mt-1 ps-muted">All your devices will be logged out.</p>
+      </div>
+
+      <div className="ps-card">
+        {!token ? (
+          <div className="rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+            This page needs the link from the reset email.{" "}
+            <Link to="/forgot-password" className="font-extrabold hover:underline">
+              Send a new link
+            </Link>
+          </div>
+        ) : done ? (
+          <div className="rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-900">
+            Your password was changed.{" "}
+            <Link to="/login" className="font-extrabold hover:underline">
+              Log in with the new password
+            </Link>
+          </div>
+        ) : (
+          <>
+            {error ? (
+              <div className="mb-5 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+                {error}
+              </div>
+            ) : null}
+
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <Field label="New password">
+                <input
+                  type="password"
+                  className="ps-input"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="New password"
+                  autoComplete="new-password"
+                  required
+                />
+              </Field>
+
+              <Field label="Repeat new password">
+                <input
+                  type="password"
+                  className="ps-input"
+                  value={confirm}
+                  onChange={(e) => setConfirm(e.target.value)}
+                  placeholder="Same password again"
+                  autoComplete="new-password"
+                  required
+                />
+              </Field>
+
+              <div className="pt-1">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="ps-btn ps-btn-primary w-full disabled:opacity-60"
+                >
+                  {loading ? "Saving..." : "Save new password"}
+                </button>
+              </div>
+            </form>
+
+            <div className="mt-6 rounded-2xl border border-emerald-200 bg-white/60 p-4 text-sm text-emerald-950/75">
+              <div className="flex flex-wrap items-center gap-x-2 gap-y-1">
+                <span>Link expired?</span>
+                <Link to="/forgot-password" className="font-extrabold text-emerald-800 hover:underline">
+                  Send a new one
+                </Link>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <div className="text-xs font-extrabold text-emerald-950/70 mb-2">
+        {label}
+      </div>
+      {children}
+    </div>
+  );
+}
@@ -1,7 +1,14 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "./AuthContext.jsx";
 import { analyzeLeafPhoto } from "./utils/leafVision.js";
-
-const LS_KEY = "pestiscan_history_v1";
+import { daysSince, loadSprayLog, toApplication } from "./utils/sprayLog.js";
+import { AREA_UNITS, dilution, formatRate } from "./utils/dose.js";
+import { bandsText, FALLBACK_BANDS, fetchRiskBands, levelFromBands } from "./utils/riskLevels.js";
+import { loadWeatherLog, parseWeatherCsv, saveDailyTemps, tempSeriesSince } from "./utils/weatherLog.js";
+import { loadWaterLog, saveRainHours, waterEventsSince } from "./utils/waterLog.js";
+import { historyResult, upsertLocalScan } from "./utils/scanHistory.js";
+import { isOfflineError, postScan, queueScan } from "./utils/scanQueue.js";
 
 // ✅ Step 3 toggle: AI stress ON, blocker OFF by default
 const ENABLE_IMAGE_BLOCKER = false; // turn true later when you want strict blocking
@@ -13,14 +20,6 @@ function clampNum(v, min, max) {
   return Math.min(max, Math.max(min, n));
 }
 
-function safeJsonParse(s, fallback = null) {
-  try {
-    return JSON.parse(s);
-  } catch {
-    return fallback;
-  }
-}
-
 function prettyLabel(key) {
   return String(key)
     .replace(/([A-Z])/g, " $1")
@@ -55,98 +54,179 @@ function normalizeResult(raw) {
     {};
 
   const tips = raw?.tips ?? raw?.advice ?? raw?.result?.tips ?? [];
+  const safeHarvest = raw?.safeHarvest ?? raw?.result?.safeHarvest ?? null;
+  const ingredients = raw?.ingredients ?? raw?.result?.ingredients ?? [];
+  const modelVersion = raw?.modelVersion ?? raw?.result?.modelVersion ?? null;
+  const uncertainty = raw?.uncertainty ?? raw?.result?.uncertainty ?? null;
+  const explanation = raw?.explanation ?? raw?.result?.explanation ?? "";
+  const contributions = raw?.contributions ?? raw?.result?.contributions ?? [];
+  const rules = raw?.rules ?? raw?.result?.rules ?? [];
+  const phyto = raw?.phytotoxicity ?? raw?.result?.phytotoxicity ?? null;
 
   return {
     riskPercent: typeof riskPercent === "number" ? riskPercent : Number(riskPercent),
     level,
     breakdown: breakdown && typeof breakdown === "object" ? breakdown : {},
     tips: Array.isArray(tips) ? tips : [],
+    safeHarvest: safeHarvest && typeof safeHarvest === "object" ? safeHarvest : null,
+    ingredients: Array.isArray(ingredients) ? ingredients : [],
+    modelVersion,
+    uncertainty: uncertainty?.interval ? uncertainty : null,
+    explanation: typeof explanation === "string" ? explanation : "",
+    contributions: Array.isArray(contributions) ? contributions : [],
+    rules: Array.isArray(rules) ? rules : [],
+    phytotoxicity: normalizePhytotoxicity(phyto),
     raw,
   };
 }
 
-function getRiskMeta(level, riskPercent) {
-  const L = String(level || "").toLowerCase();
-  // prefer explicit level
-  if (L.includes("high")) return { label: "High", tone: "red", reasonHint: "spray was recent or dose was high" };
-  if (L.includes("medium")) return { label: "Medium", tone: "amber", reasonHint: "some factors are elevated" };
-  if (L.includes("low")) return { label: "Low", tone: "green", reasonHint: "spray is older or dose is moderate" };
-
-  // fallback from percent
-  if (typeof riskPercent === "number") {
-    if (riskPercent >= 70) return { label: "High", tone: "red", reasonHint: "spray was recent or dose was high" };
-    if (riskPercent >= 40) return { label: "Medium", tone: "amber", reasonHint: "some factors are elevated" };
-    return { label: "Low", tone: "green", reasonHint: "spray is older or dose is moderate" };
+// plant damage score (engines before 2.0 send none)
+function normalizePhytotoxicity(p) {
+  if (!p || typeof p !== "object") return null;
+  const riskPercent = Number(p.riskPercent);
+  return {
+    riskPercent: Number.isFinite(riskPercent) ? riskPercent : null,
+    level: p.level || "—",
+    breakdown: p.breakdown && typeof p.breakdown === "object" ? p.breakdown : {},
+    tips: Array.isArray(p.tips) ? p.tips : [],
+    explanation: typeof p.explanation === "string" ? p.explanation : "",
+    contributions: Array.isArray(p.contributions) ? p.contributions : [],
+    rules: Array.isArray(p.rules) ? p.rules : [],
+    uncertainty: p.uncertainty?.interval ? p.uncertainty : null,
+  };
+}
+
+function describeSafeHarvest(sh) {
+  if (!sh) return null;
+  if (!sh.reached && sh.limitedBy === "half-life") {
+    return {
+      headline: "Unknown",
+      detail: "The product’s half-life is unknown, so there’s no breakdown to project. Pick it from the catalog or enter its half-life.",
+    };
   }
-  return { label: "—", tone: "neutral", reasonHint: "insufficient data returned" };
+  if (!sh.reached || !sh.date) {
+    return {
+      headline: "Not within the next few weeks",
+      detail: "Risk stays above Low at current conditions. Re-scan closer to harvest.",
+    };
+  }
+
+  const date = new Date(sh.date).toLocaleDateString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+  const noPhi = sh.limitedBy === "phi-unknown" ? " No pre-harvest interval is on record for this product: check the label." : "";
+  if (sh.daysFromNow === 0) {
+    return { headline: `Today (${date})`, detail: noPhi ? `Residue risk is Low.${noPhi}` : "Risk is Low and the label PHI has passed." };
+  }
+
+  const wait = `${sh.daysFromNow} more day${sh.daysFromNow === 1 ? "" : "s"}`;
+  const why =
+    sh.limitedBy === "phi"
+      ? `Label pre-harvest interval is ${sh.phiDays} days after spray.`
+      : "Residue needs this long to break down to Low risk.";
+  return { headline: `${date} (wait ${wait})`, detail: why + noPhi };
 }
 
-function makePlainEnglishReason(inputs, resultMeta) {
-  const reasons = [];
+// "38–56% likely (90%)" + chance of each level
+function describeUncertainty(u) {
+  if (!u?.interval) return null;
+  const { low, high, confidence } = u.interval;
+  const probs = Object.entries(u.levelProbabilities || {})
+    .filter(([, p]) => p > 0)
+    .map(([level, p]) => `${level} ${Math.round(p * 100)}%`)
+    .join(" · ");
+  return {
+    range: `${low}–${high}%`,
+    confidence: Math.round((confidence || 0.9) * 100),
+    probs,
+    assumed: Array.isArray(u.assumed) ? u.assumed.map(prettyLabel) : [],
+  };
+}
 
-  if (Number(inputs?.daysSinceSpray) <= 2) reasons.push("spray was very recent");
-  if (Number(inputs?.recommendedDose) > 1.2) reasons.push("dose was higher than recommended");
-  if (Number(inputs?.halfLifeDays) >= 10) reasons.push("pesticide breaks down slowly");
-  if (Number(inputs?.weather?.tempC) >= 35) reasons.push("hot weather can increase stress");
-  if (Number(inputs?.weather?.humidity) >= 80) reasons.push("high humidity can increase disease/stress");
-  if (Number(inputs?.imageStress) >= 60) reasons.push("leaf looks stressed in the photo");
+const LEVEL_TONES = { high: "red", medium: "amber", low: "green" };
 
-  if (reasons.length === 0) return `Estimated ${resultMeta.label} risk based on your inputs.`;
-  // Keep it short + farmer-friendly
-  return `${resultMeta.label} risk mainly because ${reasons.slice(0, 2).join(" and ")}.`;
+function getRiskMeta(level, riskPercent, bands) {
+  // prefer explicit level (server graded it with the same policy), else grade the percent
+  const L = String(level || "").toLowerCase();
+  const label = LEVEL_TONES[L] ? level : levelFromBands(riskPercent, bands);
+  const tone = LEVEL_TONES[String(label || "").toLowerCase()];
+  return tone ? { label: label.charAt(0).toUpperCase() + label.slice(1).toLowerCase(), tone } : { label: "—", tone: "neutral" };
 }
 
-async function fetchWeatherOpenMeteo(lat, lon) {
-  const url =
-    `https://api.open-meteo.com/v1/forecast` +
-    `?latitude=${encodeURIComponent(lat)}` +
-    `&longitude=${encodeURIComponent(lon)}` +
-    `&current=temperature_2m,rain` +
-    `&hourly=relative_humidity_2m,precipitation` +
-    `&forecast_days=1`;
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("Weather fetch failed");
-  const data = await res.json();
-
-  const tempC = data?.current?.temperature_2m ?? null;
-  const rainNow = data?.current?.rain ?? 0;
-
-  // closest humidity to "current time"
-  let humidity = null;
-  try {
-    const times = data?.hourly?.time || [];
-    const hums = data?.hourly?.relative_humidity_2m || [];
-    const nowIso = data?.current?.time;
-    const idx = times.indexOf(nowIso);
-    humidity = idx >= 0 ? hums[idx] : hums[0];
-  } catch {
-    humidity = null;
-  }
+// current conditions + recent history through the backend (/api/weather picks the provider)
+async function fetchWeather(lat, lon) {
+  const res = await fetch(`/api/weather?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}&pastDays=30`);
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(data?.error || "Weather fetch failed");
 
-  // sum hourly precipitation as rough "last 24h"
-  let rainMm24h = null;
-  try {
-    const p = data?.hourly?.precipitation || [];
-    rainMm24h = p.reduce((a, b) => a + (Number(b) || 0), 0);
-  } catch {
-    rainMm24h = null;
-  }
+  const current = data?.current || {};
+  return {
+    tempC: typeof current.tempC === "number" ? current.tempC : null,
+    humidity: typeof current.humidity === "number" ? current.humidity : null,
+    rainMm24h: typeof current.rainMm24h === "number" ? current.rainMm24h : 0,
+    dailyTemps: data?.history?.tempSeries || [],
+    rainHours: data?.history?.rainHours || [],
+    provider: data?.provider || null,
+  };
+}
+
+// where the crop grows; decides which weather inputs make sense (same ids as shared/risk.js)
+const ENVIRONMENT_KEY = "pestiscan_environment_v1";
+const ENVIRONMENTS = [
+  { id: "open-field", label: "Open field", hint: "Outdoor weather applies; rain washes residue off." },
+  { id: "greenhouse", label: "Greenhouse", hint: "No rain reaches the crop. Use the house’s own temperature and humidity readings." },
+  { id: "shade-house", label: "Shade house", hint: "Most rain gets through the net; the shade slows breakdown a little." },
+];
+
+// vapour-pressure deficit (kPa) from temperature and relative humidity (Tetens)
+function computeVpd(tempC, humidity) {
+  const t = Number(tempC);
+  const rh = Number(humidity);
+  if (!Number.isFinite(t) || !Number.isFinite(rh)) return null;
+  return Math.max(0, 0.6108 * Math.exp((17.27 * t) / (t + 237.3)) * (1 - Math.min(100, Math.max(0, rh)) / 100));
+}
+
+// YYYY-MM-DD in local time, `daysAgo` days before today
+function localDay(daysAgo = 0) {
+  const d = new Date();
+  d.setDate(d.getDate() - Math.floor(Number(daysAgo) || 0));
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
 
+// one product in the tank (a single spray is a mix of one)
+// amount = product put in the tank; labelRate = label rate per hectare (same unit)
+function newIngredient(patch = {}) {
   return {
-    tempC: typeof tempC === "number" ? tempC : null,
-    humidity: typeof humidity === "number" ? humidity : null,
-    rainMm24h: typeof rainMm24h === "number" ? rainMm24h : (typeof rainNow === "number" ? rainNow : 0),
+    key: crypto.randomUUID(),
+    pesticide: "",
+    product: null,
+    halfLifeDays: 7,
+    amount: "",
+    unit: "ml",
+    labelRate: "",
+    ...patch,
   };
 }
 
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
 const TEST_PRESETS = [
   {
     name: "Low risk (baseline)",
     crop: "Tomato",
     pesticide: "Generic",
-    recommendedDose: 1,
-    daysSinceSpray: 10,
+    tankVolumeL: 500,
+    area: 1,
+    amount: 1000,
+    unit: "ml",
+    labelRate: 1000,
+    daysSinceSpray: 14,
     halfLifeDays: 5,
     leafPh: 6.5,
     soilPh: 6.8,
@@ -159,7 +239,11 @@ const TEST_PRESETS = [
     name: "Medium (recent spray)",
     crop: "Chilli",
     pesticide: "Mancozeb",
-    recommendedDose: 1,
+    tankVolumeL: 500,
+    area: 1,
+    amount: 2000,
+    unit: "g",
+    labelRate: 2000,
     daysSinceSpray: 2,
     halfLifeDays: 7,
     leafPh: 6.2,
@@ -173,7 +257,11 @@ const TEST_PRESETS = [
     name: "High (high dose + heat)",
     crop: "Orchid",
     pesticide: "Generic",
-    recommendedDose: 2.2,
+    tankVolumeL: 250,
+    area: 0.5,
+    amount: 1100,
+    unit: "ml",
+    labelRate: 1000,
     daysSinceSpray: 1,
     halfLifeDays: 10,
     leafPh: 5.6,
@@ -186,6 +274,7 @@ const TEST_PRESETS = [
 ];
 
 export default function Scan() {
+  const { token, getToken, refresh, historyKey } = useAuth();
   const [step, setStep] = useState(1);
 
   // image
@@ -200,66 +289,251 @@ export default function Scan() {
 
   // inputs
   const [crop, setCrop] = useState("Tomato");
-  const [pesticide, setPesticide] = useState("Generic");
-  const [dose, setDose] = useState(1); // UI name "dose", payload uses recommendedDose
+  const [growthStage, setGrowthStage] = useState("vegetative");
+  const [crops, setCrops] = useState({ items: [], stages: [] }); // crop catalog (free text still works)
+  const [mix, setMix] = useState(() => [newIngredient({ pesticide: "Generic" })]); // tank mix
+  const [catalog, setCatalog] = useState([]);
   const [daysSinceSpray, setDaysSinceSpray] = useState(3);
-  const [halfLifeDays, setHalfLifeDays] = useState(7);
+
+  // dilution calculator (shared by every product in the tank)
+  const [tankVolumeL, setTankVolumeL] = useState(200);
+  const [area, setArea] = useState("");
+  const [areaUnit, setAreaUnit] = useState("ha");
+  const [sprayLog, setSprayLog] = useState([]);
+  const [selectedSprayIds, setSelectedSprayIds] = useState([]); // empty = single spray entered by hand
 
   const [leafPh, setLeafPh] = useState(6.5);
   const [soilPh, setSoilPh] = useState(6.8);
   const [soilMoisture, setSoilMoisture] = useState(55);
+  // "not measured" inputs are sent empty; the engine samples a typical range instead
+  const [unknown, setUnknown] = useState({
+    leafPh: false,
+    soilPh: false,
+    soilMoisture: false,
+    leafWetnessHours: true, // most growers have no wetness sensor
+  });
 
   // weather
+  const [environment, setEnvironment] = useState(
+    () => localStorage.getItem(ENVIRONMENT_KEY) || "open-field"
+  );
   const [tempC, setTempC] = useState(30);
   const [humidity, setHumidity] = useState(60);
   const [rainMm24h, setRainMm24h] = useState(0);
+  const [leafWetnessHours, setLeafWetnessHours] = useState(0);
+  const [vpdMeasured, setVpdMeasured] = useState(""); // greenhouse climate computer, optional
   const [weatherStatus, setWeatherStatus] = useState("");
   const [weatherLoading, setWeatherLoading] = useState(false);
+  const [weatherLog, setWeatherLog] = useState(() => loadWeatherLog()); // daily mean temps on this device
+  const [waterLog, setWaterLog] = useState(() => loadWaterLog()); // rain + irrigation events on this device
 
   // UX
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [queuedNotice, setQueuedNotice] = useState(false);
   const [result, setResult] = useState(null);
+  const [levers, setLevers] = useState([]); // what-if: changes that lower the risk
+  const [riskBands, setRiskBands] = useState(FALLBACK_BANDS); // Low/Medium/High cut-offs for this crop
+
+  const recentSprays = useMemo(
+    () => sprayLog.filter((x) => {
+      const ago = daysSince(x.date);
+      return ago !== null && ago >= 0 && ago <= 60;
+    }),
+    [sprayLog]
+  );
+
+  const applications = useMemo(
+    () => recentSprays.filter((x) => selectedSprayIds.includes(x.id)).map(toApplication),
+    [recentSprays, selectedSprayIds]
+  );
+
+  // applied rate per hectare for each product in the tank
+  const doses = useMemo(
+    () =>
+      mix.map((g) => ({
+        key: g.key,
+        unit: g.unit,
+        labelRate: Number(g.labelRate) > 0 ? Number(g.labelRate) : null,
+        ...dilution({ amount: g.amount, tankVolumeL, area, areaUnit, labelRatePerHa: g.labelRate }),
+      })),
+    [mix, tankVolumeL, area, areaUnit]
+  );
+
+  // the most over-applied product decides the dose
+  const doseDriver = doses
+    .filter((d) => d.ratio != null)
+    .reduce((a, b) => (!a || b.ratio > a.ratio ? b : a), null);
+
+  // latest picked spray drives the single-spray fields (summary, legacy history)
+  const latestApplication = applications.length
+    ? applications.reduce((a, b) => (b.daysAgo < a.daysAgo ? b : a))
+    : null;
+
+  // daily temperatures from the oldest spray in the scan up to today
+  const sprayStart = applications.length
+    ? applications.reduce((a, b) => (b.daysAgo > a.daysAgo ? b : a)).date
+    : localDay(daysSinceSpray);
+  const sprayDays = applications.length ? Math.max(...applications.map((a) => a.daysAgo)) : Number(daysSinceSpray) || 0;
+  const tempSeries = useMemo(() => tempSeriesSince(sprayStart, weatherLog), [sprayStart, weatherLog]);
+  const covered = environment === "greenhouse"; // no rain, no outdoor weather
+  // rain and irrigation since the start of the (first) spray day
+  const waterEvents = useMemo(
+    () =>
+      waterEventsSince(new Date(`${sprayStart}T00:00:00`).toISOString(), waterLog).filter(
+        (e) => !covered || e.kind === "irrigation"
+      ),
+    [sprayStart, waterLog, covered]
+  );
+  const vpdComputed = computeVpd(tempC, humidity);
+  const waterMm = waterEvents.reduce((a, e) => a + (Number(e.mm) || 0), 0);
+
+  const cropEntry = crops.items.find((c) => c.name.toLowerCase() === crop.trim().toLowerCase()) || null;
+  const stageOptions = cropEntry ? cropEntry.stages : crops.stages;
 
   const inputs = useMemo(
     () => ({
       crop,
-      pesticide,
-      recommendedDose: Number(dose),
-      daysSinceSpray: Number(daysSinceSpray),
-      halfLifeDays: Number(halfLifeDays),
-      leafPh: Number(leafPh),
-      soilPh: Number(soilPh),
-      soilMoisture: Number(soilMoisture),
+      cropId: cropEntry?.id || null,
+      growthStage,
+      environment,
+      pesticide: mix.map((g) => g.pesticide.trim()).filter(Boolean).join(" + "),
+      pesticideId: mix[0]?.product?.id || null,
+      // absolute rates when the calculator is filled in, else assume label rate (relative 1)
+      ...(doseDriver
+        ? {
+            appliedDose: round2(doseDriver.perHa),
+            recommendedDose: doseDriver.labelRate,
+            doseUnit: `${doseDriver.unit}/ha`,
+            doseRatio: round2(doseDriver.ratio),
+          }
+        : { recommendedDose: 1 }),
+      tank: {
+        volumeL: Number(tankVolumeL) || null,
+        area: Number(area) || null,
+        areaUnit,
+      },
+      daysSinceSpray: latestApplication ? latestApplication.daysAgo : Number(daysSinceSpray),
+      // most persistent product in the tank
+      halfLifeDays: latestApplication
+        ? Number(latestApplication.halfLifeDays)
+        : Math.max(...mix.map((g) => Number(g.halfLifeDays) || 0)),
+      ...(applications.length ? { applications } : {}),
+      ...(!applications.length && mix.length > 1
+        ? {
+            ingredients: mix.map((g, i) => ({
+              pesticide: g.pesticide.trim() || "Unknown",
+              pesticideId: g.product?.id || null,
+              halfLifeDays: Number(g.halfLifeDays),
+              dose: doses[i].perHa != null ? round2(doses[i].perHa) : null,
+              recommendedDose: doses[i].labelRate,
+              doseUnit: `${g.unit}/ha`,
+            })),
+          }
+        : {}),
+      leafPh: unknown.leafPh ? null : Number(leafPh),
+      soilPh: unknown.soilPh ? null : Number(soilPh),
+      soilMoisture: unknown.soilMoisture ? null : Number(soilMoisture),
       weather: {
         tempC: Number(tempC),
         humidity: Number(humidity),
-        rainMm24h: Number(rainMm24h),
+        ...(covered ? {} : { rainMm24h: Number(rainMm24h) }),
+        leafWetnessHours: unknown.leafWetnessHours ? null : Number(leafWetnessHours),
+        ...(covered && vpdMeasured !== "" ? { vpdKpa: Number(vpdMeasured) } : {}),
       },
+      ...(tempSeries.length ? { tempSeries } : {}),
+      // timestamped events replace the rough 24 h rain figure
+      ...(waterEvents.length ? { waterEvents } : {}),
       imageStress: Number(imageStress),
       symptoms,
     }),
     [
       crop,
-      pesticide,
-      dose,
+      cropEntry,
+      growthStage,
+      environment,
+      covered,
+      mix,
+      doses,
+      doseDriver,
+      tankVolumeL,
+      area,
+      areaUnit,
       daysSinceSpray,
-      halfLifeDays,
+      applications,
+      latestApplication,
       leafPh,
       soilPh,
       soilMoisture,
+      unknown,
       tempC,
       humidity,
       rainMm24h,
+      leafWetnessHours,
+      vpdMeasured,
+      tempSeries,
+      waterEvents,
       imageStress,
       symptoms,
     ]
   );
 
+  useEffect(() => {
+    const log = loadSprayLog();
+    setSprayLog(log);
+    // default: the most recent spray from the last 60 days
+    const latest = log.find((x) => {
+      const ago = daysSince(x.date);
+      return ago !== null && ago >= 0 && ago <= 60;
+    });
+    if (latest) setSelectedSprayIds([latest.id]);
+  }, []);
+
+  function pickEnvironment(id) {
+    setEnvironment(id);
+    localStorage.setItem(ENVIRONMENT_KEY, id);
+  }
+
+  function toggleSpray(id) {
+    setSelectedSprayIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }
+
+  // Crop catalog: picker + the growth stages each crop goes through
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetch("/api/crops", { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : { items: [], stages: [] }))
+      .then((data) =>
+        setCrops({
+          items: Array.isArray(data?.items) ? data.items : [],
+          stages: Array.isArray(data?.stages) ? data.stages : [],
+        })
+      )
+      .catch(() => {});
+    return () => ctrl.abort();
+  }, []);
+
+  // a stage the picked crop doesn't go through falls back to its first one
+  useEffect(() => {
+    if (stageOptions.length && !stageOptions.some((s) => s.id === growthStage)) {
+      setGrowthStage(stageOptions.some((s) => s.id === "vegetative") ? "vegetative" : stageOptions[0].id);
+    }
+  }, [stageOptions, growthStage]);
+
+  // Pesticide catalog (free text still works if the API is unreachable)
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetch("/api/pesticides?limit=100", { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : { items: [] }))
+      .then((data) => setCatalog(Array.isArray(data?.items) ? data.items : []))
+      .catch(() => {});
+    return () => ctrl.abort();
+  }, []);
+
   const resultMeta = useMemo(() => {
     const rp = result?.riskPercent;
-    return getRiskMeta(result?.level, typeof rp === "number" ? rp : null);
-  }, [result]);
+    return getRiskMeta(result?.level, typeof rp === "number" ? rp : null, riskBands);
+  }, [result, riskBands]);
 
   function resetAll() {
     setStep(1);
@@ -271,19 +545,13 @@ export default function Scan() {
     setPhotoMetrics(null);
 
     setResult(null);
+    setLevers([]);
     setError("");
     setLoading(false);
 
     setWeatherStatus("");
   }
 
-  function saveToHistory(record) {
-    const existing = safeJsonParse(localStorage.getItem(LS_KEY), []);
-    const arr = Array.isArray(existing) ? existing : [];
-    arr.unshift(record);
-    localStorage.setItem(LS_KEY, JSON.stringify(arr.slice(0, 50)));
-  }
-
   async function onPickImage(file) {
     setError("");
     setResult(null);
@@ -358,10 +626,12 @@ export default function Scan() {
       const lat = pos.coords.latitude;
       const lon = pos.coords.longitude;
 
-      const w = await fetchWeatherOpenMeteo(lat, lon);
+      const w = await fetchWeather(lat, lon);
       if (typeof w.tempC === "number") setTempC(Math.round(w.tempC * 10) / 10);
       if (typeof w.humidity === "number") setHumidity(Math.round(w.humidity));
       if (typeof w.rainMm24h === "number") setRainMm24h(Math.round(w.rainMm24h * 10) / 10);
+      if (w.dailyTemps.length) setWeatherLog(saveDailyTemps(w.dailyTemps, w.provider || "weather"));
+      if (w.rainHours.length) setWaterLog(saveRainHours(w.rainHours, w.provider || "weather"));
 
       setWeatherStatus("Weather auto-filled from your location.");
     } catch {
@@ -371,43 +641,92 @@ export default function Scan() {
     }
   }
 
+  async function importWeatherCsv(file) {
+    if (!file) return;
+    const days = parseWeatherCsv(await file.text());
+    if (!days.length) {
+      setWeatherStatus("No rows found. Use a CSV with date (YYYY-MM-DD) and daily mean temperature (°C).");
+      return;
+    }
+    setWeatherLog(saveDailyTemps(days, "import"));
+    setWeatherStatus(`Imported ${days.length} day${days.length === 1 ? "" : "s"} of temperatures.`);
+  }
+
+  // best-effort: the result is already shown, levers appear when ready
+  async function loadLevers(scanInputs, modelVersion) {
+    try {
+      const res = await fetch("/api/scan/what-if", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ inputs: scanInputs, modelVersion }),
+      });
+      const data = await res.json();
+      if (res.ok && Array.isArray(data?.levers)) setLevers(data.levers);
+    } catch {
+      setLevers([]);
+    }
+  }
+
   async function onAnalyze() {
     setError("");
     setLoading(true);
     setResult(null);
+    setLevers([]);
+    setQueuedNotice(false);
 
     try {
       if (!imageFile) throw new Error("Please upload a leaf photo first.");
 
-      const fd = new FormData();
-      fd.append("image", imageFile);
-      fd.append("inputs", JSON.stringify(inputs));
-
-      const res = await fetch("/api/scan", { method: "POST", body: fd });
-
-      const text = await res.text();
-      const data = safeJsonParse(text, { error: text || "Unknown error" });
-      if (!res.ok) throw new Error(data?.error || "Scan failed. Please try again.");
+      const scanId = crypto.randomUUID();
+      const ai = { imageStress, symptoms, metrics: photoMetrics };
+
+      // logged in: the server keeps this scan in the account's history
+      let sent;
+      try {
+        const scan = { id: scanId, inputs, ai, image: imageFile };
+        sent = await postScan(scan, await getToken());
+        // session ended elsewhere: after the refresh this is "" (logged out) and the scan
+        // is scored as a guest; it stays queued for the account until they log in again
+        if (sent.status === 401 && token) sent = await postScan(scan, await refresh());
+      } catch (err) {
+        if (!isOfflineError(err)) throw err;
+        // no signal: keep photo + inputs on the device, sent when the connection is back
+        await queueScan({ id: scanId, inputs, ai, image: imageFile, owner: historyKey() });
+        setQueuedNotice(true);
+        return;
+      }
+      const { data } = sent;
+      if (!sent.ok) throw new Error(data?.error || "Scan failed. Please try again.");
 
       const normalized = normalizeResult(data);
       if (Number.isNaN(normalized.riskPercent)) normalized.riskPercent = null;
 
       setResult(normalized);
       setStep(4);
-
-      saveToHistory({
-        id: crypto.randomUUID(),
-        createdAt: new Date().toISOString(),
-        inputs,
-        result: {
-          riskPercent: normalized.riskPercent,
-          level: normalized.level,
-          breakdown: normalized.breakdown,
-          tips: normalized.tips,
-        },
-        image: { name: imageFile.name, type: imageFile.type, size: imageFile.size },
-        ai: { imageStress, symptoms, metrics: photoMetrics },
-      });
+      loadLevers(inputs, normalized.modelVersion);
+      fetchRiskBands({ crop: inputs.crop, org: inputs.org }).then(setRiskBands);
+
+      if (token && !data.savedScanId) {
+        // scored, but the account couldn't store it: the queue retries the save
+        await queueScan({
+          id: scanId,
+          inputs,
+          ai,
+          image: imageFile,
+          owner: historyKey(),
+          error: "Couldn’t save to your account yet.",
+        });
+      } else if (!token) {
+        // guests: history lives on this device
+        upsertLocalScan(historyKey(), {
+          id: scanId,
+          createdAt: new Date().toISOString(),
+          inputs,
+          result: historyResult(normalized),
+          image: { name: imageFile.name, type: imageFile.type, size: imageFile.size },
+          ai,
+        });
+      }
     } catch (e) {
       setError(e?.message || "Something went wrong.");
     } finally {
@@ -415,12 +734,49 @@ export default function Scan() {
     }
   }
 
+  function updateIngredient(key, patch) {
+    setMix((prev) => prev.map((g) => (g.key === key ? { ...g, ...patch } : g)));
+  }
+
+  function onIngredientInput(key, value) {
+    const match = catalog.find((p) => p.name.toLowerCase() === String(value).trim().toLowerCase());
+    // catalog half-life and label rate replace the guess; user can still fine-tune them
+    if (match) {
+      updateIngredient(key, {
+        pesticide: match.name,
+        product: match,
+        halfLifeDays: match.halfLifeDays,
+        labelRate: match.labelRatePerHa ?? "",
+        unit: match.rateUnit || "ml",
+      });
+    } else updateIngredient(key, { pesticide: value, product: null });
+  }
+
+  function addIngredient() {
+    setMix((prev) => [...prev, newIngredient()]);
+  }
+
+  function removeIngredient(key) {
+    setMix((prev) => (prev.length > 1 ? prev.filter((g) => g.key !== key) : prev));
+  }
+
   function applyPreset(p) {
+    setSelectedSprayIds([]); // presets describe a single spray
     setCrop(p.crop);
-    setPesticide(p.pesticide);
-    setDose(p.recommendedDose);
+    setMix([
+      newIngredient({
+        pesticide: p.pesticide,
+        halfLifeDays: p.halfLifeDays,
+        amount: p.amount,
+        unit: p.unit,
+        labelRate: p.labelRate,
+      }),
+    ]);
+    setTankVolumeL(p.tankVolumeL);
+    setArea(p.area);
+    setAreaUnit("ha");
     setDaysSinceSpray(p.daysSinceSpray);
-    setHalfLifeDays(p.halfLifeDays);
+    setUnknown((u) => ({ ...u, leafPh: false, soilPh: false, soilMoisture: false }));
     setLeafPh(p.leafPh);
     setSoilPh(p.soilPh);
     setSoilMoisture(p.soilMoisture);
@@ -437,10 +793,20 @@ export default function Scan() {
     daysSinceSprayLabel: "Days since last pesticide spray",
   };
 
+  const harvest = useMemo(() => describeSafeHarvest(result?.safeHarvest), [result]);
+  const band = useMemo(() => describeUncertainty(result?.uncertainty), [result]);
+  const phyto = result?.phytotoxicity || null;
+  const phytoMeta = useMemo(
+    () => getRiskMeta(phyto?.level, typeof phyto?.riskPercent === "number" ? phyto.riskPercent : null, riskBands),
+    [phyto, riskBands]
+  );
+  const phytoBand = useMemo(() => describeUncertainty(phyto?.uncertainty), [phyto]);
+
+  // engine-generated from the factor contributions; older engines send none
   const plainReason = useMemo(() => {
     if (!result) return "";
-    return makePlainEnglishReason(inputs, resultMeta);
-  }, [inputs, result, resultMeta]);
+    return result.explanation || `Estimated ${resultMeta.label} risk based on your inputs.`;
+  }, [result, resultMeta]);
 
   return (
     <div style={styles.page}>
@@ -475,6 +841,12 @@ export default function Scan() {
         </div>
 
         {error ? <div style={styles.errorBanner}>{error}</div> : null}
+        {queuedNotice ? (
+          <div style={styles.warnBanner}>
+            No connection right now. This scan is saved on your phone and will be sent automatically when you have
+            signal — see <Link to="/history">History</Link>.
+          </div>
+        ) : null}
         {photoWarn ? <div style={styles.warnBanner}>{photoWarn}</div> : null}
 
         {/* STEP 1 */}
@@ -557,32 +929,44 @@ export default function Scan() {
                 </div>
               ) : null}
 
-              <div style={styles.row2}>
-                <div style={styles.field}>
-                  <label style={styles.label}>Crop</label>
-                  <input value={crop} onChange={(e) => setCrop(e.target.value)} style={styles.input} />
-                </div>
+              <div style={styles.row3}>
                 <div style={styles.field}>
-                  <label style={styles.label}>Pesticide</label>
-                  <input value={pesticide} onChange={(e) => setPesticide(e.target.value)} style={styles.input} />
+                  <label style={styles.label} title="Pick from the catalog so damage is weighted for this crop.">Crop</label>
+                  <input
+                    value={crop}
+                    onChange={(e) => setCrop(e.target.value)}
+                    style={styles.input}
+                    list="ps-crop-catalog"
+                    placeholder="e.g. Tomato"
+                  />
+                  <datalist id="ps-crop-catalog">
+                    {crops.items.map((c) => (
+                      <option key={c.id} value={c.name} />
+                    ))}
+                  </datalist>
+                  {cropEntry ? (
+                    <small style={styles.help}>
+                      Soil pH {cropEntry.soilPh.min}–{cropEntry.soilPh.max}
+                      {cropEntry.sensitivity > 1.05 ? " · sensitive to spray damage" : ""}
+                    </small>
+                  ) : crop.trim() && crops.items.length ? (
+                    <small style={styles.help}>Not in the catalog: scored as a typical crop.</small>
+                  ) : null}
                 </div>
-              </div>
 
-              <div style={styles.row2}>
                 <div style={styles.field}>
-                  <label style={styles.label} title="1 = recommended dose. Higher values mean heavier dose.">
-                    Dose used (relative)
+                  <label style={styles.label} title="BBCH growth stage. Young plants and flowers are more easily damaged.">
+                    Growth stage
                   </label>
-                  <input
-                    type="number"
-                    value={dose}
-                    onChange={(e) => setDose(clampNum(e.target.value, 0.1, 10))}
-                    style={styles.input}
-                    step="0.1"
-                    min="0.1"
-                    max="10"
-                  />
-                  <small style={styles.help}>1 = recommended, &gt;1 = heavier</small>
+                  <select value={growthStage} onChange={(e) => setGrowthStage(e.target.value)} style={styles.input}>
+                    {(stageOptions.length ? stageOptions : [{ id: "vegetative", label: "Vegetative growth", bbch: "20–49" }]).map(
+                      (s) => (
+                        <option key={s.id} value={s.id}>
+                          {s.label} (BBCH {s.bbch})
+                        </option>
+                      )
+                    )}
+                  </select>
                 </div>
 
                 <div style={styles.field}>
@@ -591,32 +975,229 @@ export default function Scan() {
                   </label>
                   <input
                     type="number"
-                    value={daysSinceSpray}
+                    value={latestApplication ? latestApplication.daysAgo : daysSinceSpray}
                     onChange={(e) => setDaysSinceSpray(clampNum(e.target.value, 0, 60))}
                     style={styles.input}
                     min="0"
                     max="60"
+                    disabled={Boolean(latestApplication)}
                   />
+                  {latestApplication ? (
+                    <small style={styles.help}>From your spray log</small>
+                  ) : null}
                 </div>
               </div>
 
-              <div style={styles.row2}>
-                <div style={styles.field}>
-                  <label style={styles.label} title={copy.halfLifeHelp}>
-                    {copy.halfLifeLabel}
-                  </label>
-                  <input
-                    type="number"
-                    value={halfLifeDays}
-                    onChange={(e) => setHalfLifeDays(clampNum(e.target.value, 0.1, 120))}
-                    style={styles.input}
-                    step="0.1"
-                    min="0.1"
-                    max="120"
-                  />
-                  <small style={styles.help}>{copy.halfLifeHelp}</small>
+              <div style={styles.cardSoft}>
+                <div style={styles.cardSoftTitle}>
+                  {mix.length > 1 ? `Tank mix (${mix.length} products)` : "Product sprayed"}
+                </div>
+
+                <div style={styles.row3}>
+                  <div style={styles.field}>
+                    <label style={styles.label} title="Water + product mixed in the sprayer for this spray.">
+                      Tank volume (L)
+                    </label>
+                    <input
+                      type="number"
+                      value={tankVolumeL}
+                      onChange={(e) => setTankVolumeL(clampNum(e.target.value, 0, 100000))}
+                      style={styles.input}
+                      min="0"
+                    />
+                  </div>
+                  <div style={styles.field}>
+                    <label style={styles.label} title="Area covered by that tank.">
+                      Area sprayed
+                    </label>
+                    <input
+                      type="number"
+                      value={area}
+                      onChange={(e) => setArea(clampNum(e.target.value, 0, 100000))}
+                      style={styles.input}
+                      step="0.01"
+                      min="0"
+                      placeholder="e.g. 0.5"
+                    />
+                  </div>
+                  <div style={styles.field}>
+                    <label style={styles.label}>Area unit</label>
+                    <select value={areaUnit} onChange={(e) => setAreaUnit(e.target.value)} style={styles.input}>
+                      {Object.entries(AREA_UNITS).map(([k, u]) => (
+                        <option key={k} value={k}>{u.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <datalist id="ps-pesticide-catalog">
+                  {catalog.map((p) => (
+                    <option key={p.id} value={p.name}>
+                      {p.activeIngredient} · {p.type}
+                    </option>
+                  ))}
+                </datalist>
+
+                {mix.map((g, idx) => {
+                  const d = doses[idx];
+                  return (
+                    <div key={g.key} style={styles.mixRow}>
+                      <div style={styles.row4}>
+                        <div style={styles.field}>
+                          <label style={styles.label} title="Pick from the catalog to auto-fill breakdown time and label rate.">
+                            Pesticide {mix.length > 1 ? idx + 1 : ""}
+                          </label>
+                          <input
+                            value={g.pesticide}
+                            onChange={(e) => onIngredientInput(g.key, e.target.value)}
+                            list="ps-pesticide-catalog"
+                            placeholder="Search product or active ingredient"
+                            style={styles.input}
+                          />
+                        </div>
+
+                        <div style={styles.field}>
+                          <label style={styles.label} title="Product you put in the tank (not the water).">
+                            Amount in tank
+                          </label>
+                          <div style={{ display: "flex", gap: 6 }}>
+                            <input
+                              type="number"
+                              value={g.amount}
+                              onChange={(e) => updateIngredient(g.key, { amount: clampNum(e.target.value, 0, 1000000) })}
+                              style={{ ...styles.input, minWidth: 0, flex: 1 }}
+                              min="0"
+                            />
+                            <select
+                              value={g.unit}
+                              onChange={(e) => updateIngredient(g.key, { unit: e.target.value })}
+                              style={{ ...styles.input, padding: "10px 6px" }}
+                              disabled={Boolean(g.product)}
+                            >
+                              <option value="ml">ml</option>
+                              <option value="g">g</option>
+                            </select>
+                          </div>
+                        </div>
+
+                        <div style={styles.field}>
+                          <label style={styles.label} title="Recommended product rate per hectare from the label.">
+                            Label rate ({g.unit}/ha)
+                          </label>
+                          <input
+                            type="number"
+                            value={g.labelRate}
+                            onChange={(e) => updateIngredient(g.key, { labelRate: clampNum(e.target.value, 0, 1000000) })}
+                            style={styles.input}
+                            min="0"
+                          />
+                        </div>
+
+                        <div style={styles.field}>
+                          <label style={styles.label} title={copy.halfLifeHelp}>
+                            {copy.halfLifeLabel}
+                          </label>
+                          <input
+                            type="number"
+                            value={g.halfLifeDays}
+                            onChange={(e) => updateIngredient(g.key, { halfLifeDays: clampNum(e.target.value, 0.1, 120) })}
+                            style={styles.input}
+                            step="0.1"
+                            min="0.1"
+                            max="120"
+                          />
+                        </div>
+                      </div>
+
+                      <div style={{ marginBottom: 6, fontSize: 13 }}>
+                        {d.perHa != null ? (
+                          <span>
+                            Applied <b>{formatRate(d.perHa, g.unit)}</b>
+                            {d.perLitre != null ? ` · ${formatRate(d.perLitre, g.unit, "L")} in tank` : ""}
+                            {d.ratio != null ? (
+                              <b style={d.ratio > 1.05 ? styles.overDose : undefined}>
+                                {" "}· {d.ratio.toFixed(2)}× label rate{d.ratio > 1.05 ? " (over-applied)" : ""}
+                              </b>
+                            ) : (
+                              " · enter the label rate to compare"
+                            )}
+                          </span>
+                        ) : (
+                          <span style={styles.smallMuted}>
+                            Enter amount and area sprayed to check the dose. Until then the label rate is assumed.
+                          </span>
+                        )}
+                      </div>
+
+                      <div style={{ display: "flex", justifyContent: "space-between", gap: 10, alignItems: "center" }}>
+                        {g.product ? (
+                          <small style={styles.help}>
+                            {g.product.activeIngredient} · PHI {g.product.phiDays} days · Re-entry {g.product.reiHours} h
+                            {crop &&
+                            !g.product.targetCrops?.some((c) => c.toLowerCase() === crop.trim().toLowerCase())
+                              ? ` · not labelled for ${crop}`
+                              : ""}
+                          </small>
+                        ) : (
+                          <small style={styles.help}>Not from catalog: enter label rate and breakdown time manually.</small>
+                        )}
+                        {mix.length > 1 ? (
+                          <button style={styles.secondaryBtnSm} onClick={() => removeIngredient(g.key)}>
+                            Remove
+                          </button>
+                        ) : null}
+                      </div>
+                    </div>
+                  );
+                })}
+
+                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                  <button style={styles.secondaryBtnSm} onClick={addIngredient}>
+                    + Add product to tank mix
+                  </button>
+                  <span style={styles.smallMuted}>
+                    {doses[0]?.sprayVolumePerHa != null
+                      ? `Spray volume ${formatRate(doses[0].sprayVolumePerHa, "L")}. `
+                      : ""}
+                    {copy.halfLifeHelp}
+                  </span>
+                </div>
+              </div>
+
+              <div style={styles.cardSoft}>
+                <div style={styles.cardSoftTitle}>Recent sprays (last 60 days)</div>
+                {recentSprays.length ? (
+                  <div style={{ display: "grid", gap: 6 }}>
+                    {recentSprays.map((x) => {
+                      const ago = daysSince(x.date);
+                      return (
+                        <label key={x.id} style={styles.checkRow}>
+                          <input
+                            type="checkbox"
+                            checked={selectedSprayIds.includes(x.id)}
+                            onChange={() => toggleSpray(x.id)}
+                          />
+                          <span>
+                            <b>{x.pesticide}</b>
+                            {x.block ? ` · ${x.block}` : ""} · {ago === 0 ? "today" : `${ago} days ago`}
+                            {x.dose != null ? ` · dose ×${x.dose}` : ""}
+                          </span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                ) : (
+                  <div style={styles.smallMuted}>No sprays logged yet.</div>
+                )}
+                <div style={{ marginTop: 8, ...styles.smallMuted }}>
+                  {applications.length
+                    ? `Residue from ${applications.length} spray${applications.length === 1 ? "" : "s"} will be added up.`
+                    : "None picked: the spray entered above is used."}{" "}
+                  <Link to="/spray-log">Manage spray log</Link>
                 </div>
+              </div>
 
+              <div style={styles.row3}>
                 <div style={styles.field}>
                   <label style={styles.label} title="Soil moisture affects plant stress and residue persistence.">
                     Soil moisture (0–100)
@@ -628,13 +1209,13 @@ export default function Scan() {
                     style={styles.input}
                     min="0"
                     max="100"
+                    disabled={unknown.soilMoisture}
                   />
+                  <NotMeasured field="soilMoisture" unknown={unknown} setUnknown={setUnknown} />
                 </div>
-              </div>
 
-              <div style={styles.row2}>
                 <div style={styles.field}>
-                  <label style={styles.label} title="Optional. Leave as-is if unknown.">
+                  <label style={styles.label} title="Optional. Tick “Not measured” if unknown.">
                     Leaf pH
                   </label>
                   <input
@@ -645,10 +1226,12 @@ export default function Scan() {
                     step="0.1"
                     min="3"
                     max="10"
+                    disabled={unknown.leafPh}
                   />
+                  <NotMeasured field="leafPh" unknown={unknown} setUnknown={setUnknown} />
                 </div>
                 <div style={styles.field}>
-                  <label style={styles.label} title="Optional. Leave as-is if unknown.">
+                  <label style={styles.label} title="Optional. Tick “Not measured” if unknown.">
                     Soil pH
                   </label>
                   <input
@@ -659,32 +1242,139 @@ export default function Scan() {
                     step="0.1"
                     min="3"
                     max="10"
+                    disabled={unknown.soilPh}
                   />
+                  <NotMeasured field="soilPh" unknown={unknown} setUnknown={setUnknown} />
                 </div>
               </div>
 
               <div style={styles.cardSoft}>
                 <div style={styles.cardSoftTitle}>Weather</div>
-                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginBottom: 10 }}>
-                  <button style={styles.secondaryBtn} onClick={useMyWeather} disabled={weatherLoading}>
-                    {weatherLoading ? "Fetching..." : "Auto-fill from my location"}
-                  </button>
-                  {weatherStatus ? <span style={styles.smallMuted}>{weatherStatus}</span> : null}
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+                  {ENVIRONMENTS.map((env) => (
+                    <button
+                      key={env.id}
+                      type="button"
+                      style={environment === env.id ? styles.chipActive : styles.chip}
+                      onClick={() => pickEnvironment(env.id)}
+                    >
+                      {env.label}
+                    </button>
+                  ))}
+                </div>
+                <div style={{ ...styles.smallMuted, marginBottom: 10 }}>
+                  {ENVIRONMENTS.find((env) => env.id === environment)?.hint}
+                </div>
+
+                {covered ? null : (
+                  <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginBottom: 10 }}>
+                    <button style={styles.secondaryBtn} onClick={useMyWeather} disabled={weatherLoading}>
+                      {weatherLoading ? "Fetching..." : "Auto-fill from my location"}
+                    </button>
+                    {weatherStatus ? <span style={styles.smallMuted}>{weatherStatus}</span> : null}
+                  </div>
+                )}
+
+                <div style={{ ...styles.smallMuted, marginBottom: 10 }}>
+                  Daily temperatures since spraying:{" "}
+                  <b>
+                    {Math.min(tempSeries.length, Math.ceil(sprayDays) + 1)} of {Math.ceil(sprayDays) + 1} days
+                  </b>{" "}
+                  on record
+                  {tempSeries.length
+                    ? ` (avg ${Math.round(tempSeries.reduce((a, d) => a + d.tempC, 0) / tempSeries.length)} °C). Breakdown speed is adjusted for them.`
+                    : ". Without them the label half-life (at 20 °C) is used."}
+                  <label style={{ marginLeft: 8, cursor: "pointer", textDecoration: "underline" }}>
+                    Import CSV
+                    <input
+                      type="file"
+                      accept=".csv,text/csv,text/plain"
+                      style={{ display: "none" }}
+                      onChange={(e) => {
+                        importWeatherCsv(e.target.files?.[0]);
+                        e.target.value = "";
+                      }}
+                    />
+                  </label>
                 </div>
 
                 <div style={styles.row3}>
                   <div style={styles.field}>
-                    <label style={styles.label}>Temp (°C)</label>
+                    <label style={styles.label}>{covered ? "Temp inside (°C)" : "Temp (°C)"}</label>
                     <input type="number" value={tempC} onChange={(e) => setTempC(clampNum(e.target.value, -10, 55))} style={styles.input} />
                   </div>
                   <div style={styles.field}>
-                    <label style={styles.label}>Humidity (%)</label>
+                    <label style={styles.label}>{covered ? "Humidity inside (%)" : "Humidity (%)"}</label>
                     <input type="number" value={humidity} onChange={(e) => setHumidity(clampNum(e.target.value, 0, 100))} style={styles.input} min="0" max="100" />
                   </div>
+                  {covered ? (
+                    <div style={styles.field}>
+                      <label style={styles.label} title="Optional. From the climate computer; otherwise computed from temp and humidity.">
+                        VPD (kPa)
+                      </label>
+                      <input
+                        type="number"
+                        value={vpdMeasured}
+                        onChange={(e) => setVpdMeasured(e.target.value === "" ? "" : clampNum(e.target.value, 0, 6))}
+                        style={styles.input}
+                        min="0"
+                        max="6"
+                        step="0.05"
+                        placeholder={vpdComputed != null ? vpdComputed.toFixed(2) : ""}
+                      />
+                    </div>
+                  ) : (
+                    <div style={styles.field}>
+                      <label style={styles.label}>Rain last 24h (mm)</label>
+                      <input
+                        type="number"
+                        value={rainMm24h}
+                        onChange={(e) => setRainMm24h(clampNum(e.target.value, 0, 500))}
+                        style={styles.input}
+                        min="0"
+                        max="500"
+                        disabled={waterEvents.length > 0}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <div style={{ ...styles.row2, marginTop: 10 }}>
                   <div style={styles.field}>
-                    <label style={styles.label}>Rain last 24h (mm)</label>
-                    <input type="number" value={rainMm24h} onChange={(e) => setRainMm24h(clampNum(e.target.value, 0, 500))} style={styles.input} min="0" max="500" />
+                    <label style={styles.label} title="Hours the leaves stayed wet (dew, irrigation, rain) in the last 24 h.">
+                      Leaf wetness (h, last 24 h)
+                    </label>
+                    <input
+                      type="number"
+                      value={leafWetnessHours}
+                      onChange={(e) => setLeafWetnessHours(clampNum(e.target.value, 0, 24))}
+                      style={styles.input}
+                      min="0"
+                      max="24"
+                      disabled={unknown.leafWetnessHours}
+                    />
+                    <NotMeasured field="leafWetnessHours" unknown={unknown} setUnknown={setUnknown} />
                   </div>
+                  <div style={styles.field}>
+                    <label style={styles.label}>Air dryness (VPD)</label>
+                    <div style={{ ...styles.smallMuted, paddingTop: 8 }}>
+                      {covered && vpdMeasured !== ""
+                        ? `${Number(vpdMeasured).toFixed(2)} kPa (measured)`
+                        : vpdComputed != null
+                          ? `${vpdComputed.toFixed(2)} kPa from temp and humidity`
+                          : "—"}
+                      . Comfortable range is 0.8–1.5 kPa.
+                    </div>
+                  </div>
+                </div>
+
+                <div style={{ marginTop: 8, ...styles.smallMuted }}>
+                  {waterEvents.length
+                    ? `Wash-off uses ${waterEvents.length} ${covered ? "irrigation" : "rain/irrigation"} event${waterEvents.length === 1 ? "" : "s"} since spraying (${Math.round(waterMm * 10) / 10} mm). `
+                    : covered
+                      ? "No overhead irrigation logged since spraying. "
+                      : "No timestamped rain or irrigation since spraying; the 24 h figure is used. "}
+                  <Link to="/spray-log" style={{ fontWeight: 800 }}>Log irrigation</Link>
                 </div>
               </div>
 
@@ -707,9 +1397,25 @@ export default function Scan() {
 
             <div style={styles.summaryGrid}>
               <div style={styles.summaryItem}><span style={styles.summaryKey}>Crop</span><span>{inputs.crop}</span></div>
+              <div style={styles.summaryItem}>
+                <span style={styles.summaryKey}>Growing in</span>
+                <span>{ENVIRONMENTS.find((env) => env.id === environment)?.label}</span>
+              </div>
+              <div style={styles.summaryItem}>
+                <span style={styles.summaryKey}>Growth stage</span>
+                <span>{stageOptions.find((s) => s.id === growthStage)?.label ?? growthStage}</span>
+              </div>
               <div style={styles.summaryItem}><span style={styles.summaryKey}>Pesticide</span><span>{inputs.pesticide}</span></div>
-              <div style={styles.summaryItem}><span style={styles.summaryKey}>Dose</span><span>{inputs.recommendedDose}</span></div>
+              <div style={styles.summaryItem}>
+                <span style={styles.summaryKey}>Dose</span>
+                <span>
+                  {doseDriver
+                    ? `${formatRate(doseDriver.perHa, doseDriver.unit)} (${doseDriver.ratio.toFixed(2)}× label)`
+                    : "Label rate (assumed)"}
+                </span>
+              </div>
               <div style={styles.summaryItem}><span style={styles.summaryKey}>Days since spray</span><span>{inputs.daysSinceSpray}</span></div>
+              <div style={styles.summaryItem}><span style={styles.summaryKey}>Sprays counted</span><span>{applications.length || 1}</span></div>
               <div style={styles.summaryItem}><span style={styles.summaryKey}>Breakdown time</span><span>{inputs.halfLifeDays} days</span></div>
               <div style={styles.summaryItem}><span style={styles.summaryKey}>AI stress</span><span>{inputs.imageStress}/100</span></div>
             </div>
@@ -736,29 +1442,86 @@ export default function Scan() {
           <div style={styles.card}>
             <h2 style={styles.h2}>4) Result</h2>
 
-            <div style={styles.resultTop}>
-              <div style={{ ...styles.bigNumber, ...stylesRisk.bigNumber(resultMeta.tone) }}>
-                {result.riskPercent === null || Number.isNaN(result.riskPercent)
-                  ? "—"
-                  : `${Math.round(result.riskPercent)}%`}
-              </div>
-              <div>
-                <div style={{ ...styles.levelPill, ...stylesRisk.levelPill(resultMeta.tone) }}>
-                  {resultMeta.label}
+            <div style={styles.grid2}>
+              <ScoreSummary
+                title="Residue risk"
+                subtitle="Is the produce safe to eat? (dose, breakdown, PHI)"
+                riskPercent={result.riskPercent}
+                meta={resultMeta}
+                band={band}
+              />
+              {phyto ? (
+                <ScoreSummary
+                  title="Plant damage risk"
+                  subtitle="Is the spray burning the plant? (leaf symptoms, heat, pH)"
+                  riskPercent={phyto.riskPercent}
+                  meta={phytoMeta}
+                  band={phytoBand}
+                />
+              ) : (
+                <div style={styles.cardSoft}>
+                  <div style={styles.cardSoftTitle}>Plant damage risk</div>
+                  <div style={styles.smallMuted}>This scoring model does not score plant damage separately.</div>
                 </div>
-                <div style={styles.smallMuted}>Risk estimate + phytotoxicity likelihood</div>
-              </div>
+              )}
+            </div>
+            <div style={{ margin: "8px 0 14px", ...styles.smallMuted }}>
+              {bandsText(riskBands)}
+              {result.modelVersion ? ` · Model ${result.modelVersion}` : ""}
             </div>
 
-            {/* Plain-English explanation */}
-            <div style={styles.cardSoft}>
-              <div style={styles.cardSoftTitle}>Why this result?</div>
-              <div style={{ color: "rgba(15,61,42,0.88)", lineHeight: 1.55 }}>
-                {plainReason}
+            {harvest ? (
+              <div style={styles.cardSoft}>
+                <div style={styles.cardSoftTitle}>Earliest safe harvest</div>
+                <div style={{ fontSize: 18, fontWeight: 900 }}>{harvest.headline}</div>
+                <div style={{ marginTop: 6, ...styles.smallMuted }}>{harvest.detail}</div>
               </div>
-              <div style={{ marginTop: 10, ...styles.smallMuted }}>
-                Disclaimer: AI score is a visual proxy. Always follow label instructions and safe waiting intervals.
+            ) : null}
+
+            {band ? (
+              <div style={styles.cardSoft}>
+                <div style={styles.cardSoftTitle}>How sure is the residue risk?</div>
+                <div>Chance of each level: {band.probs}</div>
+                <div style={{ marginTop: 6, ...styles.smallMuted }}>
+                  {band.assumed.length
+                    ? `Not measured, so a typical range was used: ${band.assumed.join(", ")}. Measuring them narrows the range.`
+                    : "Range comes from normal measurement error in your inputs."}
+                </div>
               </div>
+            ) : null}
+
+            {levers.length ? (
+              <div style={styles.cardSoft}>
+                <div style={styles.cardSoftTitle}>What would lower the residue risk</div>
+                <div style={styles.breakdownList}>
+                  {levers.map((l) => (
+                    <div key={l.kind} style={styles.breakRow}>
+                      <span>{l.label}</span>
+                      <span>
+                        → <b>{l.level}</b> ({l.riskPercent}%)
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <div style={{ marginTop: 6, ...styles.smallMuted }}>
+                  Each line changes one thing and keeps the rest of your inputs.
+                </div>
+              </div>
+            ) : null}
+
+            {/* Plain-English explanation, one per score */}
+            <div style={styles.grid2}>
+              <WhyCard title="Why this residue risk?" reason={plainReason} contributions={result.contributions} />
+              {phyto ? (
+                <WhyCard
+                  title="Why this plant damage risk?"
+                  reason={phyto.explanation || `Estimated ${phytoMeta.label} plant damage risk.`}
+                  contributions={phyto.contributions}
+                />
+              ) : null}
+            </div>
+            <div style={{ margin: "8px 0 14px", ...styles.smallMuted }}>
+              Disclaimer: AI score is a visual proxy. Always follow label instructions and safe waiting intervals.
             </div>
 
             <div style={styles.grid2}>
@@ -772,12 +1535,45 @@ export default function Scan() {
                       <div key={k} style={styles.breakRow}>
                         <span style={styles.breakKey}>{prettyLabel(k)}</span>
                         <span style={styles.breakVal}>
-                          {typeof v === "number" ? v.toFixed(3) : String(v)}
+                          {typeof v === "number" ? v.toFixed(3) : String(v ?? "—")}
                         </span>
                       </div>
                     ))}
                   </div>
                 )}
+
+                {phyto && Object.keys(phyto.breakdown).length ? (
+                  <>
+                    <div style={{ ...styles.cardSoftTitle, marginTop: 12 }}>Plant damage</div>
+                    <div style={styles.breakdownList}>
+                      {Object.entries(phyto.breakdown).map(([k, v]) => (
+                        <div key={k} style={styles.breakRow}>
+                          <span style={styles.breakKey}>{prettyLabel(k)}</span>
+                          <span style={styles.breakVal}>
+                            {typeof v === "number" ? v.toFixed(3) : String(v ?? "—")}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                ) : null}
+
+                {result.ingredients.length > 1 ? (
+                  <>
+                    <div style={{ ...styles.cardSoftTitle, marginTop: 12 }}>Residue by ingredient</div>
+                    <div style={styles.breakdownList}>
+                      {result.ingredients.map((g, idx) => (
+                        <div key={`${g.pesticide}-${idx}`} style={styles.breakRow}>
+                          <span style={styles.breakKey}>
+                            {g.pesticide}
+                            {idx === 0 ? <b> · drives risk</b> : null}
+                          </span>
+                          <span style={styles.breakVal}>{Math.round((Number(g.share) || 0) * 100)}%</span>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                ) : null}
               </div>
 
               <div style={styles.cardSoft}>
@@ -790,6 +1586,15 @@ export default function Scan() {
                   <div style={styles.smallMuted}>No tips returned.</div>
                 )}
 
+                {phyto?.tips.length ? (
+                  <>
+                    <div style={{ ...styles.cardSoftTitle, marginTop: 12 }}>For the plant</div>
+                    <ul style={styles.ul}>
+                      {phyto.tips.slice(0, 6).map((t, idx) => <li key={idx} style={styles.liFixed}>{t}</li>)}
+                    </ul>
+                  </>
+                ) : null}
+
                 <div style={{ display: "flex", gap: 10, marginTop: 12 }}>
                   <button style={styles.secondaryBtn} onClick={() => setStep(2)}>Edit inputs</button>
                   <button style={styles.primaryBtn} onClick={resetAll}>New scan</button>
@@ -808,6 +1613,63 @@ export default function Scan() {
   );
 }
 
+function ScoreSummary({ title, subtitle, riskPercent, meta, band }) {
+  return (
+    <div style={styles.cardSoft}>
+      <div style={styles.cardSoftTitle}>{title}</div>
+      <div style={styles.resultTop}>
+        <div style={{ ...styles.bigNumber, ...stylesRisk.bigNumber(meta.tone) }}>
+          {riskPercent === null || Number.isNaN(riskPercent) ? "—" : `${Math.round(riskPercent)}%`}
+        </div>
+        <div>
+          <div style={{ ...styles.levelPill, ...stylesRisk.levelPill(meta.tone) }}>{meta.label}</div>
+          <div style={styles.smallMuted}>{subtitle}</div>
+          {band ? (
+            <div style={{ marginTop: 4, fontSize: 13 }} title={band.probs}>
+              Likely range <b>{band.range}</b> ({band.confidence}% interval)
+            </div>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function WhyCard({ title, reason, contributions }) {
+  return (
+    <div style={styles.cardSoft}>
+      <div style={styles.cardSoftTitle}>{title}</div>
+      <div style={{ color: "rgba(15,61,42,0.88)", lineHeight: 1.55 }}>{reason}</div>
+      {contributions.length ? (
+        <div style={{ display: "grid", gap: 6, marginTop: 10 }}>
+          {contributions.map((c) => (
+            <div key={c.factor} style={styles.contribRow}>
+              <span style={styles.contribLabel}>{c.label}</span>
+              <span style={styles.contribTrack}>
+                <span style={{ ...styles.contribBar, width: `${Math.min(100, (c.points / 30) * 100)}%` }} />
+              </span>
+              <span style={styles.breakVal}>+{c.points.toFixed(1)}</span>
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function NotMeasured({ field, unknown, setUnknown }) {
+  return (
+    <label style={{ ...styles.checkRow, fontSize: 12 }}>
+      <input
+        type="checkbox"
+        checked={unknown[field]}
+        onChange={(e) => setUnknown((prev) => ({ ...prev, [field]: e.target.checked }))}
+      />
+      Not measured
+    </label>
+  );
+}
+
 const stylesRisk = {
   bigNumber: (tone) => {
     if (tone === "red") return { color: "rgba(239,68,68,0.92)" };
@@ -928,6 +1790,13 @@ const styles = {
   grid2: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 14 },
   row2: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 },
   row3: { display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 10 },
+  row4: { display: "grid", gridTemplateColumns: "2fr 1.3fr 1fr 1fr", gap: 10 },
+
+  mixRow: {
+    paddingBottom: 10,
+    marginBottom: 10,
+    borderBottom: "1px dashed rgba(15,61,42,0.14)",
+  },
 
   field: { display: "flex", flexDirection: "column", gap: 6, marginBottom: 10 },
   label: { fontSize: 12, color: "rgba(15,61,42,0.70)" },
@@ -942,6 +1811,16 @@ const styles = {
   },
 
   help: { color: "rgba(15,61,42,0.58)" },
+  overDose: { color: "rgba(239,68,68,0.92)" },
+
+  checkRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    fontSize: 13,
+    color: "rgba(15,61,42,0.86)",
+    cursor: "pointer",
+  },
 
   previewImg: {
     width: "100%",
@@ -988,6 +1867,26 @@ const styles = {
     fontWeight: 800,
     fontSize: 12,
   },
+  chip: {
+    padding: "8px 12px",
+    borderRadius: 999,
+    border: "1px solid rgba(15,61,42,0.14)",
+    background: "rgba(255,255,255,0.70)",
+    color: "rgba(15,61,42,0.80)",
+    cursor: "pointer",
+    fontWeight: 800,
+    fontSize: 13,
+  },
+  chipActive: {
+    padding: "8px 12px",
+    borderRadius: 999,
+    border: "1px solid rgba(38,199,102,0.45)",
+    background: "rgba(38,199,102,0.16)",
+    color: "rgba(15,61,42,0.95)",
+    cursor: "pointer",
+    fontWeight: 800,
+    fontSize: 13,
+  },
 
   errorBanner: {
     marginBottom: 12,
@@ -1049,6 +1948,17 @@ const styles = {
   smallMuted: { color: "rgba(15,61,42,0.60)", fontSize: 12 },
 
   breakdownList: { display: "grid", gap: 8 },
+
+  contribRow: { display: "grid", gridTemplateColumns: "130px 1fr 48px", gap: 10, alignItems: "center" },
+  contribLabel: { fontSize: 12, color: "rgba(15,61,42,0.70)" },
+  contribTrack: {
+    height: 8,
+    borderRadius: 999,
+    background: "rgba(255,255,255,0.75)",
+    border: "1px solid rgba(15,61,42,0.08)",
+    overflow: "hidden",
+  },
+  contribBar: { display: "block", height: "100%", background: "rgba(38,199,102,0.55)" },
   breakRow: {
     display: "flex",
     justifyContent: "space-between",
@@ -0,0 +1,388 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { addSpray, daysSince, loadSprayLog, removeSpray } from "./utils/sprayLog.js";
+import { addWaterEvent, loadWaterLog, removeWaterEvent } from "./utils/waterLog.js";
+
+function todayStr() {
+  const d = new Date();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${m}-${day}`;
+}
+
+// datetime-local value for "now" (local time, minutes)
+function nowLocalStr() {
+  const d = new Date();
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+}
+
+function newRow() {
+  return { key: crypto.randomUUID(), pesticide: "", product: null, halfLifeDays: 7, dose: 1 };
+}
+
+export default function SprayLog() {
+  const [entries, setEntries] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+
+  const [date, setDate] = useState(todayStr());
+  const [block, setBlock] = useState("");
+  const [rows, setRows] = useState(() => [newRow()]); // one row per product in the tank
+  const [notes, setNotes] = useState("");
+  const [status, setStatus] = useState("");
+
+  // rain / overhead irrigation (washes residue off)
+  const [water, setWater] = useState([]);
+  const [waterAt, setWaterAt] = useState(nowLocalStr());
+  const [waterMm, setWaterMm] = useState(10);
+  const [waterKind, setWaterKind] = useState("irrigation");
+  const [waterStatus, setWaterStatus] = useState("");
+
+  useEffect(() => {
+    setEntries(loadSprayLog());
+    setWater(loadWaterLog());
+  }, []);
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetch("/api/pesticides?limit=100", { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : { items: [] }))
+      .then((data) => setCatalog(Array.isArray(data?.items) ? data.items : []))
+      .catch(() => {});
+    return () => ctrl.abort();
+  }, []);
+
+  function updateRow(key, patch) {
+    setRows((prev) => prev.map((r) => (r.key === key ? { ...r, ...patch } : r)));
+  }
+
+  function onPesticideInput(key, value) {
+    const match = catalog.find((p) => p.name.toLowerCase() === value.trim().toLowerCase());
+    if (match) updateRow(key, { pesticide: match.name, product: match, halfLifeDays: match.halfLifeDays });
+    else updateRow(key, { pesticide: value, product: null });
+  }
+
+  function onAdd(e) {
+    e.preventDefault();
+    setStatus("");
+
+    const filled = rows.filter((r) => r.pesticide.trim());
+    if (!filled.length) {
+      setStatus("Please enter the product you sprayed.");
+      return;
+    }
+    if (daysSince(date) < 0) {
+      setStatus("Spray date can’t be in the future.");
+      return;
+    }
+
+    const ingredients = filled.map((r) => ({
+      pesticide: r.pesticide.trim(),
+      pesticideId: r.product?.id || null,
+      halfLifeDays: Number(r.halfLifeDays),
+      phiDays: r.product?.phiDays ?? null,
+      dose: Number(r.dose),
+      recommendedDose: 1,
+    }));
+
+    const next = addSpray({
+      date,
+      block: block.trim(),
+      pesticide: ingredients.map((g) => g.pesticide).join(" + "),
+      // single product keeps the flat shape; tank mixes list every product
+      ...(ingredients.length === 1 ? ingredients[0] : { ingredients }),
+      notes: notes.trim(),
+    });
+
+    setEntries(next);
+    setRows([newRow()]);
+    setNotes("");
+    setStatus("Spray added to your log.");
+    setTimeout(() => setStatus(""), 2000);
+  }
+
+  function onDelete(id) {
+    setEntries(removeSpray(id));
+  }
+
+  function onAddWater(e) {
+    e.preventDefault();
+    setWaterStatus("");
+
+    const at = new Date(waterAt);
+    if (Number.isNaN(at.getTime()) || at.getTime() > Date.now()) {
+      setWaterStatus("Pick a time that isn’t in the future.");
+      return;
+    }
+    if (!(Number(waterMm) > 0)) {
+      setWaterStatus("Enter how much water fell (mm).");
+      return;
+    }
+
+    setWater(addWaterEvent({ at: at.toISOString(), mm: Number(waterMm), kind: waterKind }));
+    setWaterStatus(`${waterKind === "rain" ? "Rain" : "Irrigation"} added to your log.`);
+    setTimeout(() => setWaterStatus(""), 2000);
+  }
+
+  return (
+    <div className="ps-page">
+      <div className="mb-5 md:mb-6">
+        <h1 className="text-2xl md:text-3xl font-extrabold tracking-tight text-emerald-950">
+          Spray Log
+        </h1>
+        <p className="mt-1 ps-muted">
+          Record each application. Pick recent sprays on the <Link to="/scan" className="font-extrabold text-emerald-800 hover:underline">Scan</Link> page
+          so residue from all of them is counted.
+        </p>
+      </div>
+
+      <div className="ps-card">
+        {status ? (
+          <div className="mb-5 rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-900">
+            {status}
+          </div>
+        ) : null}
+
+        <form onSubmit={onAdd} className="space-y-5">
+          <div className="grid gap-5 md:grid-cols-2">
+            <Field label="Spray date">
+              <input
+                type="date"
+                className="ps-input"
+                value={date}
+                max={todayStr()}
+                onChange={(e) => setDate(e.target.value)}
+                required
+              />
+            </Field>
+
+            <Field label="Block / field (optional)">
+              <input
+                className="ps-input"
+                value={block}
+                onChange={(e) => setBlock(e.target.value)}
+                placeholder="e.g. North block"
+              />
+            </Field>
+          </div>
+
+          <datalist id="ps-spraylog-catalog">
+            {catalog.map((p) => (
+              <option key={p.id} value={p.name}>
+                {p.activeIngredient} · {p.type}
+              </option>
+            ))}
+          </datalist>
+
+          {rows.map((r, idx) => (
+            <div key={r.key} className="rounded-2xl border border-emerald-200 bg-white/60 p-4 space-y-4">
+              <Field label={rows.length > 1 ? `Product ${idx + 1} (tank mix)` : "Product"}>
+                <input
+                  className="ps-input"
+                  value={r.pesticide}
+                  onChange={(e) => onPesticideInput(r.key, e.target.value)}
+                  list="ps-spraylog-catalog"
+                  placeholder="Search product or active ingredient"
+                  required={idx === 0}
+                />
+                {r.product ? (
+                  <div className="mt-2 text-xs ps-muted">
+                    {r.product.activeIngredient} · PHI {r.product.phiDays} days · Re-entry {r.product.reiHours} h
+                  </div>
+                ) : null}
+              </Field>
+
+              <div className="grid gap-5 md:grid-cols-2">
+                <Field label="Breakdown time (days)">
+                  <input
+                    type="number"
+                    className="ps-input"
+                    value={r.halfLifeDays}
+                    onChange={(e) => updateRow(r.key, { halfLifeDays: e.target.value })}
+                    min="0.1"
+                    max="120"
+                    step="0.1"
+                  />
+                </Field>
+
+                <Field label="Dose used (1 = label rate)">
+                  <input
+                    type="number"
+                    className="ps-input"
+                    value={r.dose}
+                    onChange={(e) => updateRow(r.key, { dose: e.target.value })}
+                    min="0.1"
+                    max="10"
+                    step="0.1"
+                  />
+                </Field>
+              </div>
+
+              {rows.length > 1 ? (
+                <button
+                  type="button"
+                  onClick={() => setRows((prev) => prev.filter((x) => x.key !== r.key))}
+                  className="ps-btn text-sm"
+                >
+                  Remove product
+                </button>
+              ) : null}
+            </div>
+          ))}
+
+          <button type="button" onClick={() => setRows((prev) => [...prev, newRow()])} className="ps-btn text-sm">
+            + Add product to tank mix
+          </button>
+
+          <Field label="Notes (optional)">
+            <input
+              className="ps-input"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Target pest, weather, sprayer…"
+            />
+          </Field>
+
+          <div className="pt-1">
+            <button type="submit" className="ps-btn ps-btn-primary">
+              Add spray
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="ps-card mt-6">
+        <div className="text-xs font-extrabold text-emerald-950/70 mb-3">
+          Logged sprays ({entries.length})
+        </div>
+
+        {!entries.length ? (
+          <div className="text-sm ps-muted">No sprays logged yet.</div>
+        ) : (
+          <div className="space-y-3">
+            {entries.map((x) => {
+              const ago = daysSince(x.date);
+              return (
+                <div
+                  key={x.id}
+                  className="flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-emerald-200 bg-white/60 px-4 py-3"
+                >
+                  <div className="min-w-0">
+                    <div className="font-extrabold text-emerald-950">
+                      {x.pesticide}
+                      {x.block ? <span className="font-semibold ps-muted"> · {x.block}</span> : null}
+                    </div>
+                    <div className="text-xs ps-muted">
+                      {x.date} ({ago === 0 ? "today" : `${ago} days ago`})
+                      {Array.isArray(x.ingredients)
+                        ? ` · tank mix of ${x.ingredients.length}`
+                        : ` · dose ×${x.dose} · breakdown ${x.halfLifeDays} d`}
+                      {x.notes ? ` · ${x.notes}` : ""}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => onDelete(x.id)}
+                    className="ps-btn text-sm text-red-800"
+                    title="Remove this spray from the log"
+                  >
+                    Delete
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className="ps-card mt-6">
+        <div className="text-lg font-extrabold text-emerald-950">Irrigation & rain</div>
+        <p className="mt-1 mb-4 text-sm ps-muted">
+          Overhead irrigation and rain wash residue off, most of all in the first hours after a spray.
+          Rain from “Auto-fill from my location” on the Scan page is added here automatically.
+        </p>
+
+        {waterStatus ? (
+          <div className="mb-5 rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-900">
+            {waterStatus}
+          </div>
+        ) : null}
+
+        <form onSubmit={onAddWater} className="grid gap-5 md:grid-cols-4 items-end">
+          <Field label="When">
+            <input
+              type="datetime-local"
+              className="ps-input"
+              value={waterAt}
+              max={nowLocalStr()}
+              onChange={(e) => setWaterAt(e.target.value)}
+              required
+            />
+          </Field>
+          <Field label="Water (mm)">
+            <input
+              type="number"
+              className="ps-input"
+              value={waterMm}
+              onChange={(e) => setWaterMm(e.target.value)}
+              min="0.1"
+              max="500"
+              step="0.1"
+            />
+          </Field>
+          <Field label="Type">
+            <select className="ps-input" value={waterKind} onChange={(e) => setWaterKind(e.target.value)}>
+              <option value="irrigation">Overhead irrigation</option>
+              <option value="rain">Rain</option>
+            </select>
+          </Field>
+          <div>
+            <button type="submit" className="ps-btn ps-btn-primary">
+              Add event
+            </button>
+          </div>
+        </form>
+
+        <div className="mt-6 space-y-3">
+          {!water.length ? (
+            <div className="text-sm ps-muted">No rain or irrigation logged yet.</div>
+          ) : (
+            water.slice(0, 30).map((x) => (
+              <div
+                key={x.id}
+                className="flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-emerald-200 bg-white/60 px-4 py-3"
+              >
+                <div className="min-w-0">
+                  <div className="font-extrabold text-emerald-950">
+                    {x.kind === "rain" ? "Rain" : "Irrigation"} · {x.mm} mm
+                  </div>
+                  <div className="text-xs ps-muted">
+                    {new Date(x.at).toLocaleString()}
+                    {x.source === "manual" ? "" : " · from weather data"}
+                  </div>
+                </div>
+                <button
+                  onClick={() => setWater(removeWaterEvent(x.id))}
+                  className="ps-btn text-sm text-red-800"
+                  title="Remove this event from the log"
+                >
+                  Delete
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <div className="text-xs font-extrabold text-emerald-950/70 mb-2">
+        {label}
+      </div>
+      {children}
+    </div>
+  );
+}
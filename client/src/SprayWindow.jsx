@@ -0,0 +1,280 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+
+const LOCATION_KEY = "pestiscan_field_location_v1";
+
+const RATING_STYLE = {
+  good: { label: "Good", chip: "bg-emerald-100 text-emerald-900 border-emerald-300" },
+  marginal: { label: "Marginal", chip: "bg-amber-100 text-amber-900 border-amber-300" },
+  bad: { label: "Bad", chip: "bg-red-100 text-red-900 border-red-300" },
+};
+
+function loadLocation() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCATION_KEY));
+    return saved && Number.isFinite(saved.lat) && Number.isFinite(saved.lon) ? saved : { lat: "", lon: "" };
+  } catch {
+    return { lat: "", lon: "" };
+  }
+}
+
+function hourText(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+function dayText(iso) {
+  return new Date(iso).toLocaleDateString([], { weekday: "short", day: "numeric", month: "short" });
+}
+
+function windowText(w) {
+  return `${dayText(w.start)} ${hourText(w.start)} – ${hourText(w.end)} (${w.hours} h)`;
+}
+
+export default function SprayWindow() {
+  const [catalog, setCatalog] = useState([]);
+  const [pesticide, setPesticide] = useState("");
+  const [product, setProduct] = useState(null);
+
+  const [lat, setLat] = useState(() => String(loadLocation().lat));
+  const [lon, setLon] = useState(() => String(loadLocation().lon));
+  const [hours, setHours] = useState(48);
+
+  const [advice, setAdvice] = useState(null);
+  const [status, setStatus] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetch("/api/pesticides?limit=100", { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : { items: [] }))
+      .then((data) => setCatalog(Array.isArray(data?.items) ? data.items : []))
+      .catch(() => {});
+    return () => ctrl.abort();
+  }, []);
+
+  function onPesticideInput(value) {
+    const match = catalog.find((p) => p.name.toLowerCase() === value.trim().toLowerCase());
+    setPesticide(match ? match.name : value);
+    setProduct(match || null);
+  }
+
+  async function useMyLocation() {
+    setStatus("");
+    if (!navigator.geolocation) {
+      setStatus("Geolocation not available. Enter the field’s latitude and longitude.");
+      return;
+    }
+    try {
+      const pos = await new Promise((resolve, reject) => {
+        navigator.geolocation.getCurrentPosition(resolve, reject, {
+          enableHighAccuracy: false,
+          timeout: 9000,
+          maximumAge: 60_000,
+        });
+      });
+      setLat(String(Math.round(pos.coords.latitude * 10000) / 10000));
+      setLon(String(Math.round(pos.coords.longitude * 10000) / 10000));
+    } catch {
+      setStatus("Couldn’t get your location. Enter it manually.");
+    }
+  }
+
+  async function onCheck(e) {
+    e.preventDefault();
+    setStatus("");
+    setAdvice(null);
+
+    const la = Number(lat);
+    const lo = Number(lon);
+    if (lat === "" || lon === "" || !Number.isFinite(la) || !Number.isFinite(lo)) {
+      setStatus("Enter the field location (or use your current location).");
+      return;
+    }
+    localStorage.setItem(LOCATION_KEY, JSON.stringify({ lat: la, lon: lo }));
+
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ lat: String(la), lon: String(lo), hours: String(hours) });
+      if (product) params.set("pesticideId", product.id);
+
+      const res = await fetch(`/api/spray-window?${params}`);
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || "Couldn’t load the forecast.");
+      setAdvice(data);
+    } catch (err) {
+      setStatus(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // hours grouped by local day for the timeline
+  const days = useMemo(() => {
+    const out = [];
+    for (const h of advice?.hours || []) {
+      const key = new Date(h.at).toDateString();
+      const last = out[out.length - 1];
+      if (last && last.key === key) last.hours.push(h);
+      else out.push({ key, label: dayText(h.at), hours: [h] });
+    }
+    return out;
+  }, [advice]);
+
+  // other good stretches (even short ones) after the recommended one
+  const others = (advice?.windows || [])
+    .filter((w) => w.rating === "good" && w.start !== advice?.best?.start)
+    .slice(0, 3);
+
+  return (
+    <div className="ps-page">
+      <div className="mb-5 md:mb-6">
+        <h1 className="text-2xl md:text-3xl font-extrabold tracking-tight text-emerald-950">
+          When should I spray?
+        </h1>
+        <p className="mt-1 ps-muted">
+          Checks the forecast hour by hour for wind (drift), rain before the product dries on the leaf, heat and dry air.
+          Log the spray afterwards in your <Link to="/spray-log" className="font-extrabold text-emerald-800 hover:underline">Spray log</Link>.
+        </p>
+      </div>
+
+      <div className="ps-card">
+        {status ? (
+          <div className="mb-5 rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-900">
+            {status}
+          </div>
+        ) : null}
+
+        <form onSubmit={onCheck} className="space-y-5">
+          <datalist id="ps-spraywindow-catalog">
+            {catalog.map((p) => (
+              <option key={p.id} value={p.name}>
+                {p.activeIngredient} · {p.formulation}
+              </option>
+            ))}
+          </datalist>
+
+          <Field label="Product (optional)">
+            <input
+              className="ps-input"
+              value={pesticide}
+              onChange={(e) => onPesticideInput(e.target.value)}
+              list="ps-spraywindow-catalog"
+              placeholder="Search product or active ingredient"
+            />
+            <div className="mt-2 text-xs ps-muted">
+              {product
+                ? `${product.formulation} formulation — needs a few dry hours after spraying.`
+                : "Without a product, a typical 4 dry hours after spraying is assumed."}
+            </div>
+          </Field>
+
+          <div className="grid gap-5 md:grid-cols-3">
+            <Field label="Latitude">
+              <input className="ps-input" value={lat} onChange={(e) => setLat(e.target.value)} placeholder="e.g. 12.97" />
+            </Field>
+            <Field label="Longitude">
+              <input className="ps-input" value={lon} onChange={(e) => setLon(e.target.value)} placeholder="e.g. 77.59" />
+            </Field>
+            <Field label="Look ahead">
+              <select className="ps-input" value={hours} onChange={(e) => setHours(Number(e.target.value))}>
+                <option value={24}>24 hours</option>
+                <option value={48}>48 hours</option>
+                <option value={72}>72 hours</option>
+              </select>
+            </Field>
+          </div>
+
+          <div className="flex flex-wrap gap-3 pt-1">
+            <button type="submit" className="ps-btn ps-btn-primary" disabled={loading}>
+              {loading ? "Checking forecast…" : "Find spray windows"}
+            </button>
+            <button type="button" className="ps-btn" onClick={useMyLocation}>
+              Use my location
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {advice ? (
+        <>
+          <div className="ps-card mt-6">
+            <div className="text-lg font-extrabold text-emerald-950">Best window</div>
+            {advice.best ? (
+              <div className="mt-2">
+                <span className={`inline-block rounded-full border px-3 py-1 text-sm font-extrabold ${RATING_STYLE[advice.best.rating].chip}`}>
+                  {RATING_STYLE[advice.best.rating].label}
+                </span>
+                <span className="ml-3 font-extrabold text-emerald-950">{windowText(advice.best)}</span>
+                {advice.best.rating === "marginal" ? (
+                  <p className="mt-2 text-sm ps-muted">No fully good window ahead; this is the least bad one. Check the reasons below.</p>
+                ) : null}
+              </div>
+            ) : (
+              <p className="mt-2 text-sm ps-muted">No usable window in this forecast. Check again later or look further ahead.</p>
+            )}
+
+            {others.length ? (
+              <div className="mt-4 text-sm">
+                <div className="font-extrabold text-emerald-950/80">Other good windows</div>
+                <ul className="mt-1 list-disc pl-5 ps-muted">
+                  {others.map((w) => (
+                    <li key={w.start}>{windowText(w)}</li>
+                  ))}
+                </ul>
+              </div>
+            ) : null}
+
+            <div className="mt-4 text-xs ps-muted">
+              Keeps {advice.rainfastHours} dry hours after spraying
+              {advice.product?.name ? ` for ${advice.product.name}` : ""} · forecast: {advice.provider}
+              {advice.cached ? " (cached)" : ""}
+            </div>
+          </div>
+
+          <div className="ps-card mt-6">
+            <div className="text-lg font-extrabold text-emerald-950">Hour by hour</div>
+            <div className="mt-4 space-y-5">
+              {days.map((d) => (
+                <div key={d.key}>
+                  <div className="mb-2 text-sm font-extrabold text-emerald-950/80">{d.label}</div>
+                  <div className="space-y-2">
+                    {d.hours.map((h) => (
+                      <div
+                        key={h.at}
+                        className="flex flex-wrap items-start gap-3 rounded-2xl border border-emerald-200 bg-white/60 px-4 py-2"
+                      >
+                        <div className="w-16 font-extrabold text-emerald-950">{hourText(h.at)}</div>
+                        <span className={`rounded-full border px-2 py-0.5 text-xs font-extrabold ${RATING_STYLE[h.rating].chip}`}>
+                          {RATING_STYLE[h.rating].label}
+                        </span>
+                        <div className="text-xs ps-muted">
+                          {h.tempC ?? "—"}°C · {h.humidity ?? "—"}% · wind {h.windKmh ?? "—"} km/h · rain {h.rainMm ?? 0} mm
+                        </div>
+                        {h.reasons.length ? (
+                          <div className="w-full text-xs text-emerald-950/80">
+                            {h.reasons.map((r) => r.message).join(" ")}
+                          </div>
+                        ) : null}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <div className="text-xs font-extrabold text-emerald-950/70 mb-2">
+        {label}
+      </div>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth } from "./AuthContext.jsx";
+import { roleOf } from "./utils/roles.js";
+
+/* Admins: roles, cooperatives and which extension officer follows each farmer.
+   Cooperative admins see their own cooperative; system admins everyone. */
+export default function Users() {
+  const { user, authFetch } = useAuth();
+  const isSystemAdmin = roleOf(user) === "admin";
+
+  const [data, setData] = useState(null); // { items, roles, officers, canDelete }
+  const [query, setQuery] = useState("");
+  const [roleFilter, setRoleFilter] = useState("");
+  const [error, setError] = useState("");
+  const [status, setStatus] = useState("");
+  const [busyId, setBusyId] = useState("");
+
+  const load = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (query.trim()) params.set("q", query.trim());
+    if (roleFilter) params.set("role", roleFilter);
+    try {
+      const res = await authFetch(`/api/users?${params}`);
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(body?.error || "Couldn’t load users.");
+      setData(body);
+      setError("");
+    } catch (err) {
+      setError(err.message || "Couldn’t load users.");
+    }
+  }, [authFetch, query, roleFilter]);
+
+  useEffect(() => {
+    const timer = setTimeout(load, 250); // typing in the search box
+    return () => clearTimeout(timer);
+  }, [load]);
+
+  async function change(u, changes) {
+    setBusyId(u.id);
+    setStatus("");
+    setError("");
+    try {
+      const res = await authFetch(`/api/users/${encodeURIComponent(u.id)}`, {
+        method: "PATCH",
+        body: JSON.stringify(changes),
+      });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(body?.error || "Couldn’t save the change.");
+      setStatus(`Saved ${body.name || body.username}.`);
+      await load(); // officer lists and assignments may have changed too
+    } catch (err) {
+      setError(err.message || "Couldn’t save the change.");
+    } finally {
+      setBusyId("");
+    }
+  }
+
+  async function remove(u) {
+    if (!window.confirm(`Delete ${u.name || u.username} and all of their saved scans? This can’t be undone.`)) return;
+    setBusyId(u.id);
+    setStatus("");
+    setError("");
+    try {
+      const res = await authFetch(`/api/users/${encodeURIComponent(u.id)}`, { method: "DELETE" });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(body?.error || "Couldn’t delete the account.");
+      setStatus(`Deleted ${u.name || u.username}.`);
+      await load();
+    } catch (err) {
+      setError(err.message || "Couldn’t delete the account.");
+    } finally {
+      setBusyId("");
+    }
+  }
+
+  const roles = data?.roles || [];
+  const officers = data?.officers || [];
+
+  return (
+    <div className="ps-page">
+      <div className="mb-5 md:mb-6">
+        <h1 className="text-2xl md:text-3xl font-extrabold tracking-tight text-emerald-950">Users</h1>
+        <p className="mt-1 ps-muted">
+          {isSystemAdmin
+            ? "Every account: roles, cooperatives and extension officers."
+            : `Members of ${user?.cooperative || "your cooperative"}: roles and extension officers.`}
+        </p>
+      </div>
+
+      <div className="ps-card">
+        <div className="flex flex-wrap gap-3">
+          <input
+            className="ps-input flex-1 min-w-[200px]"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search name, email, cooperative…"
+          />
+          <select className="ps-input w-auto" value={roleFilter} onChange={(e) => setRoleFilter(e.target.value)}>
+            <option value="">All roles</option>
+            {roles.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {error ? (
+          <div className="mt-5 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">{error}</div>
+        ) : null}
+        {status ? (
+          <div className="mt-5 rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-900">
+            {status}
+          </div>
+        ) : null}
+
+        <div className="mt-5 space-y-3">
+          {data === null && !error ? <div className="text-sm ps-muted">Loading…</div> : null}
+          {data && !data.items.length ? <div className="text-sm ps-muted">No accounts match.</div> : null}
+          {(data?.items || []).map((u) => {
+            const locked = !u.canManage || busyId === u.id;
+            const officerChoices = officers.filter((o) => !u.cooperative || !o.cooperative || o.cooperative === u.cooperative);
+            return (
+              <div key={u.id} className="rounded-2xl border border-emerald-200 bg-white/60 px-4 py-3">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div className="min-w-[200px]">
+                    <div className="text-sm font-extrabold text-emerald-950">
+                      {u.name || u.username}
+                      {u.id === user?.id ? <span className="ps-badge ml-2">You</span> : null}
+                    </div>
+                    <div className="mt-0.5 text-xs text-emerald-950/60">
+                      {u.email} · @{u.username}
+                      {u.emailVerified ? "" : " · email not confirmed"}
+                    </div>
+                  </div>
+                  {data.canDelete && u.id !== user?.id ? (
+                    <button onClick={() => remove(u)} disabled={busyId === u.id} className="ps-btn text-red-800 disabled:opacity-60">
+                      Delete
+                    </button>
+                  ) : null}
+                </div>
+
+                <div className="mt-3 grid gap-3 sm:grid-cols-3">
+                  <Field label="Role">
+                    <select
+                      className="ps-input"
+                      value={u.role}
+                      disabled={locked}
+                      onChange={(e) => change(u, { role: e.target.value })}
+                    >
+                      {roles
+                        .filter((r) => r.assignable || r.id === u.role)
+                        .map((r) => (
+                          <option key={r.id} value={r.id} disabled={!r.assignable}>
+                            {r.label}
+                          </option>
+                        ))}
+                    </select>
+                  </Field>
+
+                  <Field label="Cooperative">
+                    {isSystemAdmin ? (
+                      <input
+                        key={u.cooperative}
+                        className="ps-input"
+                        defaultValue={u.cooperative}
+                        disabled={locked}
+                        placeholder="None"
+                        onBlur={(e) => {
+                          if (e.target.value.trim() !== u.cooperative) change(u, { cooperative: e.target.value });
+                        }}
+                      />
+                    ) : (
+                      <div className="ps-input">{u.cooperative || "None"}</div>
+                    )}
+                  </Field>
+
+                  <Field label="Extension officer">
+                    {u.role === "farmer" ? (
+                      <select
+                        className="ps-input"
+                        value={u.officerId || ""}
+                        disabled={locked}
+                        onChange={(e) => change(u, { officerId: e.target.value || null })}
+                      >
+                        <option value="">None</option>
+                        {officerChoices.map((o) => (
+                          <option key={o.id} value={o.id}>
+                            {o.name}
+                            {o.cooperative ? ` (${o.cooperative})` : ""}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <div className="ps-input text-emerald-950/50">Only for farmers</div>
+                    )}
+                  </Field>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <div className="text-xs font-extrabold text-emerald-950/70 mb-2">
+        {label}
+      </div>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useAuth } from "./AuthContext.jsx";
+
+// opened from the link in the confirmation email: /verify-email?token=...
+export default function VerifyEmail() {
+  const [params] = useSearchParams();
+  const token = params.get("token") || "";
+  const { user, refresh } = useAuth();
+  const [state, setState] = useState(token ? "checking" : "missing");
+  const [error, setError] = useState("");
+  const sent = useRef(false); // the link works once: don't send it twice (StrictMode runs effects twice)
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+    fetch("/api/auth/verify", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token }),
+    })
+      .then(async (res) => {
+        const data = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(data?.error || "Couldn’t confirm your email.");
+        setState("done");
+      })
+      .catch((err) => {
+        setError(err?.message || "Couldn’t confirm your email.");
+        setState("failed");
+      });
+  }, [token]);
+
+  // logged in here: pick up the confirmed address in the access token
+  useEffect(() => {
+    if (state === "done" && user && !user.emailVerified) refresh();
+  }, [state, user, refresh]);
+
+  return (
+    <div className="ps-page">
+      <div className="mb-5 md:mb-6">
+        <h1 className="text-2xl md:text-3xl font-extrabold tracking-tight text-emerald-950">
+          Confirm email
+        </h1>
+        <p className="mt-1 ps-muted">A confirmed email lets you reset your password.</p>
+      </div>
+
+      <div className="ps-card">
+        {state === "checking" ? <div className="text-sm ps-muted">Checking your link…</div> : null}
+
+        {state === "done" ? (
+          <div className="rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-900">
+            Thanks, your email is confirmed.{" "}
+            <Link to={user ? "/scan" : "/login"} className="font-extrabold hover:underline">
+              {user ? "Start a scan" : "Log in"}
+            </Link>
+          </div>
+        ) : null}
+
+        {state === "failed" || state === "missing" ? (
+          <div className="rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+            {state === "missing" ? "This page needs the link from the confirmation email." : error}{" "}
+            {user ? (
+              <Link to="/profile" className="font-extrabold hover:underline">
+                Send a new link from your profile
+              </Link>
+            ) : (
+              <span>Log in and send a new link from your profile.</span>
+            )}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+// client/src/sw.js
+// PestiScan service worker (hand-written; the build prepends self.__PRECACHE_MANIFEST,
+// see plugins/precacheManifest.js). Not bundled by Vite and only registered in production.
+//
+// - App shell, every route's code and the leaf-vision code: precached, cache-first
+// - Page loads: network first, the cached index.html when offline (any route)
+// - Crop / pesticide catalogs and risk bands: network first, last copy when offline
+// - Everything else under /api: network only (scans are queued by the app itself)
+
+const { version: VERSION, urls: PRECACHE_URLS } = self.__PRECACHE_MANIFEST || { version: "dev", urls: [] };
+
+const SHELL_CACHE = `pestiscan-shell-${VERSION}`;
+const API_CACHE = "pestiscan-api-v1";
+const SHELL_URL = "/index.html";
+
+// read-only reference data the Scan page needs to work offline
+const CACHED_API = ["/api/crops", "/api/pesticides", "/api/risk-levels", "/api/scan/models"];
+
+const NAVIGATION_TIMEOUT_MS = 4000;
+
+self.addEventListener("install", (event) => {
+  // the new version waits until the user accepts the update prompt
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll([...new Set([SHELL_URL, ...PRECACHE_URLS])])));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((k) => k.startsWith("pestiscan-shell-") && k !== SHELL_CACHE).map((k) => caches.delete(k)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+function withTimeout(promise, ms) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), ms)),
+  ]);
+}
+
+// slow 2G counts as offline: fall back to the cached shell after a few seconds
+async function navigate(request) {
+  try {
+    return await withTimeout(fetch(request), NAVIGATION_TIMEOUT_MS);
+  } catch {
+    const cached = await caches.match(SHELL_URL, { cacheName: SHELL_CACHE });
+    return cached || Response.error();
+  }
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, res.clone());
+    }
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { cacheName });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+  return cached || fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(navigate(request));
+    return;
+  }
+
+  if (url.pathname.startsWith("/api/")) {
+    // logged-in data is never cached here (shared phones)
+    if (!request.headers.has("Authorization") && CACHED_API.some((p) => url.pathname.startsWith(p))) {
+      event.respondWith(networkFirst(request, API_CACHE));
+    }
+    return;
+  }
+
+  if (PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -0,0 +1,50 @@
+// client/src/utils/dose.js
+// Dilution calculator: what went into the tank -> product applied per hectare
+
+export const AREA_UNITS = {
+  ha: { label: "ha", toHa: 1 },
+  acre: { label: "acre", toHa: 0.404686 },
+  m2: { label: "m²", toHa: 0.0001 },
+};
+
+export function toHectares(area, unit = "ha") {
+  const a = Number(area);
+  const f = AREA_UNITS[unit]?.toHa;
+  return a > 0 && f ? a * f : null;
+}
+
+/**
+ * One product in the tank.
+ * amount: product put in the tank (ml or g), sprayed over `area` (in areaUnit).
+ * Returns nulls for anything the inputs don't pin down.
+ */
+export function dilution({ amount, tankVolumeL, area, areaUnit, labelRatePerHa }) {
+  const a = Number(amount);
+  const v = Number(tankVolumeL);
+  const ha = toHectares(area, areaUnit);
+  const label = Number(labelRatePerHa);
+
+  const perHa = a > 0 && ha ? a / ha : null;
+  return {
+    perHa,
+    perLitre: a > 0 && v > 0 ? a / v : null,
+    sprayVolumePerHa: v > 0 && ha ? v / ha : null,
+    ratio: perHa && label > 0 ? perHa / label : null,
+  };
+}
+
+/**
+ * 2000 g/ha -> "2 kg/ha", 350 ml/ha -> "350 ml/ha".
+ */
+export function formatRate(value, unit = "", per = "ha") {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return "—";
+
+  let v = n;
+  let u = unit;
+  if (unit === "g" && n >= 1000) [v, u] = [n / 1000, "kg"];
+  if (unit === "ml" && n >= 1000) [v, u] = [n / 1000, "L"];
+
+  const rounded = v >= 100 ? Math.round(v) : Math.round(v * 100) / 100;
+  return u ? `${rounded} ${u}/${per}` : `${rounded}/${per}`;
+}
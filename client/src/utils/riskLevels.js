@@ -0,0 +1,61 @@
+// client/src/utils/riskLevels.js
+// Low/Medium/High bands from /api/risk-levels (the same policy the server grades with).
+
+// Used until the server answers (matches the server default policy)
+export const FALLBACK_BANDS = {
+  source: "default",
+  thresholds: { low: 30, medium: 60 },
+  bands: [
+    { level: "Low", min: 0, max: 30 },
+    { level: "Medium", min: 31, max: 60 },
+    { level: "High", min: 61, max: 100 },
+  ],
+};
+
+const cache = new Map();
+
+function cacheKey({ crop, org } = {}) {
+  return `${String(crop || "").trim().toLowerCase()}|${String(org || "").trim().toLowerCase()}`;
+}
+
+/**
+ * Bands for one crop/org. Cached per session; falls back to FALLBACK_BANDS offline.
+ */
+export function fetchRiskBands(context = {}) {
+  const key = cacheKey(context);
+  if (!cache.has(key)) {
+    const params = new URLSearchParams();
+    if (context.crop) params.set("crop", context.crop);
+    if (context.org) params.set("org", context.org);
+
+    const pending = fetch(`/api/risk-levels?${params}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error("risk levels"))))
+      .then((data) => (Array.isArray(data?.bands) ? data : FALLBACK_BANDS))
+      .catch(() => {
+        cache.delete(key); // retry next time
+        return FALLBACK_BANDS;
+      });
+    cache.set(key, pending);
+  }
+  return cache.get(key);
+}
+
+export function levelFromBands(percent, policy = FALLBACK_BANDS) {
+  const p = Number(percent);
+  if (!Number.isFinite(p)) return null;
+  const bands = policy?.bands?.length ? policy.bands : FALLBACK_BANDS.bands;
+  const band = bands.find((b) => Math.round(p) <= b.max);
+  return band ? band.level : bands[bands.length - 1].level;
+}
+
+/**
+ * "Low ≤30% · Medium 31–60% · High >60%"
+ */
+export function bandsText(policy = FALLBACK_BANDS) {
+  const [low, medium, high] = policy?.bands?.length === 3 ? policy.bands : FALLBACK_BANDS.bands;
+  return `${low.level} ≤${low.max}% · ${medium.level} ${medium.min}–${medium.max}% · ${high.level} >${medium.max}%`;
+}
+
+export function riskBandsKey(context) {
+  return cacheKey(context);
+}
@@ -0,0 +1,23 @@
+// client/src/utils/roles.js
+// Roles and what each may open (mirrors server/auth/roles.js). Only used to pick menus
+// and pages: the server checks every request against the current role anyway.
+
+export const ROLES = {
+  farmer: { label: "Farmer", permissions: [] },
+  officer: { label: "Extension officer", permissions: ["farmers:read"] },
+  coop_admin: { label: "Cooperative admin", permissions: ["farmers:read", "users:manage"] },
+  admin: { label: "System admin", permissions: ["farmers:read", "users:manage", "users:delete"] },
+};
+
+// tokens from before roles existed have none: those accounts are farmers
+export function roleOf(user) {
+  return ROLES[user?.role] ? user.role : "farmer";
+}
+
+export function roleLabel(role) {
+  return ROLES[role]?.label || ROLES.farmer.label;
+}
+
+export function can(user, permission) {
+  return Boolean(user) && ROLES[roleOf(user)].permissions.includes(permission);
+}
@@ -0,0 +1,124 @@
+// client/src/utils/scanHistory.js
+// Scan history kept on this device, one list per account (AuthContext.historyKey()):
+// - "history_guest": a guest's scans
+// - "history_<userId>": last copy of that account's server history, for opening History offline
+
+const LEGACY_KEY = "pestiscan_history_v1"; // one list shared by everyone on the phone (before accounts)
+export const GUEST_KEY = "history_guest"; // AuthContext.historyKey() without a user
+const MAX_ENTRIES = 50;
+
+// fired on window after guest scans were moved into an account
+export const HISTORY_EVENT = "pestiscan:history";
+
+function safeJsonParse(s, fallback) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return fallback;
+  }
+}
+
+// nobody can tell whose the old shared scans were, so they become guest scans
+// (each account can then choose to take them over)
+function adoptLegacyHistory() {
+  const legacy = safeJsonParse(localStorage.getItem(LEGACY_KEY), null);
+  if (!Array.isArray(legacy)) return;
+  const guest = safeJsonParse(localStorage.getItem(GUEST_KEY), []);
+  const ids = new Set((Array.isArray(guest) ? guest : []).map((x) => x?.id));
+  const merged = [...(Array.isArray(guest) ? guest : []), ...legacy.filter((x) => x && !ids.has(x.id))];
+  localStorage.setItem(GUEST_KEY, JSON.stringify(merged.slice(0, MAX_ENTRIES)));
+  localStorage.removeItem(LEGACY_KEY);
+}
+
+export function loadLocalScans(key) {
+  if (key === GUEST_KEY) adoptLegacyHistory();
+  const parsed = safeJsonParse(localStorage.getItem(key), []);
+  return Array.isArray(parsed) ? parsed.filter(Boolean) : [];
+}
+
+export function saveLocalScans(key, items) {
+  const next = items.slice(0, MAX_ENTRIES);
+  try {
+    localStorage.setItem(key, JSON.stringify(next));
+  } catch {
+    // storage full: keep what's on screen, the older copy stays saved
+  }
+  return next;
+}
+
+/**
+ * Add a scan (newest first); a scan with the same id is replaced, not duplicated.
+ */
+export function upsertLocalScan(key, record) {
+  return saveLocalScans(key, [record, ...loadLocalScans(key).filter((x) => x.id !== record.id)]);
+}
+
+/* ---------- Guest scans -> account (offered once per account) ---------- */
+
+function migrationKey(userId) {
+  return `pestiscan_guest_migration_v1_${userId}`;
+}
+
+/**
+ * Guest scans this account hasn't been asked about yet ([] once answered).
+ */
+export function pendingGuestScans(userId) {
+  if (!userId || localStorage.getItem(migrationKey(userId))) return [];
+  return loadLocalScans(GUEST_KEY);
+}
+
+export function declineGuestMigration(userId) {
+  localStorage.setItem(migrationKey(userId), "declined");
+}
+
+/**
+ * Move the guest scans into the account. Each one is sent with its own id, so
+ * scans the server already has are updated, not duplicated. Scans that couldn't
+ * be sent stay as guest scans and the offer stays open.
+ * send(scan) -> Promise<boolean> (true when the server has it)
+ * Returns { moved, failed }.
+ */
+export async function migrateGuestScans(userId, accountKey, send) {
+  const guest = loadLocalScans(GUEST_KEY);
+  const moved = [];
+  const failed = [];
+  for (const scan of guest) {
+    let ok = false;
+    try {
+      ok = await send(scan);
+    } catch {
+      ok = false;
+    }
+    (ok ? moved : failed).push(scan);
+  }
+
+  if (moved.length) {
+    const ids = new Set(moved.map((x) => x.id));
+    const account = loadLocalScans(accountKey).filter((x) => !ids.has(x.id));
+    saveLocalScans(accountKey, [...moved, ...account].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt))));
+  }
+  saveLocalScans(GUEST_KEY, failed);
+  if (!failed.length) localStorage.setItem(migrationKey(userId), "done");
+  if (moved.length) window.dispatchEvent(new CustomEvent(HISTORY_EVENT));
+  return { moved: moved.length, failed: failed.length };
+}
+
+/**
+ * The parts of a /api/scan response worth keeping in history.
+ */
+export function historyResult(r = {}) {
+  return {
+    riskPercent: r.riskPercent ?? null,
+    level: r.level ?? null,
+    breakdown: r.breakdown ?? {},
+    tips: r.tips ?? [],
+    safeHarvest: r.safeHarvest ?? null,
+    ingredients: r.ingredients ?? [],
+    modelVersion: r.modelVersion ?? null,
+    uncertainty: r.uncertainty ?? null,
+    explanation: r.explanation ?? "",
+    contributions: r.contributions ?? [],
+    rules: r.rules ?? [],
+    phytotoxicity: r.phytotoxicity ?? null,
+  };
+}
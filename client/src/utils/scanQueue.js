@@ -0,0 +1,250 @@
+// client/src/utils/scanQueue.js
+// Scans captured without signal: kept in IndexedDB (photo included) and sent to
+// /api/scan when the connection comes back. The scan id is generated on the
+// device, so a retry after a lost response updates the same scan instead of adding one.
+// Each queued scan belongs to the history it was taken in (AuthContext.historyKey()):
+// a guest's scans go to guest history, an account's only to that account.
+
+import { GUEST_KEY, historyResult, upsertLocalScan } from "./scanHistory.js";
+
+const DB_NAME = "pestiscan";
+const DB_VERSION = 1;
+const STORE = "scanQueue";
+
+// fired on window whenever queued scans are added, sent or dropped
+export const QUEUE_EVENT = "pestiscan:scan-queue";
+
+const RETRY_MS = 60 * 1000;
+
+let dbPromise = null;
+let syncing = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function notify() {
+  window.dispatchEvent(new CustomEvent(QUEUE_EVENT));
+}
+
+/**
+ * Network failures (no signal, server unreachable) are worth retrying;
+ * an answer from the server (even an error) is not.
+ */
+export function isOfflineError(err) {
+  return !navigator.onLine || err?.name === "TypeError" || err?.offline === true;
+}
+
+/**
+ * POST one scan to /api/scan. Throws { offline: true } for gateway errors
+ * (the dev proxy answers 502/504 when the backend is unreachable).
+ * scan: { id, createdAt?, inputs, ai, image: File | Blob, imageName? }
+ */
+export async function postScan(scan, token) {
+  const fd = new FormData();
+  fd.append("image", scan.image, scan.imageName || scan.image?.name || "leaf.jpg");
+  fd.append("inputs", JSON.stringify(scan.inputs));
+  fd.append("scanId", scan.id);
+  if (scan.createdAt) fd.append("createdAt", scan.createdAt);
+  if (scan.ai) fd.append("ai", JSON.stringify(scan.ai));
+
+  const res = await fetch("/api/scan", {
+    method: "POST",
+    body: fd,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  if ([502, 503, 504].includes(res.status)) {
+    throw Object.assign(new Error("Server unreachable."), { offline: true });
+  }
+
+  const text = await res.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = { error: text || "Unknown error" };
+  }
+  return { ok: res.ok, status: res.status, data };
+}
+
+export async function queueScan({ id, inputs, ai, image, owner = GUEST_KEY, error = "" }) {
+  const record = {
+    id,
+    owner,
+    createdAt: new Date().toISOString(),
+    inputs,
+    ai: ai ?? null,
+    image,
+    imageName: image?.name || "leaf.jpg",
+    status: "pending",
+    attempts: 0,
+    error,
+  };
+  await withStore("readwrite", (store) => store.put(record));
+  notify();
+  return record;
+}
+
+function ownerOf(record) {
+  return record.owner || GUEST_KEY; // queued before scans had owners
+}
+
+/**
+ * Queued scans, newest first (photo Blob included). owner: only that history's.
+ */
+export async function listQueuedScans(owner) {
+  try {
+    const all = (await withStore("readonly", (store) => store.getAll())) || [];
+    return all
+      .filter((x) => !owner || ownerOf(x) === owner)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Hand a guest's queued scans to an account (guest -> account migration).
+ */
+export async function adoptQueuedScans(fromOwner, toOwner) {
+  const records = await listQueuedScans(fromOwner);
+  if (!records.length) return 0;
+  await withStore("readwrite", (store) => {
+    let last;
+    for (const record of records) last = store.put({ ...record, owner: toOwner });
+    return last;
+  });
+  notify();
+  return records.length;
+}
+
+export async function removeQueuedScan(id) {
+  await withStore("readwrite", (store) => store.delete(id));
+  notify();
+}
+
+async function sendOne(record, token) {
+  try {
+    const { ok, status, data } = await postScan(record, token);
+    if (ok && token && !data.savedScanId) {
+      // scored, but the account couldn't store it: try again later
+      await withStore("readwrite", (store) =>
+        store.put({ ...record, attempts: record.attempts + 1, error: "Couldn’t save to your account yet." })
+      );
+      return "stop";
+    }
+    if (ok) {
+      // a guest's scan: the result lives on this device
+      if (!token) {
+        upsertLocalScan(GUEST_KEY, {
+          id: record.id,
+          createdAt: record.createdAt,
+          inputs: record.inputs,
+          result: historyResult(data),
+          image: { name: record.imageName, type: record.image?.type, size: record.image?.size },
+          ai: record.ai,
+        });
+      }
+      await withStore("readwrite", (store) => store.delete(record.id));
+      return "sent";
+    }
+    // expired login: keep it pending until the user logs in again
+    const retry = status === 401 || status === 429;
+    await withStore("readwrite", (store) =>
+      store.put({
+        ...record,
+        status: retry ? "pending" : "failed",
+        attempts: record.attempts + 1,
+        error: data?.error || "Scan failed.",
+      })
+    );
+    return retry ? "stop" : "failed";
+  } catch (err) {
+    if (isOfflineError(err)) return "stop";
+    throw err;
+  }
+}
+
+/**
+ * Send every pending scan (oldest first) that can go out now: guest scans always
+ * (without a login), an account's scans only while that account is logged in.
+ * Stops at the first network failure. Concurrent calls share one run.
+ * auth: { token, owner } where owner is AuthContext.historyKey().
+ * Returns { sent, failed, pending }.
+ */
+export function syncQueuedScans({ token = "", owner = GUEST_KEY } = {}) {
+  if (!syncing) {
+    syncing = (async () => {
+      const queue = (await listQueuedScans())
+        .filter((x) => x.status === "pending" && (ownerOf(x) === GUEST_KEY || ownerOf(x) === owner))
+        .reverse();
+      let sent = 0;
+      let failed = 0;
+      for (const record of queue) {
+        const outcome = await sendOne(record, ownerOf(record) === GUEST_KEY ? "" : token);
+        if (outcome === "stop") break;
+        if (outcome === "sent") sent += 1;
+        else failed += 1;
+      }
+      if (sent || failed) notify();
+      return { sent, failed, pending: queue.length - sent - failed };
+    })().finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+}
+
+/**
+ * Retry a failed scan (e.g. after fixing the login). Puts it back in the queue.
+ */
+export async function retryQueuedScan(id, auth) {
+  const record = await withStore("readonly", (store) => store.get(id));
+  if (!record) return;
+  await withStore("readwrite", (store) => store.put({ ...record, status: "pending", error: "" }));
+  notify();
+  return syncQueuedScans(auth);
+}
+
+/**
+ * Background sync while the app is open: on start, when the browser comes back
+ * online, and every minute. getAuth() -> { token, owner } (or a Promise of it).
+ * Returns a stop function.
+ */
+export function startScanSync(getAuth) {
+  const run = () => {
+    if (navigator.onLine) Promise.resolve(getAuth()).then(syncQueuedScans).catch(() => {});
+  };
+  run();
+  window.addEventListener("online", run);
+  const timer = setInterval(run, RETRY_MS);
+  return () => {
+    window.removeEventListener("online", run);
+    clearInterval(timer);
+  };
+}
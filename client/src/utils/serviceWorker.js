@@ -0,0 +1,46 @@
+// client/src/utils/serviceWorker.js
+// Registers /sw.js (production builds only) and reports when a new version is waiting
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000; // the app can stay open all day in the field
+
+/**
+ * onUpdate(apply) is called when a newly deployed version is installed and waiting;
+ * apply() switches to it and reloads the page.
+ */
+export function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  const start = async () => {
+    let reg;
+    try {
+      reg = await navigator.serviceWorker.register("/sw.js");
+    } catch (err) {
+      console.warn("Service worker registration failed:", err);
+      return;
+    }
+
+    const apply = () => {
+      navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+      reg.waiting?.postMessage({ type: "SKIP_WAITING" });
+    };
+
+    // a first install has no controller yet: nothing to update from
+    const announce = () => {
+      if (reg.waiting && navigator.serviceWorker.controller) onUpdate(apply);
+    };
+
+    announce();
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed") announce();
+      });
+    });
+
+    setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_MS);
+  };
+
+  // register after the page has loaded so it doesn't compete with the first paint
+  if (document.readyState === "complete") start();
+  else window.addEventListener("load", start, { once: true });
+}
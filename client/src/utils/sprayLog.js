@@ -0,0 +1,83 @@
+// client/src/utils/sprayLog.js
+// Spray log stored on this device (one entry per application)
+
+const LS_KEY = "pestiscan_spray_log_v1";
+const MAX_ENTRIES = 200;
+
+function safeJsonParse(s, fallback) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return fallback;
+  }
+}
+
+function byDateDesc(a, b) {
+  return String(b.date || "").localeCompare(String(a.date || ""));
+}
+
+export function loadSprayLog() {
+  const parsed = safeJsonParse(localStorage.getItem(LS_KEY), []);
+  return Array.isArray(parsed) ? parsed.filter(Boolean).sort(byDateDesc) : [];
+}
+
+export function saveSprayLog(entries) {
+  const next = [...entries].sort(byDateDesc).slice(0, MAX_ENTRIES);
+  localStorage.setItem(LS_KEY, JSON.stringify(next));
+  return next;
+}
+
+export function addSpray(entry) {
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    ...entry,
+  };
+  return saveSprayLog([record, ...loadSprayLog()]);
+}
+
+export function removeSpray(id) {
+  return saveSprayLog(loadSprayLog().filter((x) => x.id !== id));
+}
+
+/**
+ * Whole days between a YYYY-MM-DD spray date and now (local time).
+ */
+export function daysSince(dateStr, now = new Date()) {
+  const d = new Date(`${dateStr}T00:00:00`);
+  if (Number.isNaN(d.getTime())) return null;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((today - d) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Spray log entry -> application shape expected by calculateRisk (inputs.applications).
+ */
+export function toApplication(entry) {
+  const base = { id: entry.id, date: entry.date, daysAgo: daysSince(entry.date), pesticide: entry.pesticide };
+
+  // tank mix: one application, several products
+  if (Array.isArray(entry.ingredients) && entry.ingredients.length) {
+    return {
+      ...base,
+      halfLifeDays: Math.max(...entry.ingredients.map((g) => Number(g.halfLifeDays) || 0)),
+      ingredients: entry.ingredients.map((g) => ({
+        pesticideId: g.pesticideId || null,
+        pesticide: g.pesticide,
+        halfLifeDays: g.halfLifeDays,
+        phiDays: g.phiDays,
+        dose: g.dose,
+        recommendedDose: g.recommendedDose,
+      })),
+    };
+  }
+
+  return {
+    ...base,
+    pesticideId: entry.pesticideId || null,
+    halfLifeDays: entry.halfLifeDays,
+    phiDays: entry.phiDays,
+    dose: entry.dose,
+    recommendedDose: entry.recommendedDose,
+  };
+}
@@ -0,0 +1,102 @@
+// client/src/utils/waterLog.js
+// Rain and overhead-irrigation events stored on this device (for residue wash-off)
+
+const LS_KEY = "pestiscan_water_log_v1";
+const MAX_ENTRIES = 500;
+const HOUR_MS = 60 * 60 * 1000;
+
+function safeJsonParse(s, fallback) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return fallback;
+  }
+}
+
+function byTimeDesc(a, b) {
+  return String(b.at || "").localeCompare(String(a.at || ""));
+}
+
+export function loadWaterLog() {
+  const parsed = safeJsonParse(localStorage.getItem(LS_KEY), []);
+  return Array.isArray(parsed)
+    ? parsed.filter((x) => x && !Number.isNaN(new Date(x.at).getTime())).sort(byTimeDesc)
+    : [];
+}
+
+export function saveWaterLog(entries) {
+  const next = [...entries].sort(byTimeDesc).slice(0, MAX_ENTRIES);
+  localStorage.setItem(LS_KEY, JSON.stringify(next));
+  return next;
+}
+
+/**
+ * Manual entry, e.g. { at: ISO time, mm: 12, kind: "irrigation" }.
+ */
+export function addWaterEvent(entry) {
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    kind: "irrigation",
+    source: "manual",
+    ...entry,
+    at: new Date(entry.at).toISOString(),
+    mm: Number(entry.mm),
+  };
+  return saveWaterLog([record, ...loadWaterLog()]);
+}
+
+export function removeWaterEvent(id) {
+  return saveWaterLog(loadWaterLog().filter((x) => x.id !== id));
+}
+
+/**
+ * Hourly precipitation from a weather fetch -> rain events.
+ * Consecutive wet hours become one event; earlier fetched rain in the same
+ * time span is replaced so re-fetching doesn't double count.
+ * hours: [{ at: ISO hour, mm }] in time order
+ */
+export function saveRainHours(hours, source = "weather") {
+  const wet = (hours || []).filter((h) => Number(h?.mm) > 0 && !Number.isNaN(new Date(h.at).getTime()));
+  const times = (hours || []).map((h) => new Date(h.at).getTime()).filter(Number.isFinite);
+  if (!times.length) return loadWaterLog();
+  const from = Math.min(...times);
+  const to = Math.max(...times);
+
+  const events = [];
+  for (const h of wet) {
+    const t = new Date(h.at).getTime();
+    const last = events[events.length - 1];
+    if (last && t - last.end <= HOUR_MS) {
+      last.mm += Number(h.mm);
+      last.end = t;
+    } else {
+      events.push({ start: t, end: t, mm: Number(h.mm) });
+    }
+  }
+
+  const kept = loadWaterLog().filter((x) => {
+    const t = new Date(x.at).getTime();
+    return x.source !== source || t < from || t > to;
+  });
+  const fetched = events.map((e) => ({
+    id: crypto.randomUUID(),
+    at: new Date(e.start).toISOString(),
+    mm: Math.round(e.mm * 10) / 10,
+    kind: "rain",
+    source,
+  }));
+  return saveWaterLog([...fetched, ...kept]);
+}
+
+/**
+ * Events after `fromIso`, oldest first, in the shape the engine expects (inputs.waterEvents).
+ */
+export function waterEventsSince(fromIso, log = loadWaterLog()) {
+  const from = new Date(fromIso).getTime();
+  if (Number.isNaN(from)) return [];
+  return log
+    .filter((x) => new Date(x.at).getTime() > from)
+    .map((x) => ({ at: x.at, mm: x.mm, kind: x.kind }))
+    .reverse();
+}
@@ -0,0 +1,80 @@
+// client/src/utils/weatherLog.js
+// Daily mean temperatures stored on this device (from weather fetches or an imported CSV)
+
+const LS_KEY = "pestiscan_weather_log_v1";
+const MAX_DAYS = 400;
+
+function safeJsonParse(s, fallback) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return fallback;
+  }
+}
+
+function byDateDesc(a, b) {
+  return String(b.date || "").localeCompare(String(a.date || ""));
+}
+
+function isDay(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(s || "")) && !Number.isNaN(new Date(`${s}T00:00:00Z`).getTime());
+}
+
+export function loadWeatherLog() {
+  const parsed = safeJsonParse(localStorage.getItem(LS_KEY), []);
+  return Array.isArray(parsed) ? parsed.filter((x) => x && isDay(x.date)).sort(byDateDesc) : [];
+}
+
+/**
+ * Merge daily temperatures into the log; a day already stored is replaced.
+ * days: [{ date: "YYYY-MM-DD", tempC }]
+ */
+export function saveDailyTemps(days, source = "manual") {
+  const byDate = new Map(loadWeatherLog().map((x) => [x.date, x]));
+  for (const d of days || []) {
+    const t = Number(d?.tempC);
+    if (!isDay(d?.date) || !Number.isFinite(t)) continue;
+    byDate.set(d.date, { date: d.date, tempC: Math.round(t * 10) / 10, source });
+  }
+  const next = [...byDate.values()].sort(byDateDesc).slice(0, MAX_DAYS);
+  localStorage.setItem(LS_KEY, JSON.stringify(next));
+  return next;
+}
+
+/**
+ * "date,tempC" CSV (header optional; also accepts temp / temperature / mean columns).
+ * Rows that don't parse are skipped.
+ */
+export function parseWeatherCsv(text) {
+  const rows = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.split(/[,;\t]/).map((c) => c.trim().replace(/^"|"$/g, "")))
+    .filter((r) => r.length >= 2);
+  if (!rows.length) return [];
+
+  let dateCol = 0;
+  let tempCol = 1;
+  const header = rows[0].map((c) => c.toLowerCase());
+  if (!isDay(rows[0][0])) {
+    dateCol = Math.max(0, header.findIndex((c) => c.includes("date") || c === "day"));
+    const t = header.findIndex((c) => /temp|mean/.test(c));
+    tempCol = t >= 0 ? t : 1;
+    rows.shift();
+  }
+
+  return rows
+    .map((r) => ({ date: r[dateCol], tempC: Number(r[tempCol]) }))
+    .filter((d) => isDay(d.date) && Number.isFinite(d.tempC));
+}
+
+/**
+ * Stored days from `fromDate` (YYYY-MM-DD) up to today, oldest first,
+ * in the shape the engine expects (inputs.tempSeries).
+ */
+export function tempSeriesSince(fromDate, log = loadWeatherLog()) {
+  if (!isDay(fromDate)) return [];
+  return log
+    .filter((x) => x.date >= fromDate)
+    .map((x) => ({ date: x.date, tempC: x.tempC }))
+    .reverse();
+}
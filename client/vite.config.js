@@ -1,8 +1,10 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import precacheManifest from "./plugins/precacheManifest.js";
 
 export default defineConfig({
-  plugins: [react()],
+  // precacheManifest writes dist/sw.js from src/sw.js (offline app shell)
+  plugins: [react(), precacheManifest()],
   server: {
     proxy: {
       "/api": "http://localhost:5174",
@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import { db } from "../storage/index.js";
+
+// Single-use links sent by email (verify the address, reset the password), in the
+// "emailTokens" collection of the server database (server/storage). Only a hash of
+// each token is stored; using one removes it, and a new one replaces older ones.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const PURPOSES = {
+  verify: { ttlMs: 48 * HOUR_MS },
+  reset: { ttlMs: 1 * HOUR_MS },
+};
+
+// one email per purpose per minute, so the forms can't be used to flood an inbox
+const MIN_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * A new token for this user and purpose, or null if one was issued less than a
+ * minute ago. Returns { token, expiresAt, validForMs }.
+ */
+export async function issueEmailToken(userId, purpose) {
+  const { ttlMs } = PURPOSES[purpose];
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+
+  return db.transaction((tx) => {
+    const tokens = tx.collection("emailTokens");
+    const recent = tokens.find(
+      (t) => t.userId === userId && t.purpose === purpose && now - Date.parse(t.createdAt) < MIN_INTERVAL_MS
+    );
+    if (recent) return null;
+
+    // older links for the same purpose stop working; expired ones are dropped
+    tokens.remove((t) => (t.userId === userId && t.purpose === purpose) || Date.parse(t.expiresAt) <= now);
+    const expiresAt = new Date(now + ttlMs).toISOString();
+    tokens.insert({
+      id: crypto.randomUUID(),
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      createdAt: new Date(now).toISOString(),
+      expiresAt,
+    });
+    return { token, expiresAt, validForMs: ttlMs };
+  });
+}
+
+/**
+ * Use a token: returns its userId and removes it, or null if it's unknown,
+ * already used, expired or for another purpose.
+ */
+export async function consumeEmailToken(token, purpose) {
+  if (!token) return null;
+  const hash = hashToken(token);
+  return db.transaction((tx) => {
+    const tokens = tx.collection("emailTokens");
+    const found = tokens.find((t) => t.tokenHash === hash && t.purpose === purpose);
+    if (!found) return null;
+    tokens.remove((t) => t.id === found.id);
+    return Date.parse(found.expiresAt) > Date.now() ? found.userId : null;
+  });
+}
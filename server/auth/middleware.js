@@ -1,6 +1,11 @@
 import jwt from "jsonwebtoken";
+import { getSession } from "./sessionsStore.js";
+import { findById } from "./usersStore.js";
+import { can, roleOf } from "./roles.js";
 
-export function authRequired(req, res, next) {
+// Access tokens are short-lived JWTs tied to a login session (the "sid" claim);
+// once that session is ended (logout, another device logged it out) they're refused.
+export async function authRequired(req, res, next) {
   const header = req.headers.authorization || "";
   const token = header.startsWith("Bearer ") ? header.slice(7) : null;
   if (!token) return res.status(401).json({ error: "Missing token" });
@@ -9,11 +14,52 @@ export function authRequired(req, res, next) {
     return res.status(500).json({ error: "JWT_SECRET not set in .env" });
   }
 
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload;
-    next();
-  } catch {
-    return res.status(401).json({ error: "Invalid token" });
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    const error = err.name === "TokenExpiredError" ? "Token expired" : "Invalid token";
+    return res.status(401).json({ error });
   }
+  // tokens from before sessions existed have no sid and can't be revoked
+  if (!payload.sid) return res.status(401).json({ error: "Invalid token" });
+
+  try {
+    const session = await getSession(payload.sid);
+    if (!session || session.userId !== payload.id) {
+      return res.status(401).json({ error: "Session ended" });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = payload;
+  next();
+}
+
+// Like authRequired, but guests pass through (req.user stays unset).
+// A token that is present but invalid is still rejected.
+export function authOptional(req, res, next) {
+  const header = req.headers.authorization || "";
+  if (!header.startsWith("Bearer ")) return next();
+  return authRequired(req, res, next);
+}
+
+/**
+ * After authRequired: only users whose role has `permission` (see roles.js) get through.
+ * The role is read from the database, not the token, so a change applies at once;
+ * req.user gets the current role and cooperative.
+ */
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const u = await findById(req.user?.id);
+      if (!u) return res.status(401).json({ error: "Account not found" });
+      req.user = { ...req.user, role: roleOf(u), cooperative: u.cooperative || "" };
+      if (!can(req.user, permission)) return res.status(403).json({ error: "Not allowed" });
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
 }
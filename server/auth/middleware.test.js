@@ -0,0 +1,79 @@
+// Run with `npm test` from the repository root (node:test).
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// the store opens DATA_DIR when first imported, so point it at a scratch directory first
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "middleware-"));
+process.env.DATA_DIR = dir;
+const { requirePermission } = await import("./middleware.js");
+const { ROLES } = await import("./roles.js");
+const { createUser, updateUser } = await import("./usersStore.js");
+
+const users = {};
+before(async () => {
+  for (const role of Object.keys(ROLES)) {
+    const { id } = await createUser({ name: role, username: role, email: `${role}@example.com`, hash: "x" });
+    await updateUser(id, { role, cooperative: "north" });
+    users[role] = id;
+  }
+});
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// runs the middleware; resolves with the status it answered, or "next" if it let the request through
+function run(permission, user) {
+  return new Promise((resolve, reject) => {
+    const req = { user };
+    const res = {
+      status(code) {
+        resolve({ status: code, req });
+        return { json: () => {} };
+      },
+    };
+    requirePermission(permission)(req, res, (err) => (err ? reject(err) : resolve({ status: "next", req })));
+  });
+}
+
+const EXPECTED = {
+  farmer: [],
+  officer: ["farmers:read"],
+  coop_admin: ["farmers:read", "users:manage"],
+  admin: ["farmers:read", "users:manage", "users:delete"],
+};
+
+describe("requirePermission", () => {
+  for (const [role, allowed] of Object.entries(EXPECTED)) {
+    test(`${role}: ${allowed.length ? allowed.join(", ") : "nothing extra"}`, async () => {
+      for (const permission of ["farmers:read", "users:manage", "users:delete"]) {
+        const { status } = await run(permission, { id: users[role], role });
+        assert.equal(status, allowed.includes(permission) ? "next" : 403, `${role} / ${permission}`);
+      }
+    });
+  }
+
+  test("the role comes from the database, not the token", async () => {
+    const { status } = await run("users:delete", { id: users.farmer, role: "admin" });
+    assert.equal(status, 403);
+
+    const { req } = await run("farmers:read", { id: users.officer, role: "farmer" });
+    assert.equal(req.user.role, "officer");
+    assert.equal(req.user.cooperative, "north");
+  });
+
+  test("a role change applies to the next request", async () => {
+    const { id } = await createUser({ name: "Later", username: "later", email: "later@example.com", hash: "x" });
+    const token = { id, role: "farmer" };
+    assert.equal((await run("farmers:read", token)).status, 403);
+    await updateUser(id, { role: "officer" });
+    assert.equal((await run("farmers:read", token)).status, "next");
+  });
+
+  test("a deleted or unknown account is refused", async () => {
+    assert.equal((await run("farmers:read", { id: "no-such-user", role: "admin" })).status, 401);
+    assert.equal((await run("farmers:read", undefined)).status, 401);
+  });
+});
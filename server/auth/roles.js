@@ -0,0 +1,79 @@
+// server/auth/roles.js
+// Who can do what. Every user has one role (new accounts are farmers):
+// - farmer       their own scans only
+// - officer      extension officer: also reads the scans of farmers assigned to them (user.officerId)
+// - coop_admin   cooperative admin: reads and manages the farmers and officers of their cooperative
+// - admin        system admin: everything, including making other admins
+// client/src/utils/roles.js mirrors this for menus and pages; the server is what enforces it.
+
+export const ROLES = {
+  farmer: { label: "Farmer", permissions: [] },
+  officer: { label: "Extension officer", permissions: ["farmers:read"] },
+  coop_admin: { label: "Cooperative admin", permissions: ["farmers:read", "users:manage"] },
+  admin: { label: "System admin", permissions: ["farmers:read", "users:manage", "users:delete"] },
+};
+
+export const DEFAULT_ROLE = "farmer";
+
+export function isRole(role) {
+  return Object.hasOwn(ROLES, role);
+}
+
+export function roleOf(user) {
+  return isRole(user?.role) ? user.role : DEFAULT_ROLE;
+}
+
+export function can(user, permission) {
+  return ROLES[roleOf(user)].permissions.includes(permission);
+}
+
+function sameCooperative(a, b) {
+  return Boolean(a.cooperative) && a.cooperative === b.cooperative;
+}
+
+/**
+ * May `viewer` read this farmer's scans?
+ */
+export function canSeeFarmer(viewer, farmer) {
+  if (!farmer) return false;
+  if (viewer.id === farmer.id) return true;
+  switch (roleOf(viewer)) {
+    case "admin":
+      return true;
+    case "coop_admin":
+      return sameCooperative(viewer, farmer);
+    case "officer":
+      return farmer.officerId === viewer.id;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Roles `viewer` may give to others.
+ */
+export function assignableRoles(viewer) {
+  switch (roleOf(viewer)) {
+    case "admin":
+      return Object.keys(ROLES);
+    case "coop_admin":
+      return ["farmer", "officer"];
+    default:
+      return [];
+  }
+}
+
+/**
+ * May `viewer` change this user (role, cooperative, officer)? Nobody changes their own role.
+ */
+export function canManageUser(viewer, target) {
+  if (!target || viewer.id === target.id) return false;
+  switch (roleOf(viewer)) {
+    case "admin":
+      return true;
+    case "coop_admin":
+      return sameCooperative(viewer, target) && assignableRoles(viewer).includes(roleOf(target));
+    default:
+      return false;
+  }
+}
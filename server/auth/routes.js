@@ -5,13 +5,76 @@ import {
   findByEmail,
   findByUsername,
   findByEmailOrUsername,
+  findById,
   createUser,
+  markEmailVerified,
+  setPasswordHash,
+  accountSummary,
 } from "./usersStore.js";
+import { authRequired } from "./middleware.js";
+import { consumeEmailToken, issueEmailToken } from "./emailTokensStore.js";
+import { sendMail } from "../mail/index.js";
+import { resetPassword, verifyEmail } from "../mail/templates.js";
+import {
+  createSession,
+  endAllSessions,
+  endSession,
+  endSessionByToken,
+  listSessions,
+  rotateSession,
+} from "./sessionsStore.js";
 
 const router = express.Router();
 
+// Access tokens are short-lived; the app keeps itself logged in with the refresh token.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+// where links in emails point (the web app, not this API)
+const APP_URL = (process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+// store errors go to the JSON error handler instead of an unhandled rejection
+const wrap = (fn) => (req, res, next) => fn(req, res).catch(next);
+
+function deviceInfo(req) {
+  return { userAgent: req.get("user-agent"), ip: req.ip };
+}
+
+function publicUser(u) {
+  const { id, name, username, email, emailVerified, role, cooperative } = accountSummary(u);
+  return { id, name, username, email, emailVerified, role, cooperative };
+}
+
+// the role in the token drives menus; the server checks it against the database (requirePermission)
+function accessToken(user, sessionId) {
+  const { id, name, username, email, emailVerified, role, cooperative } = user;
+  return jwt.sign({ id, name, username, email, emailVerified, role, cooperative, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+// login and register both start a new session for this device
+async function startSession(req, user) {
+  const { session, refreshToken } = await createSession(user.id, deviceInfo(req));
+  return { user, token: accessToken(user, session.id), refreshToken };
+}
+
+const EMAILS = {
+  verify: { page: "verify-email", template: verifyEmail },
+  reset: { page: "reset-password", template: resetPassword },
+};
+
+// false when one was sent less than a minute ago
+async function sendAccountEmail(u, purpose) {
+  const issued = await issueEmailToken(u.id, purpose);
+  if (!issued) return false;
+  const { page, template } = EMAILS[purpose];
+  const link = `${APP_URL}/${page}?token=${encodeURIComponent(issued.token)}`;
+  await sendMail({ to: u.email, ...template({ name: u.name, link, validForMs: issued.validForMs }) });
+  return true;
+}
+
 // ---------- REGISTER ----------
-router.post("/register", async (req, res) => {
+router.post("/register", wrap(async (req, res) => {
   const { name, username, email, password } = req.body || {};
   if (!name || !username || !email || !password)
     return res.status(400).json({ error: "Missing fields" });
@@ -28,13 +91,22 @@ router.post("/register", async (req, res) => {
     return res.status(409).json({ error: "Username already taken" });
 
   const hash = await bcrypt.hash(password, 10);
-  const user = await createUser({ name, username, email, hash });
-  const token = jwt.sign(user, process.env.JWT_SECRET, { expiresIn: "7d" });
-  res.json({ user, token });
-});
+  let user;
+  try {
+    // checked again in the write: another registration may have taken them meanwhile
+    user = await createUser({ name, username, email, hash });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ error: err.message });
+    console.error("REGISTER ERROR:", err);
+    return res.status(500).json({ error: "Server error." });
+  }
+  // not awaited: a slow or broken mail server shouldn't hold up the new account
+  sendAccountEmail(user, "verify").catch((err) => console.error("VERIFY EMAIL ERROR:", err));
+  res.json(await startSession(req, user));
+}));
 
 // ---------- LOGIN ----------
-router.post("/login", async (req, res) => {
+router.post("/login", wrap(async (req, res) => {
   const { identifier, password } = req.body || {};
   if (!identifier || !password)
     return res.status(400).json({ error: "Missing fields" });
@@ -55,9 +127,117 @@ router.post("/login", async (req, res) => {
       .status(401)
       .json({ error: "Invalid username/email or password" });
 
-  const user = { id: u.id, name: u.name, username: u.username, email: u.email };
-  const token = jwt.sign(user, process.env.JWT_SECRET, { expiresIn: "7d" });
-  res.json({ user, token });
-});
+  res.json(await startSession(req, publicUser(u)));
+}));
+
+// ---------- REFRESH ----------
+// Body: { refreshToken }. Answers with a new access token and a new refresh token;
+// the one sent can't be used again.
+router.post("/refresh", wrap(async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ error: "Missing refresh token" });
+
+  if (!process.env.JWT_SECRET) {
+    return res.status(500).json({ error: "JWT_SECRET not set in .env" });
+  }
+
+  let rotated;
+  try {
+    rotated = await rotateSession(refreshToken, deviceInfo(req));
+  } catch (err) {
+    if (err.status === 401) return res.status(401).json({ error: err.message });
+    throw err;
+  }
+
+  const u = await findById(rotated.userId);
+  if (!u) {
+    await endAllSessions(rotated.userId);
+    return res.status(401).json({ error: "Account not found" });
+  }
+  const user = publicUser(u);
+  res.json({ user, token: accessToken(user, rotated.session.id), refreshToken: rotated.refreshToken });
+}));
+
+// ---------- LOGOUT ----------
+// Body: { refreshToken }. Ends this device's session; works with an expired access token.
+router.post("/logout", wrap(async (req, res) => {
+  const { refreshToken } = req.body || {};
+  await endSessionByToken(refreshToken);
+  res.json({ ok: true });
+}));
+
+// Ends every session of the account, this device included.
+router.post("/logout-all", authRequired, wrap(async (req, res) => {
+  const ended = await endAllSessions(req.user.id);
+  res.json({ ok: true, ended });
+}));
+
+// ---------- SESSIONS (signed-in devices) ----------
+router.get("/sessions", authRequired, wrap(async (req, res) => {
+  const sessions = await listSessions(req.user.id);
+  res.json({ items: sessions.map((s) => ({ ...s, current: s.id === req.user.sid })) });
+}));
+
+// Log out one device
+router.delete("/sessions/:id", authRequired, wrap(async (req, res) => {
+  const ended = await endSession(req.user.id, req.params.id);
+  if (!ended) return res.status(404).json({ error: "Session not found" });
+  res.json({ ok: true, current: req.params.id === req.user.sid });
+}));
+
+// ---------- FORGOT / RESET PASSWORD ----------
+// Body: { email }. Same answer whether or not the email has an account,
+// so the form can't be used to find out who is registered.
+router.post("/forgot", wrap(async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: "Missing fields" });
+
+  const u = await findByEmail(String(email).trim());
+  if (u) sendAccountEmail(u, "reset").catch((err) => console.error("RESET EMAIL ERROR:", err));
+  res.json({ ok: true });
+}));
+
+// Body: { token, password }. The link works once; every device is logged out afterwards.
+router.post("/reset", wrap(async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) return res.status(400).json({ error: "Missing fields" });
+
+  const userId = await consumeEmailToken(token, "reset");
+  if (!userId) return res.status(400).json({ error: "This reset link is invalid or has expired." });
+
+  const hash = await bcrypt.hash(password, 10);
+  if (!(await setPasswordHash(userId, hash))) {
+    return res.status(400).json({ error: "This reset link is invalid or has expired." });
+  }
+  // the link came by email, so the address is confirmed too
+  await markEmailVerified(userId);
+  await endAllSessions(userId);
+  res.json({ ok: true });
+}));
+
+// ---------- VERIFY EMAIL ----------
+// Body: { token }
+router.post("/verify", wrap(async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ error: "Missing fields" });
+
+  const userId = await consumeEmailToken(token, "verify");
+  if (!userId || !(await markEmailVerified(userId))) {
+    return res.status(400).json({ error: "This confirmation link is invalid or has expired." });
+  }
+  res.json({ ok: true });
+}));
+
+// Send the confirmation email again
+router.post("/verify/resend", authRequired, wrap(async (req, res) => {
+  const u = await findById(req.user.id);
+  if (!u) return res.status(404).json({ error: "Account not found" });
+  if (u.emailVerified) return res.json({ ok: true, alreadyVerified: true });
+
+  if (!(await sendAccountEmail(u, "verify"))) {
+    return res.status(429).json({ error: "An email was just sent. Please wait a minute before asking again." });
+  }
+  res.json({ ok: true });
+}));
 
 export default router;
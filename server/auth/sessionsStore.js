@@ -0,0 +1,177 @@
+import crypto from "crypto";
+import { db } from "../storage/index.js";
+
+// Login sessions, one per signed-in device, in the "sessions" collection of the
+// server database (server/storage). A session keeps only a hash of its refresh
+// token; every refresh hands out a new token and the old one stops working.
+// Ending a session (logout) removes it, so its access tokens are refused too.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const REFRESH_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY_MS;
+
+// two tabs refreshing at the same moment both send the same token: the loser gets a
+// plain 401 (and picks up the winner's token) instead of the session being ended
+const REUSE_GRACE_MS = 30 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function sameHash(a, b) {
+  return Boolean(a && b) && crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+}
+
+// refresh tokens look like "<sessionId>.<secret>"
+function parseRefreshToken(token) {
+  const [id, secret, extra] = String(token ?? "").split(".");
+  return id && secret && extra === undefined ? { id, secret } : null;
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function unauthorized(message) {
+  return Object.assign(new Error(message), { status: 401 });
+}
+
+function isLive(s, now = Date.now()) {
+  return Boolean(s) && Date.parse(s.expiresAt) > now;
+}
+
+function device({ userAgent, ip } = {}) {
+  return { userAgent: String(userAgent ?? "").slice(0, 300), ip: String(ip ?? "") };
+}
+
+/**
+ * What a device list shows about a session (never the token hashes).
+ */
+export function publicSession(s) {
+  return {
+    id: s.id,
+    userAgent: s.userAgent,
+    ip: s.ip,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: s.expiresAt,
+  };
+}
+
+/**
+ * Start a session for a user who just logged in.
+ * Returns { session, refreshToken }.
+ */
+export async function createSession(userId, info) {
+  const secret = newSecret();
+  const now = new Date();
+  const session = {
+    id: crypto.randomUUID(),
+    userId,
+    tokenHash: hashSecret(secret),
+    previousHash: null,
+    rotatedAt: null,
+    ...device(info),
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TTL_MS).toISOString(),
+  };
+  await db.transaction((tx) => {
+    const sessions = tx.collection("sessions");
+    // tidy up this user's expired sessions while we're writing anyway
+    sessions.remove((s) => s.userId === userId && !isLive(s, now.getTime()));
+    sessions.insert(session);
+  });
+  return { session: publicSession(session), refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * Swap a refresh token for a new one (rotation). A token that was already swapped
+ * is a sign it was copied, so the whole session is ended.
+ * Returns { session, userId, refreshToken }; throws an error with status 401.
+ */
+export async function rotateSession(refreshToken, info) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw unauthorized("Invalid refresh token");
+
+  const secret = newSecret();
+  return db.transaction((tx) => {
+    const sessions = tx.collection("sessions");
+    const s = sessions.find((x) => x.id === parsed.id);
+    if (!isLive(s)) throw unauthorized("Session expired");
+
+    const presented = hashSecret(parsed.secret);
+    if (!sameHash(presented, s.tokenHash)) {
+      if (sameHash(presented, s.previousHash) && Date.now() - Date.parse(s.rotatedAt) < REUSE_GRACE_MS) {
+        throw unauthorized("Refresh token already used");
+      }
+      // the error must not roll back the removal, so it's returned and thrown outside
+      sessions.remove((x) => x.id === s.id);
+      return { reused: true };
+    }
+
+    const now = new Date().toISOString();
+    const next = sessions.update((x) => x.id === s.id, {
+      tokenHash: hashSecret(secret),
+      previousHash: s.tokenHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: new Date(Date.now() + REFRESH_TTL_MS).toISOString(),
+      ...device(info),
+    });
+    return { session: publicSession(next), userId: s.userId, refreshToken: `${s.id}.${secret}` };
+  }).then((out) => {
+    if (out.reused) throw unauthorized("Session ended: refresh token reused");
+    return out;
+  });
+}
+
+/**
+ * The live session with this id, or null (ended, expired or unknown).
+ */
+export async function getSession(id) {
+  const s = await db.read((tx) => tx.collection("sessions").find((x) => x.id === id));
+  return isLive(s) ? s : null;
+}
+
+/**
+ * A user's live sessions, most recently used first.
+ */
+export async function listSessions(userId) {
+  const list = await db.read((tx) => tx.collection("sessions").filter((s) => s.userId === userId && isLive(s)));
+  return list
+    .sort((a, b) => String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)))
+    .map(publicSession);
+}
+
+/**
+ * End the session a refresh token belongs to (logout on this device).
+ * The current or just-replaced token both count. Returns true if one was ended.
+ */
+export async function endSessionByToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  const presented = hashSecret(parsed.secret);
+  const removed = await db.transaction((tx) =>
+    tx
+      .collection("sessions")
+      .remove((s) => s.id === parsed.id && (sameHash(presented, s.tokenHash) || sameHash(presented, s.previousHash)))
+  );
+  return removed > 0;
+}
+
+/**
+ * End one of a user's sessions. Returns true if it existed.
+ */
+export async function endSession(userId, id) {
+  const removed = await db.transaction((tx) =>
+    tx.collection("sessions").remove((s) => s.userId === userId && s.id === id)
+  );
+  return removed > 0;
+}
+
+/**
+ * End every session of a user (log out everywhere). Returns how many were ended.
+ */
+export async function endAllSessions(userId) {
+  return db.transaction((tx) => tx.collection("sessions").remove((s) => s.userId === userId));
+}
@@ -0,0 +1,97 @@
+// Run with `npm test` from the repository root (node:test).
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// the store opens DATA_DIR when first imported, so point it at a scratch directory first
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sessions-"));
+process.env.DATA_DIR = dir;
+const { db } = await import("../storage/index.js");
+const { createSession, endSessionByToken, getSession, listSessions, rotateSession } = await import(
+  "./sessionsStore.js"
+);
+
+const device = { userAgent: "test", ip: "127.0.0.1" };
+
+before(async () => {
+  await db.schemaVersion(); // migrations (and their log line) before the first test
+});
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe("refresh token rotation", () => {
+  test("each refresh hands out a new token for the same session", async () => {
+    const { session, refreshToken } = await createSession("u1", device);
+    const next = await rotateSession(refreshToken, device);
+    assert.equal(next.userId, "u1");
+    assert.equal(next.session.id, session.id);
+    assert.notEqual(next.refreshToken, refreshToken);
+    assert.ok(next.refreshToken.startsWith(`${session.id}.`));
+
+    const after = await rotateSession(next.refreshToken, device);
+    assert.equal(after.session.id, session.id);
+  });
+
+  test("the token just replaced gets a plain 401 for a short while", async () => {
+    const { session, refreshToken } = await createSession("u2", device);
+    const next = await rotateSession(refreshToken, device);
+
+    await assert.rejects(rotateSession(refreshToken, device), { status: 401, message: "Refresh token already used" });
+    // the session and the new token still work
+    assert.ok(await getSession(session.id));
+    await rotateSession(next.refreshToken, device);
+  });
+
+  test("the token just replaced ends the session once the grace window is over", async () => {
+    const { session, refreshToken } = await createSession("u3", device);
+    const next = await rotateSession(refreshToken, device);
+    const longAgo = new Date(Date.now() - 60 * 1000).toISOString();
+    await db.transaction((tx) => tx.collection("sessions").update((s) => s.id === session.id, { rotatedAt: longAgo }));
+
+    await assert.rejects(rotateSession(refreshToken, device), {
+      status: 401,
+      message: "Session ended: refresh token reused",
+    });
+    assert.equal(await getSession(session.id), null);
+    await assert.rejects(rotateSession(next.refreshToken, device), { status: 401, message: "Session expired" });
+  });
+
+  test("an older token ends the session", async () => {
+    const { session, refreshToken } = await createSession("u4", device);
+    const second = await rotateSession(refreshToken, device);
+    await rotateSession(second.refreshToken, device);
+
+    await assert.rejects(rotateSession(refreshToken, device), {
+      status: 401,
+      message: "Session ended: refresh token reused",
+    });
+    assert.equal(await getSession(session.id), null);
+  });
+
+  test("malformed and unknown tokens are refused", async () => {
+    await assert.rejects(rotateSession("nonsense", device), { status: 401, message: "Invalid refresh token" });
+    await assert.rejects(rotateSession("no-such-session.secret", device), { status: 401, message: "Session expired" });
+  });
+});
+
+describe("sessions per device", () => {
+  test("logging out one device leaves the others", async () => {
+    const phone = await createSession("u5", { userAgent: "phone" });
+    const laptop = await createSession("u5", { userAgent: "laptop" });
+    assert.equal((await listSessions("u5")).length, 2);
+
+    assert.equal(await endSessionByToken(phone.refreshToken), true);
+    assert.deepEqual((await listSessions("u5")).map((s) => s.id), [laptop.session.id]);
+    assert.equal(await endSessionByToken(phone.refreshToken), false);
+  });
+
+  test("device lists never show token hashes", async () => {
+    await createSession("u6", device);
+    const [listed] = await listSessions("u6");
+    assert.equal(listed.tokenHash, undefined);
+    assert.equal(listed.previousHash, undefined);
+  });
+});
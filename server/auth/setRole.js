@@ -0,0 +1,35 @@
+// server/auth/setRole.js
+// Give an account a role from the command line (e.g. the first system admin):
+//   npm run users:set-role -- <email or username> <role> [cooperative]
+// Roles: see roles.js. Safe while the server runs: the database is locked for the
+// change and the server picks it up on its next request.
+
+import "dotenv/config";
+import { ROLES, isRole } from "./roles.js";
+import { findByEmailOrUsername, updateUser } from "./usersStore.js";
+
+const [identifier, role, cooperative] = process.argv.slice(2);
+
+if (!identifier || !isRole(role)) {
+  console.error(`Usage: npm run users:set-role -- <email or username> <${Object.keys(ROLES).join("|")}> [cooperative]`);
+  process.exit(1);
+}
+
+try {
+  const u = await findByEmailOrUsername(identifier);
+  if (!u) {
+    console.error(`No account found for "${identifier}".`);
+    process.exit(1);
+  }
+  const changes = { role };
+  if (cooperative !== undefined) changes.cooperative = cooperative.trim();
+  if (role !== "farmer") changes.officerId = null;
+  const updated = await updateUser(u.id, changes);
+  console.log(
+    `${updated.username} is now ${ROLES[role].label}${updated.cooperative ? ` (${updated.cooperative})` : ""}. ` +
+      "Logged-in devices show the new menus after their next token refresh."
+  );
+} catch (err) {
+  console.error("Could not change the role:", err);
+  process.exit(1);
+}
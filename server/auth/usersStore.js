@@ -1,56 +1,134 @@
-import jsonfile from "jsonfile";
 import crypto from "crypto";
-import path from "path";
-import { fileURLToPath } from "url";
+import { conflict, db } from "../storage/index.js";
+import { DEFAULT_ROLE } from "./roles.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Users live in the "users" collection of the server database (server/storage).
 
-// Always points to: server/users.json
-const FILE = path.join(__dirname, "..", "users.json");
-
-export async function getUsers() {
-  try {
-    return await jsonfile.readFile(FILE);
-  } catch {
-    return [];
-  }
+function lower(s) {
+  return String(s ?? "").toLowerCase();
 }
 
-export async function saveUsers(users) {
-  await jsonfile.writeFile(FILE, users, { spaces: 2 });
+export async function getUsers() {
+  return db.read((tx) => tx.collection("users").all());
 }
 
 export async function findByEmailOrUsername(identifier) {
-  const users = await getUsers();
-  return users.find(
-    (u) =>
-      u.email.toLowerCase() === identifier.toLowerCase() ||
-      u.username.toLowerCase() === identifier.toLowerCase()
-  );
+  const key = lower(identifier);
+  return db.read((tx) => tx.collection("users").find((u) => lower(u.email) === key || lower(u.username) === key));
 }
 
 export async function findByEmail(email) {
-  const users = await getUsers();
-  return users.find((u) => u.email.toLowerCase() === email.toLowerCase());
+  return db.read((tx) => tx.collection("users").find((u) => lower(u.email) === lower(email)));
 }
 
 export async function findByUsername(username) {
-  const users = await getUsers();
-  return users.find((u) => u.username.toLowerCase() === username.toLowerCase());
+  return db.read((tx) => tx.collection("users").find((u) => lower(u.username) === lower(username)));
+}
+
+export async function findById(id) {
+  return db.read((tx) => tx.collection("users").find((u) => u.id === id));
 }
 
+/**
+ * Email and username are checked again inside the write, so two registrations
+ * at the same moment can't both take them (throws an error with status 409).
+ */
 export async function createUser({ name, username, email, hash }) {
-  const users = await getUsers();
-  const id = crypto.randomUUID();
-  users.push({
-    id,
-    name,
-    username,
-    email,
-    hash,
-    createdAt: new Date().toISOString(),
+  return db.transaction((tx) => {
+    const users = tx.collection("users");
+    if (users.find((u) => lower(u.email) === lower(email))) throw conflict("Email already used");
+    if (users.find((u) => lower(u.username) === lower(username))) throw conflict("Username already taken");
+
+    const id = crypto.randomUUID();
+    users.insert({
+      id,
+      name,
+      username,
+      email,
+      hash,
+      emailVerified: false,
+      role: DEFAULT_ROLE,
+      cooperative: "",
+      officerId: null,
+      crops: [],
+      createdAt: new Date().toISOString(),
+    });
+    return { id, name, username, email, emailVerified: false, role: DEFAULT_ROLE, cooperative: "" };
+  });
+}
+
+/**
+ * New password hash (after a reset link). Returns false if the user is gone.
+ */
+export async function setPasswordHash(id, hash) {
+  const updated = await db.transaction((tx) =>
+    tx.collection("users").update((u) => u.id === id, { hash, passwordChangedAt: new Date().toISOString() })
+  );
+  return Boolean(updated);
+}
+
+export async function markEmailVerified(id) {
+  const updated = await db.transaction((tx) =>
+    tx.collection("users").update((u) => u.id === id, { emailVerified: true, emailVerifiedAt: new Date().toISOString() })
+  );
+  return Boolean(updated);
+}
+
+/**
+ * What user lists show about an account (no password hash).
+ */
+export function accountSummary(u) {
+  return {
+    id: u.id,
+    name: u.name,
+    username: u.username,
+    email: u.email,
+    emailVerified: Boolean(u.emailVerified),
+    role: u.role || DEFAULT_ROLE,
+    cooperative: u.cooperative || "",
+    officerId: u.officerId || null,
+    createdAt: u.createdAt,
+  };
+}
+
+/**
+ * Change role / cooperative / officer. An officer who stops being one loses
+ * their farmers. Returns the updated summary, or null if the user is gone.
+ */
+export async function updateUser(id, { role, cooperative, officerId } = {}) {
+  return db.transaction((tx) => {
+    const users = tx.collection("users");
+    const changes = {};
+    if (role !== undefined) changes.role = role;
+    if (cooperative !== undefined) changes.cooperative = cooperative;
+    if (officerId !== undefined) changes.officerId = officerId;
+
+    const before = users.find((u) => u.id === id);
+    if (!before) return null;
+    const wasOfficer = (before.role || DEFAULT_ROLE) === "officer";
+    const updated = users.update((u) => u.id === id, changes);
+    if (wasOfficer && updated.role !== "officer") {
+      for (const farmer of users.filter((u) => u.officerId === id)) {
+        users.update((u) => u.id === farmer.id, { officerId: null });
+      }
+    }
+    return accountSummary(updated);
+  });
+}
+
+/**
+ * Remove an account with its scans, sessions and email links. Returns false if it didn't exist.
+ */
+export async function deleteUser(id) {
+  return db.transaction((tx) => {
+    const users = tx.collection("users");
+    if (!users.remove((u) => u.id === id)) return false;
+    for (const farmer of users.filter((u) => u.officerId === id)) {
+      users.update((u) => u.id === farmer.id, { officerId: null });
+    }
+    tx.collection("scans").remove((s) => s.userId === id);
+    tx.collection("sessions").remove((s) => s.userId === id);
+    tx.collection("emailTokens").remove((t) => t.userId === id);
+    return true;
   });
-  await saveUsers(users);
-  return { id, name, username, email };
 }
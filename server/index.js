@@ -1,16 +1,36 @@
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import multer from "multer";
+import jsonfile from "jsonfile";
+import { configureRiskPolicies } from "../shared/riskLevels.js";
+import { db } from "./storage/index.js";
 
 // ✅ ADD: mount auth routes
 import authRoutes from "./auth/routes.js";
+import pesticideRoutes from "./routes/pesticides.js";
+import cropRoutes from "./routes/crops.js";
+import scanRoutes from "./routes/scan.js";
+import scansRoutes from "./routes/scans.js";
+import riskLevelRoutes from "./routes/riskLevels.js";
+import weatherRoutes from "./routes/weather.js";
+import sprayWindowRoutes from "./routes/sprayWindow.js";
+import farmerRoutes from "./routes/farmers.js";
+import userRoutes from "./routes/users.js";
 
 const app = express();
 
 // ---------- Config ----------
 const PORT = process.env.PORT || 5174;
 
+// Optional crop/org risk-level overrides: { default, crops, orgs } (see shared/riskLevels.js)
+if (process.env.RISK_POLICY_FILE) {
+  try {
+    configureRiskPolicies(jsonfile.readFileSync(process.env.RISK_POLICY_FILE));
+  } catch (err) {
+    console.error("Could not load RISK_POLICY_FILE, using built-in risk levels:", err.message);
+  }
+}
+
 // If frontend is on Vite (5173), CORS is needed for local dev.
 // If you already handle proxying through Vite, CORS doesn't hurt.
 app.use(
@@ -23,193 +43,40 @@ app.use(
 // For JSON endpoints (not multipart). Multipart is handled by multer.
 app.use(express.json({ limit: "2mb" }));
 
-// ---------- Multer (for multipart/form-data) ----------
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 8 * 1024 * 1024, // 8MB
-  },
+// ---------- Routes ----------
+app.get("/api/health", (req, res) => {
+ res.json({ status: "ok", port: PORT });
 });
 
-// ---------- Helpers ----------
-function toNumber(v) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : NaN;
-}
-
-function riskLevelFromPercent(p) {
-  if (!Number.isFinite(p)) return "—";
-  if (p >= 70) return "High";
-  if (p >= 35) return "Medium";
-  return "Low";
-}
-
-function clamp01(x) {
-  return Math.min(1, Math.max(0, x));
-}
-
-/**
- * Very simple v1 placeholder scoring (so your Scan UI works end-to-end).
- * Replace later with your real formula from shared/risk.js.
- */
-function computeRisk(inputs) {
-  const recommendedDose = toNumber(inputs.recommendedDose);
-  const daysSinceSpray = toNumber(inputs.daysSinceSpray);
-  const halfLifeDays = toNumber(inputs.halfLifeDays);
-  const leafPh = toNumber(inputs.leafPh);
-  const soilPh = toNumber(inputs.soilPh);
-  const soilMoisture = toNumber(inputs.soilMoisture);
-  const imageStress = toNumber(inputs.imageStress);
-
-  const tempC = toNumber(inputs?.weather?.tempC);
-  const humidity = toNumber(inputs?.weather?.humidity);
-  const rainMm24h = toNumber(inputs?.weather?.rainMm24h);
-
-  // --- Component scores (0..1) ---
-  // Dose score: 1 = normal (0.4), higher dose increases
-  const doseScore = clamp01((recommendedDose - 1) / 3 + 0.4); // rough
-
-  // Residue/decay score using half-life
-  // residueFactor = exp(-ln(2)*days/halfLife), so more days => less risk
-  let residueFactor = 0.6;
-  if (Number.isFinite(daysSinceSpray) && Number.isFinite(halfLifeDays) && halfLifeDays > 0) {
-    residueFactor = Math.exp(-Math.log(2) * (daysSinceSpray / halfLifeDays));
-    residueFactor = clamp01(residueFactor);
-  }
-
-  // pH stress: farther from neutral-ish increases
-  const leafPhScore = Number.isFinite(leafPh) ? clamp01(Math.abs(6.5 - leafPh) / 3) : 0.2;
-  const soilPhScore = Number.isFinite(soilPh) ? clamp01(Math.abs(6.8 - soilPh) / 3) : 0.2;
-
-  // moisture stress: too low or too high increases
-  let moistureScore = 0.2;
-  if (Number.isFinite(soilMoisture)) {
-    const ideal = 55;
-    moistureScore = clamp01(Math.abs(ideal - soilMoisture) / 55);
-  }
+// ✅ ADD: Auth routes mounted here
+app.use("/api/auth", authRoutes);
 
-  // weather stress: heat + humidity + rain (rough)
-  let weatherScore = 0.2;
-  if (Number.isFinite(tempC) || Number.isFinite(humidity) || Number.isFinite(rainMm24h)) {
-    const t = Number.isFinite(tempC) ? clamp01((tempC - 25) / 15) : 0.2;
-    const h = Number.isFinite(humidity) ? clamp01((humidity - 55) / 40) : 0.2;
-    const r = Number.isFinite(rainMm24h) ? clamp01(rainMm24h / 80) : 0.0;
-    weatherScore = clamp01(0.55 * t + 0.35 * h + 0.10 * r);
-  }
+// Pesticide catalog (search + lookup by id)
+app.use("/api/pesticides", pesticideRoutes);
 
-  const imageStressScore = Number.isFinite(imageStress) ? clamp01(imageStress / 100) : 0.25;
-
-  // --- Weighted risk (0..1) ---
-  // (Adjust weights later in calibration)
-  const risk01 =
-    0.22 * doseScore +
-    0.24 * residueFactor +
-    0.14 * leafPhScore +
-    0.10 * soilPhScore +
-    0.10 * moistureScore +
-    0.10 * weatherScore +
-    0.10 * imageStressScore;
-
-  const riskPercent = Math.round(clamp01(risk01) * 100);
-
-  return {
-    riskPercent,
-    level: riskLevelFromPercent(riskPercent),
-    breakdown: {
-      doseScore,
-      residueFactor,
-      leafPhScore,
-      soilPhScore,
-      moistureScore,
-      weatherScore,
-      imageStressScore,
-    },
-    tips: buildTips({ riskPercent, doseScore, residueFactor, weatherScore, imageStressScore }),
-  };
-}
+// Crop catalog (sensitivity, pH / moisture ranges, growth stages)
+app.use("/api/crops", cropRoutes);
 
-function buildTips({ riskPercent, doseScore, residueFactor, weatherScore, imageStressScore }) {
-  const tips = [];
+// Risk scan (versioned scoring engines)
+app.use("/api/scan", scanRoutes);
 
-  if (riskPercent >= 70) tips.push("High risk detected: avoid immediate harvest and consider expert guidance.");
-  if (riskPercent >= 35 && riskPercent < 70) tips.push("Moderate risk: monitor plant response and avoid over-application.");
-  if (riskPercent < 35) tips.push("Low risk: continue monitoring and follow label instructions.");
+// Saved scan history per logged-in user
+app.use("/api/scans", scansRoutes);
 
-  if (doseScore > 0.65) tips.push("Dose seems high relative to recommended. Reduce dose next spray if possible.");
-  if (residueFactor > 0.65) tips.push("Recent spray detected. Risk may drop after a few more days.");
-  if (weatherScore > 0.6) tips.push("Weather stress is high (heat/humidity/rain). Prefer spraying in cooler, calmer conditions.");
-  if (imageStressScore > 0.6) tips.push("Leaf appears stressed. Avoid additional stress (over-spraying, midday spraying).");
+// Scans of the farmers an extension officer / cooperative follows (read-only)
+app.use("/api/farmers", farmerRoutes);
 
-  tips.push("Always follow label safety intervals and wear protection while spraying.");
-  return tips.slice(0, 8);
-}
+// User management (roles, cooperatives, officer assignments) for admins
+app.use("/api/users", userRoutes);
 
-// ---------- Routes ----------
-app.get("/api/health", (req, res) => {
- res.json({ status: "ok", port: PORT });
-});
+// Risk-level bands (same policy the engines use)
+app.use("/api/risk-levels", riskLevelRoutes);
 
-// ✅ ADD: Auth routes mounted here
-app.use("/api/auth", authRoutes);
+// Weather (current + recent history) through the configured provider
+app.use("/api/weather", weatherRoutes);
 
-/**
- * ✅ /api/scan
- * Expects multipart/form-data:
- * - image: File
- * - inputs: JSON string
- */
-app.post("/api/scan", upload.single("image"), (req, res) => {
-  try {
-    // 1) Validate image exists
-    if (!req.file) {
-      return res.status(400).json({ error: "Leaf image is required." });
-    }
-    if (!req.file.mimetype?.startsWith("image/")) {
-      return res.status(400).json({ error: "Invalid file type. Please upload an image." });
-    }
-
-    // 2) Parse inputs
-    let inputs = req.body?.inputs;
-
-    if (!inputs) {
-      return res.status(400).json({ error: "inputs is required." });
-    }
-
-    if (typeof inputs === "string") {
-      try {
-        inputs = JSON.parse(inputs);
-      } catch {
-        return res.status(400).json({ error: "Invalid inputs JSON." });
-      }
-    }
-
-    // 3) Validate recommendedDose
-    const recommendedDose = toNumber(inputs?.recommendedDose);
-    if (!(recommendedDose > 0)) {
-      return res.status(400).json({
-        error: "recommendedDose is required and must be > 0",
-      });
-    }
-
-    // 4) Compute result (placeholder)
-    const out = computeRisk(inputs);
-
-    return res.json({
-      ...out,
-      meta: {
-        received: {
-          crop: inputs.crop,
-          pesticide: inputs.pesticide,
-          recommendedDose: inputs.recommendedDose,
-        },
-        file: { mimetype: req.file.mimetype, size: req.file.size },
-      },
-    });
-  } catch (err) {
-    console.error("SCAN ERROR:", err);
-    return res.status(500).json({ error: "Server error while scanning." });
-  }
-});
+// Spray-window advisor (forecast wind, rain, heat)
+app.use("/api/spray-window", sprayWindowRoutes);
 
 // ✅ ADD: JSON error handler so frontend never gets HTML
 app.use((err, req, res, next) => {
@@ -218,6 +85,14 @@ app.use((err, req, res, next) => {
 });
 
 // ---------- Start ----------
+// open the database first: pending migrations (and the one-time import of the old JSON files) run here
+try {
+  await db.schemaVersion();
+} catch (err) {
+  console.error("Could not open the database:", err);
+  process.exit(1);
+}
+
 app.listen(PORT, () => {
   console.log(`✅ PestiScan backend running on http://localhost:${PORT}`);
   console.log(`✅ Health: http://localhost:${PORT}/api/health`);
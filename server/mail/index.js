@@ -0,0 +1,80 @@
+// server/mail/index.js
+// Outgoing email behind one interface. Pick the transport with MAIL_TRANSPORT:
+// - "smtp": a real mail server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+// - "file": each message saved as an .eml file in MAIL_DIR (default server/data/mail)
+// - "json": each message appended as one JSON line to MAIL_FILE (default server/data/mail.jsonl),
+//   handy for tests that need to read the link out of a message
+// Default: "smtp" when SMTP_HOST is set, otherwise "file", so development never sends real mail.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+export const MAIL_FROM = process.env.MAIL_FROM || "PestiScan <no-reply@pestiscan.app>";
+
+const TRANSPORTS = {
+  smtp: {
+    name: "SMTP",
+    create: () =>
+      nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      }),
+  },
+  file: {
+    name: "File sink (.eml)",
+    create() {
+      const dir = process.env.MAIL_DIR ? path.resolve(process.env.MAIL_DIR) : path.join(DATA_DIR, "mail");
+      const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+      return {
+        async sendMail(message) {
+          const info = await transport.sendMail(message);
+          await fs.mkdir(dir, { recursive: true });
+          const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+          await fs.writeFile(path.join(dir, `${stamp}-${info.messageId.replace(/[<>@]/g, "")}.eml`), info.message);
+          return info;
+        },
+      };
+    },
+  },
+  json: {
+    name: "JSON sink",
+    create() {
+      const file = process.env.MAIL_FILE ? path.resolve(process.env.MAIL_FILE) : path.join(DATA_DIR, "mail.jsonl");
+      const transport = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        async sendMail(message) {
+          const info = await transport.sendMail(message);
+          const { from, to, subject, text, html } = JSON.parse(info.message);
+          const line = { sentAt: new Date().toISOString(), messageId: info.messageId, from, to, subject, text, html };
+          await fs.mkdir(path.dirname(file), { recursive: true });
+          await fs.appendFile(file, `${JSON.stringify(line)}\n`);
+          return info;
+        },
+      };
+    },
+  },
+};
+
+export const MAIL_TRANSPORT = TRANSPORTS[process.env.MAIL_TRANSPORT]
+  ? process.env.MAIL_TRANSPORT
+  : process.env.SMTP_HOST
+    ? "smtp"
+    : "file";
+
+let transport = null;
+
+/**
+ * Send one message: { to, subject, text, html } (e.g. from ./templates.js).
+ */
+export async function sendMail({ to, subject, text, html }) {
+  transport ??= TRANSPORTS[MAIL_TRANSPORT].create();
+  return transport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+}
@@ -0,0 +1,59 @@
+// server/mail/templates.js
+// Account emails. Each template returns { subject, text, html }; the plain-text part
+// carries the full link for mail apps that don't show HTML.
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function hoursLabel(ms) {
+  const hours = Math.round(ms / (60 * 60 * 1000));
+  return hours === 1 ? "1 hour" : `${hours} hours`;
+}
+
+function layout({ name, intro, action, link, outro }) {
+  const greeting = name ? `Hello ${name},` : "Hello,";
+  const text = [greeting, "", intro, "", `${action}: ${link}`, "", outro, "", "— PestiScan"].join("\n");
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f3faf5;font-family:Arial,Helvetica,sans-serif;color:#0f3d2a">
+    <div style="max-width:520px;margin:0 auto;background:#ffffff;border:1px solid #cfe9d8;border-radius:16px;padding:24px">
+      <p style="margin:0 0 12px;font-size:18px;font-weight:bold">PestiScan</p>
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(intro)}</p>
+      <p style="margin:24px 0">
+        <a href="${escapeHtml(link)}" style="display:inline-block;padding:12px 18px;border-radius:12px;background:#26c766;color:#ffffff;font-weight:bold;text-decoration:none">${escapeHtml(action)}</a>
+      </p>
+      <p style="font-size:13px;color:#4b6b5a">${escapeHtml(outro)}</p>
+      <p style="font-size:12px;color:#4b6b5a;word-break:break-all">${escapeHtml(link)}</p>
+    </div>
+  </body>
+</html>`;
+  return { text, html };
+}
+
+export function verifyEmail({ name, link, validForMs }) {
+  return {
+    subject: "Confirm your email for PestiScan",
+    ...layout({
+      name,
+      intro: "Please confirm this is your email address, so you can reset your password if you ever forget it.",
+      action: "Confirm email",
+      link,
+      outro: `The link works once and expires in ${hoursLabel(validForMs)}. If you didn't create a PestiScan account, ignore this email.`,
+    }),
+  };
+}
+
+export function resetPassword({ name, link, validForMs }) {
+  return {
+    subject: "Reset your PestiScan password",
+    ...layout({
+      name,
+      intro: "Someone (hopefully you) asked to reset the password for your PestiScan account.",
+      action: "Choose a new password",
+      link,
+      outro: `The link works once and expires in ${hoursLabel(validForMs)}. If you didn't ask for this, ignore this email; your password stays the same.`,
+    }),
+  };
+}
@@ -0,0 +1,19 @@
+import express from "express";
+import { cropStages, getCrop, listCrops } from "../../shared/crops.js";
+
+const router = express.Router();
+
+// GET /api/crops  (stages: every growth stage, for crops not in the catalog)
+router.get("/", (req, res) => {
+  const items = listCrops();
+  return res.json({ items, count: items.length, stages: cropStages(null) });
+});
+
+// GET /api/crops/:id (id or name)
+router.get("/:id", (req, res) => {
+  const crop = getCrop(req.params.id);
+  if (!crop) return res.status(404).json({ error: "Crop not found" });
+  return res.json(listCrops().find((c) => c.id === crop.id));
+});
+
+export default router;
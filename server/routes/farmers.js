@@ -0,0 +1,46 @@
+import express from "express";
+import { authRequired, requirePermission } from "../auth/middleware.js";
+import { canSeeFarmer } from "../auth/roles.js";
+import { accountSummary, findById, getUsers } from "../auth/usersStore.js";
+import { listScans, scanStatsByUser } from "../scans/scansStore.js";
+
+const router = express.Router();
+
+const MAX_LIMIT = 500;
+
+// store errors go to the JSON error handler instead of an unhandled rejection
+const wrap = (fn) => (req, res, next) => fn(req, res).catch(next);
+
+// extension officers (their assigned farmers), cooperative admins (their cooperative) and admins
+router.use(authRequired, requirePermission("farmers:read"));
+
+/**
+ * GET /api/farmers
+ * The farmers this user may follow, with how many scans each has saved.
+ */
+router.get("/", wrap(async (req, res) => {
+  const farmers = (await getUsers()).filter(
+    (u) => (u.role || "farmer") === "farmer" && u.id !== req.user.id && canSeeFarmer(req.user, u)
+  );
+  const stats = await scanStatsByUser(farmers.map((u) => u.id));
+  const items = farmers
+    .map((u) => ({ ...accountSummary(u), scanCount: stats[u.id]?.count || 0, lastScanAt: stats[u.id]?.lastScanAt || null }))
+    .sort((a, b) => String(b.lastScanAt || "").localeCompare(String(a.lastScanAt || "")));
+  return res.json({ items });
+}));
+
+/**
+ * GET /api/farmers/:id/scans?limit=&offset=
+ * A farmer's saved scans, newest first (read-only). Farmers out of reach are a 404.
+ */
+router.get("/:id/scans", wrap(async (req, res) => {
+  const farmer = await findById(req.params.id);
+  if (!farmer || !canSeeFarmer(req.user, farmer)) return res.status(404).json({ error: "Farmer not found" });
+
+  const all = await listScans(farmer.id);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(req.query.limit) || MAX_LIMIT));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  return res.json({ farmer: accountSummary(farmer), items: all.slice(offset, offset + limit), total: all.length });
+}));
+
+export default router;
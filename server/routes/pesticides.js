@@ -0,0 +1,20 @@
+import express from "express";
+import { getPesticide, searchPesticides } from "../../shared/pesticides.js";
+
+const router = express.Router();
+
+// GET /api/pesticides?q=&crop=&limit=
+router.get("/", (req, res) => {
+  const { q = "", crop = "", limit = 20 } = req.query || {};
+  const items = searchPesticides(q, { crop, limit: Math.min(Number(limit) || 20, 100) });
+  return res.json({ items, count: items.length });
+});
+
+// GET /api/pesticides/:id
+router.get("/:id", (req, res) => {
+  const item = getPesticide(req.params.id);
+  if (!item) return res.status(404).json({ error: "Pesticide not found" });
+  return res.json(item);
+});
+
+export default router;
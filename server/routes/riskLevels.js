@@ -0,0 +1,13 @@
+import express from "express";
+import { riskBands } from "../../shared/riskLevels.js";
+
+const router = express.Router();
+
+// GET /api/risk-levels?crop=&org=
+// The Low/Medium/High bands a scan for this crop/org is graded with.
+router.get("/", (req, res) => {
+  const { crop = "", org = "" } = req.query || {};
+  return res.json({ crop: crop || null, org: org || null, ...riskBands({ crop, org }) });
+});
+
+export default router;
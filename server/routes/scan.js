@@ -1,24 +1,179 @@
 import express from "express";
-import { calculatePhytotoxicRisk } from "../../shared/risk.js";
+import multer from "multer";
+import { findLevers, whatIf } from "../../shared/risk.js";
+import { DEFAULT_MODEL_VERSION, getEngine, listEngines, scoreWith } from "../scoring/index.js";
+import { authOptional } from "../auth/middleware.js";
+import { resultSummary, upsertScan } from "../scans/scansStore.js";
 
 const router = express.Router();
 
-// POST /api/scan
-router.post("/", (req, res) => {
+const MAX_VARIATIONS = 20;
+
+function boundedNum(v, min, max) {
+  if (v === null || v === undefined || v === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : undefined;
+}
+
+function parseJson(v) {
+  if (typeof v !== "string" || !v) return null;
   try {
-    const payload = req.body || {};
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+// ---------- Multer (for multipart/form-data) ----------
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 8 * 1024 * 1024, // 8MB
+  },
+});
 
-    if (!payload.recommendedDose || Number(payload.recommendedDose) <= 0) {
+// GET /api/scan/models
+router.get("/models", (req, res) => {
+  return res.json({ default: DEFAULT_MODEL_VERSION, models: listEngines() });
+});
+
+/**
+ * POST /api/scan
+ * Expects multipart/form-data:
+ * - image: File
+ * - inputs: JSON string (may carry modelVersion)
+ * - modelVersion: optional, wins over inputs.modelVersion
+ * - scanId, createdAt, ai: optional; for a logged-in user the scan is saved to
+ *   their history under scanId (ai = JSON of the photo analysis). Sending the
+ *   same scanId again updates that scan (offline retries don't duplicate).
+ */
+router.post("/", authOptional, upload.single("image"), async (req, res) => {
+  try {
+    // 1) Validate image exists
+    if (!req.file) {
+      return res.status(400).json({ error: "Leaf image is required." });
+    }
+    if (!req.file.mimetype?.startsWith("image/")) {
+      return res.status(400).json({ error: "Invalid file type. Please upload an image." });
+    }
+
+    // 2) Parse inputs
+    let inputs = req.body?.inputs;
+
+    if (!inputs) {
+      return res.status(400).json({ error: "inputs is required." });
+    }
+
+    if (typeof inputs === "string") {
+      try {
+        inputs = JSON.parse(inputs);
+      } catch {
+        return res.status(400).json({ error: "Invalid inputs JSON." });
+      }
+    }
+
+    // 3) Validate recommendedDose
+    if (!(Number(inputs?.recommendedDose) > 0)) {
       return res.status(400).json({
         error: "recommendedDose is required and must be > 0",
       });
     }
 
-    const result = calculatePhytotoxicRisk(payload);
-    return res.json(result);
+    // 4) Pick the engine
+    const requested = req.body?.modelVersion || inputs.modelVersion;
+    if (!getEngine(requested)) {
+      return res.status(400).json({
+        error: `Unknown modelVersion: ${requested}`,
+        available: listEngines().map((m) => m.modelVersion),
+      });
+    }
+
+    // 5) Score (result is stamped with modelVersion)
+    const out = scoreWith(inputs, requested);
+
+    // 6) Logged in: keep it in the user's history (the scan still succeeds if saving fails)
+    let savedScanId = null;
+    if (req.user?.id) {
+      try {
+        const { scan: saved } = await upsertScan(req.user.id, {
+          id: req.body?.scanId,
+          createdAt: req.body?.createdAt,
+          inputs,
+          result: resultSummary(out),
+          image: { name: req.file.originalname, type: req.file.mimetype, size: req.file.size },
+          ai: parseJson(req.body?.ai),
+        });
+        savedScanId = saved.id;
+      } catch (err) {
+        console.error("SCAN SAVE ERROR:", err);
+      }
+    }
+
+    return res.json({
+      ...out,
+      savedScanId,
+      meta: {
+        received: {
+          crop: inputs.crop,
+          pesticide: inputs.pesticide,
+          pesticideId: inputs.pesticideId ?? null,
+          recommendedDose: inputs.recommendedDose,
+          appliedDose: inputs.appliedDose ?? null,
+          doseUnit: inputs.doseUnit ?? null,
+        },
+        file: { mimetype: req.file.mimetype, size: req.file.size },
+      },
+    });
+  } catch (err) {
+    console.error("SCAN ERROR:", err);
+    return res.status(500).json({ error: "Server error while scanning." });
+  }
+});
+
+/**
+ * POST /api/scan/what-if (JSON)
+ * { inputs, variations?: [{ id?, label?, extraDays?, doseFactor?, rainMm? }], modelVersion? }
+ * Returns the base risk, the risk for each variation and the most useful levers.
+ */
+router.post("/what-if", (req, res) => {
+  try {
+    const { inputs, variations = [], modelVersion } = req.body || {};
+
+    if (!inputs || typeof inputs !== "object") {
+      return res.status(400).json({ error: "inputs is required." });
+    }
+    if (!Array.isArray(variations) || variations.length > MAX_VARIATIONS) {
+      return res.status(400).json({ error: `variations must be an array of at most ${MAX_VARIATIONS}.` });
+    }
+
+    const requested = modelVersion || inputs.modelVersion;
+    const engine = getEngine(requested);
+    if (!engine) {
+      return res.status(400).json({
+        error: `Unknown modelVersion: ${requested}`,
+        available: listEngines().map((m) => m.modelVersion),
+      });
+    }
+
+    const cleaned = variations
+      .filter((v) => v && typeof v === "object")
+      .map((v, i) => ({
+        id: v.id != null ? String(v.id) : String(i),
+        label: v.label != null ? String(v.label).slice(0, 80) : null,
+        extraDays: boundedNum(v.extraDays, 0, 60),
+        doseFactor: boundedNum(v.doseFactor, 0, 5),
+        rainMm: boundedNum(v.rainMm, 0, 500),
+      }));
+
+    // every scenario is a full re-score; skip the Monte Carlo band for them
+    const score = (payload) => engine.score(payload, { samples: 0 });
+    const out = whatIf(inputs, cleaned, { score });
+    const levers = findLevers(inputs, { score });
+
+    return res.json({ ...out, levers, modelVersion: engine.modelVersion });
   } catch (err) {
-    console.error("Scan error:", err);
-    return res.status(500).json({ error: "Internal server error" });
+    console.error("WHAT-IF ERROR:", err);
+    return res.status(500).json({ error: "Server error while comparing scenarios." });
   }
 });
 
@@ -0,0 +1,77 @@
+import express from "express";
+import { authRequired } from "../auth/middleware.js";
+import {
+  deleteAllScans,
+  deleteScan,
+  getScan,
+  listScans,
+  updateNotes,
+  upsertScan,
+} from "../scans/scansStore.js";
+
+const router = express.Router();
+
+const MAX_LIMIT = 500;
+
+// store errors go to the JSON error handler instead of an unhandled rejection
+const wrap = (fn) => (req, res, next) => fn(req, res).catch(next);
+
+// every scan belongs to the logged-in user
+router.use(authRequired);
+
+/**
+ * GET /api/scans?limit=&offset=
+ * The user's saved scans, newest first.
+ */
+router.get("/", wrap(async (req, res) => {
+  const all = await listScans(req.user.id);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(req.query.limit) || MAX_LIMIT));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  return res.json({ items: all.slice(offset, offset + limit), total: all.length });
+}));
+
+// GET /api/scans/:id
+router.get("/:id", wrap(async (req, res) => {
+  const scan = await getScan(req.user.id, req.params.id);
+  if (!scan) return res.status(404).json({ error: "Scan not found" });
+  return res.json(scan);
+}));
+
+/**
+ * POST /api/scans
+ * Body: { id?, createdAt?, inputs, result, image?, ai?, notes? }
+ * (a scan saved on the device, e.g. from before logging in)
+ * Idempotent by id: 201 when added, 200 when it was already saved.
+ */
+router.post("/", wrap(async (req, res) => {
+  const { inputs, result } = req.body || {};
+  if (!inputs || typeof inputs !== "object" || !result || typeof result !== "object") {
+    return res.status(400).json({ error: "inputs and result are required." });
+  }
+  const { scan, created } = await upsertScan(req.user.id, req.body);
+  return res.status(created ? 201 : 200).json(scan);
+}));
+
+// PATCH /api/scans/:id  body: { notes }
+router.patch("/:id", wrap(async (req, res) => {
+  const { notes } = req.body || {};
+  if (typeof notes !== "string") return res.status(400).json({ error: "notes must be a string." });
+  const scan = await updateNotes(req.user.id, req.params.id, notes);
+  if (!scan) return res.status(404).json({ error: "Scan not found" });
+  return res.json(scan);
+}));
+
+// DELETE /api/scans/:id
+router.delete("/:id", wrap(async (req, res) => {
+  const removed = await deleteScan(req.user.id, req.params.id);
+  if (!removed) return res.status(404).json({ error: "Scan not found" });
+  return res.json({ ok: true });
+}));
+
+// DELETE /api/scans  (clear the user's whole history)
+router.delete("/", wrap(async (req, res) => {
+  const removed = await deleteAllScans(req.user.id);
+  return res.json({ ok: true, removed });
+}));
+
+export default router;
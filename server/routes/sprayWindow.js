@@ -0,0 +1,91 @@
+import express from "express";
+import { getPesticide } from "../../shared/pesticides.js";
+import { rankSprayWindows } from "../../shared/sprayWindow.js";
+import { getForecast, hasProvider, listProviders, MAX_FORECAST_HOURS } from "../weather/index.js";
+
+const router = express.Router();
+
+const MAX_WINDOW_HOURS = 12;
+
+function boundedNum(v, min, max) {
+  if (v === null || v === undefined || v === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : undefined;
+}
+
+// catalog product (for its formulation) with an optional rainfast override
+function resolveProduct({ pesticideId, rainfastHours }) {
+  const product = pesticideId ? getPesticide(pesticideId) : null;
+  if (pesticideId && !product) return { error: `Unknown pesticideId: ${pesticideId}` };
+
+  const override = boundedNum(rainfastHours, 0, 48);
+  return {
+    product: {
+      ...(product ? { id: product.id, name: product.name, formulation: product.formulation } : {}),
+      ...(override !== undefined ? { rainfastHours: override } : {}),
+    },
+  };
+}
+
+function advise(res, forecast, meta, query) {
+  const { product, error } = resolveProduct(query);
+  if (error) return res.status(400).json({ error });
+
+  const minWindowHours = boundedNum(query.minWindowHours, 1, MAX_WINDOW_HOURS) ?? 2;
+  const out = rankSprayWindows(forecast, { product, minWindowHours });
+  return res.json({ ...meta, product, minWindowHours, ...out });
+}
+
+/**
+ * GET /api/spray-window?lat=&lon=&pesticideId=&rainfastHours=&hours=&minWindowHours=&provider=
+ * Ranks the coming hours as good / marginal / bad spray windows from the provider's forecast.
+ */
+router.get("/", async (req, res) => {
+  const { lat, lon, hours, provider } = req.query || {};
+  const la = Number(lat);
+  const lo = Number(lon);
+
+  if (lat === undefined || lon === undefined || !Number.isFinite(la) || !Number.isFinite(lo)) {
+    return res.status(400).json({ error: "lat and lon are required." });
+  }
+  if (Math.abs(la) > 90 || Math.abs(lo) > 180) {
+    return res.status(400).json({ error: "lat/lon out of range." });
+  }
+  if (provider && !hasProvider(provider)) {
+    return res.status(400).json({
+      error: `Unknown provider: ${provider}`,
+      available: listProviders().map((p) => p.id),
+    });
+  }
+
+  let forecast;
+  try {
+    forecast = await getForecast({
+      lat: la,
+      lon: lo,
+      hours: boundedNum(hours, 1, MAX_FORECAST_HOURS),
+      provider: provider || undefined,
+    });
+  } catch (err) {
+    console.error("FORECAST ERROR:", err.message);
+    return res.status(502).json({ error: "Forecast provider is unavailable. Try again later." });
+  }
+
+  const { hours: list, ...meta } = forecast;
+  return advise(res, list, meta, req.query);
+});
+
+/**
+ * POST /api/spray-window (JSON)
+ * { forecast: [{ at, tempC, humidity, windKmh, gustKmh, rainMm }], pesticideId?, rainfastHours?, minWindowHours? }
+ * Same ranking for a forecast you already have (another service, a saved file).
+ */
+router.post("/", (req, res) => {
+  const body = req.body || {};
+  if (!Array.isArray(body.forecast) || !body.forecast.length || body.forecast.length > MAX_FORECAST_HOURS) {
+    return res.status(400).json({ error: `forecast must be an array of 1 to ${MAX_FORECAST_HOURS} hours.` });
+  }
+  return advise(res, body.forecast, { provider: "request" }, body);
+});
+
+export default router;
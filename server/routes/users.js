@@ -0,0 +1,101 @@
+import express from "express";
+import { authRequired, requirePermission } from "../auth/middleware.js";
+import { assignableRoles, canManageUser, isRole, roleOf, ROLES } from "../auth/roles.js";
+import { accountSummary, deleteUser, findById, getUsers, updateUser } from "../auth/usersStore.js";
+
+const router = express.Router();
+
+const MAX_COOPERATIVE = 100;
+
+// store errors go to the JSON error handler instead of an unhandled rejection
+const wrap = (fn) => (req, res, next) => fn(req, res).catch(next);
+
+// cooperative admins manage their cooperative, system admins everyone
+router.use(authRequired, requirePermission("users:manage"));
+
+function inScope(viewer, u) {
+  return roleOf(viewer) === "admin" || (Boolean(viewer.cooperative) && u.cooperative === viewer.cooperative);
+}
+
+/**
+ * GET /api/users?q=&role=
+ * Accounts this admin can see, with what they may change; plus the roles they
+ * can give and the officers farmers can be assigned to.
+ */
+router.get("/", wrap(async (req, res) => {
+  const q = String(req.query.q || "").trim().toLowerCase();
+  const role = isRole(req.query.role) ? req.query.role : "";
+  const visible = (await getUsers()).filter((u) => inScope(req.user, u));
+
+  const items = visible
+    .filter((u) => !role || roleOf(u) === role)
+    .filter((u) => !q || [u.name, u.username, u.email, u.cooperative].some((v) => String(v || "").toLowerCase().includes(q)))
+    .sort((a, b) => String(a.name || a.username).localeCompare(String(b.name || b.username)))
+    .map((u) => ({ ...accountSummary(u), canManage: canManageUser(req.user, u) }));
+
+  return res.json({
+    items,
+    roles: Object.entries(ROLES).map(([id, r]) => ({ id, label: r.label, assignable: assignableRoles(req.user).includes(id) })),
+    officers: visible
+      .filter((u) => roleOf(u) === "officer")
+      .map((u) => ({ id: u.id, name: u.name || u.username, cooperative: u.cooperative || "" })),
+    canDelete: roleOf(req.user) === "admin",
+  });
+}));
+
+/**
+ * PATCH /api/users/:id
+ * Body: { role?, cooperative?, officerId? }  (officerId null = no officer)
+ * Cooperative admins can't move people to another cooperative or hand out admin roles.
+ */
+router.patch("/:id", wrap(async (req, res) => {
+  const target = await findById(req.params.id);
+  if (!target || !inScope(req.user, target)) return res.status(404).json({ error: "User not found" });
+  if (!canManageUser(req.user, target)) return res.status(403).json({ error: "Not allowed" });
+
+  const { role, cooperative, officerId } = req.body || {};
+  const changes = {};
+
+  if (role !== undefined) {
+    if (!isRole(role)) return res.status(400).json({ error: "Unknown role." });
+    if (!assignableRoles(req.user).includes(role)) return res.status(403).json({ error: "You can't give that role." });
+    changes.role = role;
+  }
+
+  if (cooperative !== undefined) {
+    const name = String(cooperative ?? "").trim().slice(0, MAX_COOPERATIVE);
+    if (name !== (target.cooperative || "") && roleOf(req.user) !== "admin") {
+      return res.status(403).json({ error: "Only a system admin can move users between cooperatives." });
+    }
+    changes.cooperative = name;
+  }
+
+  if (officerId !== undefined) {
+    if (officerId) {
+      const officer = await findById(officerId);
+      if (!officer || roleOf(officer) !== "officer" || !inScope(req.user, officer)) {
+        return res.status(400).json({ error: "That extension officer doesn't exist." });
+      }
+      if ((changes.role ?? roleOf(target)) !== "farmer") {
+        return res.status(400).json({ error: "Only farmers are assigned to an extension officer." });
+      }
+    }
+    changes.officerId = officerId || null;
+  } else if (changes.role && changes.role !== "farmer") {
+    changes.officerId = null;
+  }
+
+  const updated = await updateUser(target.id, changes);
+  if (!updated) return res.status(404).json({ error: "User not found" });
+  return res.json({ ...updated, canManage: canManageUser(req.user, updated) });
+}));
+
+// DELETE /api/users/:id  (system admins; removes the account's scans and logs it out everywhere)
+router.delete("/:id", requirePermission("users:delete"), wrap(async (req, res) => {
+  if (req.params.id === req.user.id) return res.status(400).json({ error: "You can't delete your own account here." });
+  const removed = await deleteUser(req.params.id);
+  if (!removed) return res.status(404).json({ error: "User not found" });
+  return res.json({ ok: true });
+}));
+
+export default router;
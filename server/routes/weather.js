@@ -0,0 +1,45 @@
+import express from "express";
+import { getWeather, hasProvider, listProviders, MAX_PAST_DAYS } from "../weather/index.js";
+
+const router = express.Router();
+
+// GET /api/weather/providers
+router.get("/providers", (req, res) => {
+  return res.json({ providers: listProviders() });
+});
+
+/**
+ * GET /api/weather?lat=&lon=&pastDays=&provider=
+ * Current conditions + recent history (daily temps, hourly rain) for the risk engine.
+ */
+router.get("/", async (req, res) => {
+  const { lat, lon, pastDays, provider } = req.query || {};
+  const la = Number(lat);
+  const lo = Number(lon);
+
+  if (lat === undefined || lon === undefined || !Number.isFinite(la) || !Number.isFinite(lo)) {
+    return res.status(400).json({ error: "lat and lon are required." });
+  }
+  if (Math.abs(la) > 90 || Math.abs(lo) > 180) {
+    return res.status(400).json({ error: "lat/lon out of range." });
+  }
+  if (pastDays !== undefined && !(Number(pastDays) >= 1 && Number(pastDays) <= MAX_PAST_DAYS)) {
+    return res.status(400).json({ error: `pastDays must be between 1 and ${MAX_PAST_DAYS}.` });
+  }
+  if (provider && !hasProvider(provider)) {
+    return res.status(400).json({
+      error: `Unknown provider: ${provider}`,
+      available: listProviders().map((p) => p.id),
+    });
+  }
+
+  try {
+    const out = await getWeather({ lat: la, lon: lo, pastDays, provider: provider || undefined });
+    return res.json(out);
+  } catch (err) {
+    console.error("WEATHER ERROR:", err.message);
+    return res.status(502).json({ error: "Weather provider is unavailable. Enter values manually." });
+  }
+});
+
+export default router;
@@ -0,0 +1,128 @@
+import crypto from "crypto";
+import { db } from "../storage/index.js";
+
+// Scans live in the "scans" collection of the server database (server/storage).
+
+const MAX_NOTES = 2000;
+
+function byNewest(a, b) {
+  return String(b.createdAt || "").localeCompare(String(a.createdAt || ""));
+}
+
+export function cleanNotes(notes) {
+  return String(notes ?? "").trim().slice(0, MAX_NOTES);
+}
+
+/**
+ * The parts of an engine result worth keeping in history (same shape the client saves).
+ */
+export function resultSummary(out = {}) {
+  return {
+    riskPercent: out.riskPercent ?? null,
+    level: out.level ?? null,
+    breakdown: out.breakdown ?? {},
+    tips: out.tips ?? [],
+    safeHarvest: out.safeHarvest ?? null,
+    ingredients: out.ingredients ?? [],
+    modelVersion: out.modelVersion ?? null,
+    uncertainty: out.uncertainty ?? null,
+    explanation: out.explanation ?? "",
+    contributions: out.contributions ?? [],
+    rules: out.rules ?? [],
+    phytotoxicity: out.phytotoxicity ?? null,
+  };
+}
+
+/**
+ * A user's scans, newest first.
+ */
+export async function listScans(userId) {
+  return db.read((tx) => tx.collection("scans").filter((s) => s.userId === userId).sort(byNewest));
+}
+
+export async function getScan(userId, id) {
+  return db.read((tx) => tx.collection("scans").find((s) => s.userId === userId && s.id === id));
+}
+
+function toIso(v, fallback) {
+  const d = new Date(v);
+  return v && !Number.isNaN(d.getTime()) ? d.toISOString() : fallback;
+}
+
+/**
+ * Save a scan for a user, keyed by the id the device generated. Sending the same
+ * scan again (a retry, or a second device syncing it) updates it instead of adding
+ * a duplicate; saved notes are kept unless new ones are sent.
+ * Returns { scan, created }.
+ */
+export async function upsertScan(userId, { id, createdAt, inputs, result, image, ai, notes } = {}) {
+  return db.transaction((tx) => {
+    const scans = tx.collection("scans");
+    const now = new Date().toISOString();
+    const clientId = typeof id === "string" && id ? id : null;
+
+    const existing = clientId ? scans.find((s) => s.id === clientId && s.userId === userId) : null;
+    if (existing) {
+      const scan = scans.update((s) => s === existing, {
+        createdAt: toIso(createdAt, existing.createdAt),
+        updatedAt: now,
+        inputs: inputs ?? existing.inputs,
+        result: result ?? existing.result,
+        image: image ?? existing.image,
+        ai: ai ?? existing.ai,
+        notes: notes === undefined ? existing.notes : cleanNotes(notes),
+      });
+      return { scan, created: false };
+    }
+
+    // an id already used by another account gets a fresh one
+    const taken = clientId && scans.find((s) => s.id === clientId);
+    const scan = scans.insert({
+      id: clientId && !taken ? clientId : crypto.randomUUID(),
+      userId,
+      createdAt: toIso(createdAt, now),
+      updatedAt: now,
+      inputs: inputs ?? {},
+      result: result ?? {},
+      image: image ?? null,
+      ai: ai ?? null,
+      notes: cleanNotes(notes),
+    });
+    return { scan, created: true };
+  });
+}
+
+export async function updateNotes(userId, id, notes) {
+  return db.transaction((tx) =>
+    tx.collection("scans").update((s) => s.userId === userId && s.id === id, {
+      notes: cleanNotes(notes),
+      updatedAt: new Date().toISOString(),
+    })
+  );
+}
+
+export async function deleteScan(userId, id) {
+  const removed = await db.transaction((tx) => tx.collection("scans").remove((s) => s.userId === userId && s.id === id));
+  return removed > 0;
+}
+
+export async function deleteAllScans(userId) {
+  return db.transaction((tx) => tx.collection("scans").remove((s) => s.userId === userId));
+}
+
+/**
+ * How many scans each of these users has, and when the latest was made:
+ * { [userId]: { count, lastScanAt } } (users without scans are left out).
+ */
+export async function scanStatsByUser(userIds) {
+  const wanted = new Set(userIds);
+  return db.read((tx) => {
+    const stats = {};
+    for (const s of tx.collection("scans").filter((x) => wanted.has(x.userId))) {
+      const entry = (stats[s.userId] ??= { count: 0, lastScanAt: null });
+      entry.count += 1;
+      if (!entry.lastScanAt || String(s.createdAt) > entry.lastScanAt) entry.lastScanAt = s.createdAt;
+    }
+    return stats;
+  });
+}
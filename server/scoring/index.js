@@ -0,0 +1,51 @@
+// server/scoring/index.js
+// Versioned scoring engines. Every result is stamped with the modelVersion that produced it.
+
+import { calculateRisk, ENGINE_VERSION } from "../../shared/risk.js";
+import { calculatePlaceholderRisk, PLACEHOLDER_VERSION } from "./placeholder.js";
+
+export const DEFAULT_MODEL_VERSION = `risk-${ENGINE_VERSION}`;
+
+const ENGINES = {
+  [DEFAULT_MODEL_VERSION]: {
+    name: "Shared risk engine",
+    description: "shared/risk.js: residue score (dose, decay, PHI) and plant damage score (leaf symptoms, heat, pH).",
+    score: calculateRisk,
+  },
+  [`placeholder-${PLACEHOLDER_VERSION}`]: {
+    name: "Server placeholder",
+    description: "Simple server formula from before the shared engine, banded with the shared risk-level policy. For comparison only; it does not reproduce old results.",
+    deprecated: true,
+    score: calculatePlaceholderRisk,
+  },
+};
+
+export function listEngines() {
+  return Object.entries(ENGINES).map(([modelVersion, e]) => ({
+    modelVersion,
+    name: e.name,
+    description: e.description,
+    deprecated: Boolean(e.deprecated),
+    default: modelVersion === DEFAULT_MODEL_VERSION,
+  }));
+}
+
+/**
+ * Lookup by modelVersion (missing = default). Returns null when unknown.
+ */
+export function getEngine(modelVersion) {
+  const key = modelVersion ? String(modelVersion).trim() : DEFAULT_MODEL_VERSION;
+  const engine = ENGINES[key];
+  return engine ? { modelVersion: key, ...engine } : null;
+}
+
+/**
+ * Score inputs with one engine and stamp the result.
+ * Throws on an unknown version; routes check getEngine() first.
+ */
+export function scoreWith(inputs, modelVersion) {
+  const engine = getEngine(modelVersion);
+  if (!engine) throw new Error(`Unknown modelVersion: ${modelVersion}`);
+
+  return { ...engine.score(inputs), modelVersion: engine.modelVersion };
+}
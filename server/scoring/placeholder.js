@@ -0,0 +1,156 @@
+// server/scoring/placeholder.js
+// Server-side placeholder scoring, the formula the server used before the shared engine.
+// It has changed since (shared risk-level bands, unmeasured inputs, plant damage score),
+// so it does not reproduce old results; PLACEHOLDER_VERSION tells its outputs apart.
+// Only reachable through an explicit modelVersion.
+
+import {
+  calculatePhytotoxicRisk,
+  cumulativeResidue,
+  predictSafeHarvest,
+  safeHarvestTip,
+} from "../../shared/risk.js";
+import { levelFromPercent, resolveRiskPolicy } from "../../shared/riskLevels.js";
+
+export const PLACEHOLDER_VERSION = "0.6.0";
+
+function toNumber(v) {
+  if (v === null || v === "") return NaN; // "not measured"
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function clamp01(x) {
+  return Math.min(1, Math.max(0, x));
+}
+
+/**
+ * Very simple v1 placeholder scoring (so your Scan UI works end-to-end).
+ * Superseded by shared/risk.js; kept for side-by-side comparisons.
+ */
+function computeRisk(inputs) {
+  const recommendedDose = toNumber(inputs.recommendedDose);
+  const appliedDose = toNumber(inputs.appliedDose);
+  const daysSinceSpray = toNumber(inputs.daysSinceSpray);
+  const halfLifeDays = toNumber(inputs.halfLifeDays);
+  const leafPh = toNumber(inputs.leafPh);
+  const soilPh = toNumber(inputs.soilPh);
+  const soilMoisture = toNumber(inputs.soilMoisture);
+  const imageStress = toNumber(inputs.imageStress);
+
+  const tempC = toNumber(inputs?.weather?.tempC);
+  const humidity = toNumber(inputs?.weather?.humidity);
+  const rainMm24h = toNumber(inputs?.weather?.rainMm24h);
+
+  // --- Component scores (0..1) ---
+  // Dose ratio: applied / recommended (absolute rates, e.g. ml/ha).
+  // Older clients send only a relative recommendedDose (1 = label rate).
+  const doseRatio = appliedDose > 0 ? appliedDose / recommendedDose : recommendedDose;
+
+  // Dose score: 1 = normal (0.4), higher dose increases
+  const doseScore = clamp01((doseRatio - 1) / 3 + 0.4); // rough
+
+  // Residue/decay score using half-life
+  // residueFactor = exp(-ln(2)*days/halfLife), so more days => less risk
+  let residueFactor = 0.6;
+  const sprayLog = cumulativeResidue(inputs);
+  if (sprayLog.applications.length) {
+    // several sprays: each decays with its own half-life, then summed
+    residueFactor = clamp01(sprayLog.total);
+  } else if (Number.isFinite(daysSinceSpray) && Number.isFinite(halfLifeDays) && halfLifeDays > 0) {
+    residueFactor = Math.exp(-Math.log(2) * (daysSinceSpray / halfLifeDays));
+    residueFactor = clamp01(residueFactor);
+  }
+
+  // pH stress: farther from neutral-ish increases
+  const leafPhScore = Number.isFinite(leafPh) ? clamp01(Math.abs(6.5 - leafPh) / 3) : 0.2;
+  const soilPhScore = Number.isFinite(soilPh) ? clamp01(Math.abs(6.8 - soilPh) / 3) : 0.2;
+
+  // moisture stress: too low or too high increases
+  let moistureScore = 0.2;
+  if (Number.isFinite(soilMoisture)) {
+    const ideal = 55;
+    moistureScore = clamp01(Math.abs(ideal - soilMoisture) / 55);
+  }
+
+  // weather stress: heat + humidity + rain (rough)
+  let weatherScore = 0.2;
+  if (Number.isFinite(tempC) || Number.isFinite(humidity) || Number.isFinite(rainMm24h)) {
+    const t = Number.isFinite(tempC) ? clamp01((tempC - 25) / 15) : 0.2;
+    const h = Number.isFinite(humidity) ? clamp01((humidity - 55) / 40) : 0.2;
+    const r = Number.isFinite(rainMm24h) ? clamp01(rainMm24h / 80) : 0.0;
+    weatherScore = clamp01(0.55 * t + 0.35 * h + 0.10 * r);
+  }
+
+  const imageStressScore = Number.isFinite(imageStress) ? clamp01(imageStress / 100) : 0.25;
+
+  // --- Weighted risk (0..1) ---
+  // (Adjust weights later in calibration)
+  const risk01 =
+    0.22 * doseScore +
+    0.24 * residueFactor +
+    0.14 * leafPhScore +
+    0.10 * soilPhScore +
+    0.10 * moistureScore +
+    0.10 * weatherScore +
+    0.10 * imageStressScore;
+
+  const riskPercent = Math.round(clamp01(risk01) * 100);
+  const policyContext = { crop: inputs.crop, org: inputs.org };
+  const level = levelFromPercent(riskPercent, policyContext);
+
+  return {
+    riskPercent,
+    level,
+    riskPolicy: resolveRiskPolicy(policyContext),
+    ingredients: sprayLog.ingredients,
+    breakdown: {
+      doseScore,
+      doseRatio,
+      residueFactor,
+      leafPhScore,
+      soilPhScore,
+      moistureScore,
+      weatherScore,
+      imageStressScore,
+    },
+    tips: buildTips({ level, doseRatio, residueFactor, weatherScore, imageStressScore }),
+  };
+}
+
+function buildTips({ level, doseRatio, residueFactor, weatherScore, imageStressScore }) {
+  const tips = [];
+
+  if (level === "High") tips.push("High risk detected: avoid harvest for now and consider expert guidance.");
+  if (level === "Medium") tips.push("Moderate risk: monitor plant response and avoid over-application.");
+  if (level === "Low") tips.push("Low risk: continue monitoring and follow label instructions.");
+
+  if (doseRatio > 1.05) {
+    tips.push(`Dose is ${doseRatio.toFixed(2)}× the label rate. Check tank dilution and reduce dose next spray.`);
+  }
+  if (residueFactor > 0.65) tips.push("Recent spray detected. Risk may drop after a few more days.");
+  if (weatherScore > 0.6) tips.push("Weather stress is high (heat/humidity/rain). Prefer spraying in cooler, calmer conditions.");
+  if (imageStressScore > 0.6) tips.push("Leaf appears stressed. Avoid additional stress (over-spraying, midday spraying).");
+
+  tips.push("Always follow label safety intervals and wear protection while spraying.");
+  return tips.slice(0, 8);
+}
+
+/**
+ * Same result shape as shared calculateRisk(): score + safe-harvest projection.
+ * This formula never had a plant damage score, so that one comes from the shared engine.
+ */
+export function calculatePlaceholderRisk(inputs = {}, options = {}) {
+  const out = computeRisk(inputs);
+
+  // Safe-harvest date, projected with the same scoring as the result above
+  const safeHarvest = predictSafeHarvest(inputs, { score: computeRisk });
+  const harvestTip = safeHarvestTip(safeHarvest);
+
+  return {
+    ...out,
+    tips: harvestTip ? [harvestTip, ...out.tips].slice(0, 8) : out.tips,
+    safeHarvest,
+    phytotoxicity: calculatePhytotoxicRisk(inputs, options),
+  };
+}
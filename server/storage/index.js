@@ -0,0 +1,81 @@
+// server/storage/index.js
+// The server's database: one embedded store (see jsonStore.js) shared by every feature.
+// Collections: users, scans, farms, contactMessages, sessions, emailTokens.
+// DATA_DIR overrides where it lives (default server/data/db, one JSON file per collection).
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { openJsonStore } from "./jsonStore.js";
+import { importLegacyJson } from "./legacyImport.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "..", "data", "db");
+
+// Append only: each runs once per database, in version order. Never edit one that shipped.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create collections",
+    up(state) {
+      for (const name of ["users", "scans", "farms", "contactMessages"]) state.collections[name] ??= [];
+    },
+  },
+  {
+    version: 2,
+    name: "import legacy JSON files",
+    up(state) {
+      const counts = importLegacyJson(state);
+      console.log(
+        `Imported ${counts.users} users, ${counts.scans} scans, ${counts.contactMessages} contact messages from the old JSON files.`
+      );
+    },
+  },
+  {
+    version: 3,
+    name: "create sessions collection",
+    up(state) {
+      state.collections.sessions ??= [];
+    },
+  },
+  {
+    version: 4,
+    name: "create emailTokens collection",
+    up(state) {
+      state.collections.emailTokens ??= [];
+    },
+  },
+  {
+    version: 5,
+    name: "give every user a role",
+    up(state) {
+      for (const u of state.collections.users || []) {
+        u.role ??= "farmer";
+        u.cooperative ??= "";
+        u.officerId ??= null;
+      }
+    },
+  },
+  {
+    version: 6,
+    name: "mark imported users as email-verified",
+    up(state) {
+      // databases that ran the legacy import before it set emailVerified
+      for (const u of state.collections.users || []) {
+        if (u.importedFrom && u.emailVerified === undefined) u.emailVerified = true;
+      }
+    },
+  },
+];
+
+export const db = openJsonStore(DATA_DIR, { migrations: MIGRATIONS });
+
+/**
+ * Error for a unique field that's already used (e.g. email); routes answer with err.status.
+ */
+export function conflict(message) {
+  return Object.assign(new Error(message), { status: 409 });
+}
@@ -0,0 +1,328 @@
+// server/storage/jsonStore.js
+// Embedded document store: a directory holding one JSON file per collection (an array
+// of documents) and _meta.json with the schema version and the collection names.
+// A transaction only rewrites the collections it changed, so a token refresh rewrites
+// the sessions file, not every saved scan.
+// - Writes go through a queue, one transaction at a time, so concurrent requests can't
+//   overwrite each other's changes.
+// - Other processes may use the same directory (a second server, db:migrate, users:set-role):
+//   a transaction holds a lock file (".lock") and starts from what's on disk, and reads
+//   pick a collection up again whenever its file has changed.
+// - Changed files are written to temp files and flushed, listed in _journal.json, then
+//   renamed into place. A crash before the journal is written leaves the old data; after
+//   it, the next writer finishes the renames. If the transaction throws, nothing is written.
+// - Schema migrations run once, in order, when the store is first used.
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+const META = "_meta.json";
+const JOURNAL = "_journal.json";
+const LOCK = ".lock";
+const LOCK_WAIT_MS = 10_000; // give up after this long behind another process
+const LOCK_STALE_MS = 30_000; // a lock from another machine this old is abandoned
+
+const EMPTY_META = () => ({ schemaVersion: 0, migrations: [], collections: [] });
+const EMPTY_COLLECTION = () => [];
+
+function fileOf(name) {
+  if (!/^[A-Za-z][A-Za-z0-9_-]*$/.test(name)) throw new Error(`Invalid collection name "${name}".`);
+  return `${name}.json`;
+}
+
+// What identifies one version of a file: every write renames a new file in place.
+async function signature(file) {
+  try {
+    const st = await fs.stat(file);
+    return `${st.ino}:${st.size}:${st.mtimeMs}`;
+  } catch (err) {
+    if (err.code === "ENOENT") return "missing";
+    throw err;
+  }
+}
+
+async function readJson(file, fallback) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback();
+    throw err;
+  }
+  // a damaged file is an error, not an empty collection
+  return JSON.parse(text);
+}
+
+let tmpCounter = 0;
+
+async function writeTemp(file, value) {
+  const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+  const handle = await fs.open(tmp, "w");
+  try {
+    await handle.writeFile(JSON.stringify(value));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  return tmp;
+}
+
+// Renames the journal lists that haven't happened yet (a crash mid-commit). Needs the lock.
+async function finishJournal(dir) {
+  const journal = path.join(dir, JOURNAL);
+  const renames = await readJson(journal, () => []);
+  for (const [tmp, target] of renames) {
+    try {
+      await fs.rename(path.join(dir, tmp), path.join(dir, target));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err; // renamed before the crash
+    }
+  }
+  await fs.rm(journal, { force: true });
+}
+
+/**
+ * Put several files in place as one change. files: [[name, value]]
+ */
+async function replaceFiles(dir, files) {
+  const renames = [];
+  try {
+    for (const [name, value] of files) {
+      renames.push([path.basename(await writeTemp(path.join(dir, name), value)), name]);
+    }
+    const journalTmp = await writeTemp(path.join(dir, JOURNAL), renames);
+    await fs.rename(journalTmp, path.join(dir, JOURNAL));
+  } catch (err) {
+    await Promise.all(renames.map(([tmp]) => fs.rm(path.join(dir, tmp), { force: true })));
+    throw err;
+  }
+  await finishJournal(dir);
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM"; // exists, just not ours
+  }
+}
+
+// A lock whose owner crashed: its process is gone (same machine) or it's very old.
+async function lockIsStale(lockFile) {
+  let owner;
+  try {
+    owner = JSON.parse(await fs.readFile(lockFile, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return false; // just released
+    owner = null; // half-written by a process that died
+  }
+  if (owner?.host === os.hostname() && Number.isInteger(owner.pid)) return !processAlive(owner.pid);
+  const stat = await fs.stat(lockFile).catch(() => null);
+  return Boolean(stat) && Date.now() - stat.mtimeMs > LOCK_STALE_MS;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function withFileLock(dir, fn) {
+  const lockFile = path.join(dir, LOCK);
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  await fs.mkdir(dir, { recursive: true });
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockFile, "wx");
+      try {
+        await handle.writeFile(JSON.stringify({ pid: process.pid, host: os.hostname(), at: new Date().toISOString() }));
+      } finally {
+        await handle.close();
+      }
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    if (await lockIsStale(lockFile)) {
+      await fs.rm(lockFile, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) throw new Error(`Database is locked by another process (${lockFile}).`);
+    await sleep(20 + Math.random() * 50);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockFile, { force: true });
+  }
+}
+
+// `changed` collects the names of collections a transaction actually modified
+function collectionApi(state, name, writable, changed) {
+  const guard = () => {
+    if (!writable) throw new Error(`Collection "${name}" is read-only here; use transaction().`);
+  };
+  const docs = () => {
+    if (!Array.isArray(state.collections[name])) {
+      guard();
+      state.collections[name] = [];
+    }
+    return state.collections[name];
+  };
+
+  return {
+    all: () => (Array.isArray(state.collections[name]) ? state.collections[name] : []),
+    find: (pred) => (state.collections[name] || []).find(pred) || null,
+    filter: (pred) => (state.collections[name] || []).filter(pred),
+    insert(doc) {
+      guard();
+      docs().push(doc);
+      changed.add(name);
+      return doc;
+    },
+    // first matching document gets the changes (object, or fn(doc) -> object); null if none
+    update(pred, changes) {
+      guard();
+      const doc = docs().find(pred);
+      if (!doc) return null;
+      Object.assign(doc, typeof changes === "function" ? changes(doc) : changes);
+      changed.add(name);
+      return doc;
+    },
+    // returns how many were removed
+    remove(pred) {
+      guard();
+      const list = docs();
+      const kept = list.filter((d) => !pred(d));
+      if (kept.length !== list.length) {
+        state.collections[name] = kept;
+        changed.add(name);
+      }
+      return list.length - kept.length;
+    },
+  };
+}
+
+/**
+ * Open (lazily) the store kept in directory `dir`.
+ * migrations: [{ version, name, up(state) }] — up() changes state.collections in place.
+ * Returns { read(fn), transaction(fn), schemaVersion() } where fn receives
+ * { collection(name) } and its return value is handed back (as a copy).
+ * Documents only change through insert/update/remove.
+ */
+export function openJsonStore(dir, { migrations = [] } = {}) {
+  const ordered = [...migrations].sort((a, b) => a.version - b.version);
+  const cache = new Map(); // file name -> { signature, value } as last read or written
+  let migrated = null;
+  let queue = Promise.resolve();
+
+  function exclusive(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // one writer at a time: this process's queue, then the lock against other processes
+  function locked(fn) {
+    return exclusive(() => withFileLock(dir, fn));
+  }
+
+  // a file as it is now; only re-parsed when another process (or we) replaced it
+  async function cachedFile(name, fallback) {
+    const file = path.join(dir, name);
+    const sig = await signature(file);
+    const hit = cache.get(name);
+    if (hit?.signature === sig) return hit.value;
+    const value = sig === "missing" ? fallback() : await readJson(file, fallback);
+    cache.set(name, { signature: sig, value });
+    return value;
+  }
+
+  async function current() {
+    const meta = await cachedFile(META, EMPTY_META);
+    const collections = {};
+    await Promise.all(
+      meta.collections.map(async (name) => {
+        collections[name] = await cachedFile(fileOf(name), EMPTY_COLLECTION);
+      })
+    );
+    return { schemaVersion: meta.schemaVersion, migrations: meta.migrations, collections };
+  }
+
+  async function commit(state, names) {
+    const known = Object.keys(state.collections).filter((name) => Array.isArray(state.collections[name]));
+    const meta = { schemaVersion: state.schemaVersion, migrations: state.migrations, collections: known.sort() };
+    const previous = cache.get(META)?.value;
+    const files = names.map((name) => [fileOf(name), state.collections[name]]);
+    if (JSON.stringify(previous) !== JSON.stringify(meta)) files.push([META, meta]);
+    if (!files.length) return;
+
+    await replaceFiles(dir, files);
+    for (const [name, value] of files) cache.set(name, { signature: await signature(path.join(dir, name)), value });
+  }
+
+  function ready() {
+    if (!migrated) {
+      migrated = locked(async () => {
+        await finishJournal(dir);
+        // temp files nobody listed in a journal: a writer crashed before committing
+        for (const name of await fs.readdir(dir)) {
+          if (name.endsWith(".tmp")) await fs.rm(path.join(dir, name), { force: true });
+        }
+
+        const loaded = await current();
+        const pending = ordered.filter((m) => m.version > loaded.schemaVersion);
+        if (!pending.length) return;
+        const next = structuredClone(loaded);
+        for (const m of pending) {
+          await m.up(next);
+          next.schemaVersion = m.version;
+          next.migrations.push({ version: m.version, name: m.name, appliedAt: new Date().toISOString() });
+        }
+        await commit(next, Object.keys(next.collections));
+      }).catch((err) => {
+        migrated = null; // try again on the next call
+        throw err;
+      });
+    }
+    return migrated;
+  }
+
+  return {
+    async read(fn) {
+      await ready();
+      const state = await current();
+      const out = await fn({ collection: (name) => collectionApi(state, name, false, new Set()) });
+      return out === undefined ? out : structuredClone(out);
+    },
+
+    async transaction(fn) {
+      await ready();
+      return locked(async () => {
+        await finishJournal(dir);
+        const base = await current();
+        // collections are copied when first used, so a small change doesn't copy every scan
+        const draft = { ...base, collections: { ...base.collections } };
+        const copied = new Set();
+        const changed = new Set();
+        const out = await fn({
+          collection(name) {
+            fileOf(name);
+            if (!copied.has(name)) {
+              copied.add(name);
+              if (Array.isArray(base.collections[name])) draft.collections[name] = structuredClone(base.collections[name]);
+            }
+            return collectionApi(draft, name, true, changed);
+          },
+        });
+        await commit(draft, [...changed]);
+        return out === undefined ? out : structuredClone(out);
+      });
+    },
+
+    async schemaVersion() {
+      await ready();
+      return (await cachedFile(META, EMPTY_META)).schemaVersion;
+    },
+  };
+}
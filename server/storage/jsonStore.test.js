@@ -0,0 +1,207 @@
+// Run with `npm test` from the repository root (node:test).
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { openJsonStore } from "./jsonStore.js";
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "jsonstore-"));
+});
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const all = (store, name) => store.read(({ collection }) => collection(name).all());
+const readFile = async (name) => JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+
+describe("transactions", () => {
+  test("committed changes are on disk for the next process", async () => {
+    const store = openJsonStore(dir);
+    await store.transaction(({ collection }) => {
+      collection("users").insert({ id: "u1", name: "Ana" });
+    });
+    assert.deepEqual(await readFile("users.json"), [{ id: "u1", name: "Ana" }]);
+    assert.deepEqual((await readFile("_meta.json")).collections, ["users"]);
+    assert.deepEqual(await all(openJsonStore(dir), "users"), [{ id: "u1", name: "Ana" }]);
+  });
+
+  test("a transaction that throws writes nothing", async () => {
+    const store = openJsonStore(dir);
+    await store.transaction(({ collection }) => collection("users").insert({ id: "u1" }));
+    await assert.rejects(
+      store.transaction(({ collection }) => {
+        collection("users").update((u) => u.id === "u1", { name: "changed" });
+        collection("scans").insert({ id: "s1" });
+        throw new Error("boom");
+      }),
+      /boom/
+    );
+    assert.deepEqual(await all(store, "users"), [{ id: "u1" }]);
+    assert.deepEqual(await all(store, "scans"), []);
+    await assert.rejects(fs.stat(path.join(dir, "scans.json")), { code: "ENOENT" });
+  });
+
+  test("only the collections that changed are rewritten", async () => {
+    const store = openJsonStore(dir);
+    await store.transaction(({ collection }) => {
+      collection("scans").insert({ id: "s1" });
+      collection("sessions").insert({ id: "a" });
+    });
+    const before = await fs.stat(path.join(dir, "scans.json"));
+    await store.transaction(({ collection }) => {
+      collection("scans").all(); // read, not changed
+      collection("sessions").update((s) => s.id === "a", { revoked: true });
+    });
+    const after = await fs.stat(path.join(dir, "scans.json"));
+    assert.equal(after.ino, before.ino);
+    assert.deepEqual(await readFile("sessions.json"), [{ id: "a", revoked: true }]);
+  });
+
+  test("concurrent transactions don't lose each other's changes", async () => {
+    const store = openJsonStore(dir);
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) => store.transaction(({ collection }) => collection("scans").insert({ id: i })))
+    );
+    assert.equal((await all(openJsonStore(dir), "scans")).length, 20);
+  });
+
+  test("documents handed out can't change the store", async () => {
+    const store = openJsonStore(dir);
+    const doc = await store.transaction(({ collection }) => collection("users").insert({ id: "u1" }));
+    doc.id = "changed";
+    assert.deepEqual(await all(store, "users"), [{ id: "u1" }]);
+    await assert.rejects(store.read(({ collection }) => collection("users").insert({ id: "u2" })), /read-only/);
+  });
+});
+
+describe("crash recovery", () => {
+  const META = JSON.stringify({ schemaVersion: 0, migrations: [], collections: ["users"] });
+
+  test("a journal left by a crash is finished before the store is used", async () => {
+    await fs.writeFile(path.join(dir, "_meta.json"), META);
+    await fs.writeFile(path.join(dir, "users.json"), JSON.stringify([{ id: "old" }]));
+    await fs.writeFile(path.join(dir, "users.json.1.1.tmp"), JSON.stringify([{ id: "new" }]));
+    await fs.writeFile(path.join(dir, "_journal.json"), JSON.stringify([["users.json.1.1.tmp", "users.json"]]));
+
+    assert.deepEqual(await all(openJsonStore(dir), "users"), [{ id: "new" }]);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ["_meta.json", "users.json"]);
+  });
+
+  test("temp files from a writer that crashed before its journal are dropped", async () => {
+    await fs.writeFile(path.join(dir, "users.json"), JSON.stringify([{ id: "old" }]));
+    await fs.writeFile(path.join(dir, "_meta.json"), META);
+    await fs.writeFile(path.join(dir, "users.json.1.1.tmp"), "[{\"id\":");
+
+    assert.deepEqual(await all(openJsonStore(dir), "users"), [{ id: "old" }]);
+    assert.ok(!(await fs.readdir(dir)).some((name) => name.endsWith(".tmp")));
+  });
+});
+
+describe("migrations", () => {
+  test("run once each, in version order", async () => {
+    const ran = [];
+    const migrations = [
+      {
+        version: 2,
+        name: "second",
+        up(state) {
+          ran.push(2);
+          state.collections.users.push({ id: "seed" });
+        },
+      },
+      {
+        version: 1,
+        name: "first",
+        up(state) {
+          ran.push(1);
+          state.collections.users = [];
+        },
+      },
+    ];
+    const store = openJsonStore(dir, { migrations });
+    assert.equal(await store.schemaVersion(), 2);
+    assert.deepEqual(ran, [1, 2]);
+    assert.deepEqual(await all(store, "users"), [{ id: "seed" }]);
+
+    const reopened = openJsonStore(dir, { migrations });
+    assert.deepEqual(await all(reopened, "users"), [{ id: "seed" }]);
+    assert.deepEqual(ran, [1, 2]);
+    assert.deepEqual((await readFile("_meta.json")).migrations.map((m) => m.name), ["first", "second"]);
+  });
+
+  test("only the new ones run on an existing database", async () => {
+    const first = {
+      version: 1,
+      name: "first",
+      up(state) {
+        state.collections.users = [];
+      },
+    };
+    await openJsonStore(dir, { migrations: [first] }).schemaVersion();
+
+    const ran = [];
+    const second = { version: 2, name: "second", up: () => ran.push(2) };
+    const store = openJsonStore(dir, { migrations: [{ ...first, up: () => ran.push(1) }, second] });
+    assert.equal(await store.schemaVersion(), 2);
+    assert.deepEqual(ran, [2]);
+  });
+
+  test("a failing migration leaves the database as it was and is retried", async () => {
+    let fail = true;
+    const migrations = [
+      {
+        version: 1,
+        name: "flaky",
+        up(state) {
+          state.collections.users = [{ id: "u1" }];
+          if (fail) throw new Error("not yet");
+        },
+      },
+    ];
+    const store = openJsonStore(dir, { migrations });
+    await assert.rejects(store.schemaVersion(), /not yet/);
+    await assert.rejects(fs.stat(path.join(dir, "users.json")), { code: "ENOENT" });
+    fail = false;
+    assert.equal(await store.schemaVersion(), 1);
+    assert.deepEqual(await all(store, "users"), [{ id: "u1" }]);
+  });
+});
+
+describe("lock file", () => {
+  const lock = () => path.join(dir, ".lock");
+
+  test("a lock left by a process that's gone is taken over", async () => {
+    const { pid } = spawnSync(process.execPath, ["-e", ""]); // has exited by now
+    await fs.writeFile(lock(), JSON.stringify({ pid, host: os.hostname(), at: new Date().toISOString() }));
+
+    const store = openJsonStore(dir);
+    await store.transaction(({ collection }) => collection("users").insert({ id: "u1" }));
+    assert.deepEqual(await all(store, "users"), [{ id: "u1" }]);
+    await assert.rejects(fs.stat(lock()), { code: "ENOENT" });
+  });
+
+  test("an old lock from another machine is taken over", async () => {
+    await fs.writeFile(lock(), JSON.stringify({ pid: 1, host: "elsewhere", at: "2020-01-01T00:00:00Z" }));
+    const old = new Date(Date.now() - 60_000);
+    await fs.utimes(lock(), old, old);
+
+    const store = openJsonStore(dir);
+    await store.transaction(({ collection }) => collection("users").insert({ id: "u1" }));
+    assert.deepEqual(await all(store, "users"), [{ id: "u1" }]);
+  });
+
+  test("a live holder is waited for", async () => {
+    await fs.writeFile(lock(), JSON.stringify({ pid: process.pid, host: os.hostname(), at: new Date().toISOString() }));
+    setTimeout(() => fs.rm(lock(), { force: true }), 200);
+
+    const store = openJsonStore(dir);
+    const started = Date.now();
+    await store.transaction(({ collection }) => collection("users").insert({ id: "u1" }));
+    assert.ok(Date.now() - started >= 150);
+    assert.deepEqual(await all(store, "users"), [{ id: "u1" }]);
+  });
+});
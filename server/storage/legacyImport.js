@@ -0,0 +1,125 @@
+// server/storage/legacyImport.js
+// One-time import of the JSON files the server used before the storage layer
+// (run as a schema migration, so it happens exactly once per database).
+//
+// - server/users.json               { id, name, username, email, hash, createdAt }
+// - server/server/data/users.json   older schema: { id, name, email, passwordHash, crops, createdAt }
+// - server/server/data/contact_messages.json
+// - server/scans.json               saved scans (per user)
+//
+// Users are matched by email (case-insensitive); the first file listed wins.
+// Imported users count as having confirmed their email.
+// The files are only read, never changed or deleted.
+
+import fs from "fs";
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SERVER_DIR = path.join(__dirname, "..");
+
+export const LEGACY_FILES = {
+  users: [path.join(SERVER_DIR, "users.json"), path.join(SERVER_DIR, "server", "data", "users.json")],
+  contactMessages: [path.join(SERVER_DIR, "server", "data", "contact_messages.json")],
+  scans: [path.join(SERVER_DIR, "scans.json")],
+};
+
+function readList(file) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(parsed) ? parsed.filter((x) => x && typeof x === "object") : [];
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`Legacy import: skipping ${file}:`, err.message);
+    return [];
+  }
+}
+
+function lower(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+// the older schema had no username: derive one from the email; clashes get a number
+function uniqueUsername(wanted, taken) {
+  const base = lower(wanted).replace(/[^a-z0-9._-]/g, "") || "farmer";
+  let name = base;
+  for (let n = 2; taken.has(name); n += 1) name = `${base}${n}`;
+  taken.add(name);
+  return name;
+}
+
+function toUser(raw, source, takenUsernames) {
+  const email = String(raw.email ?? "").trim();
+  const hash = raw.hash ?? raw.passwordHash;
+  if (!email || !hash) return null;
+  return {
+    id: String(raw.id ?? crypto.randomUUID()),
+    name: raw.name ?? "",
+    username:
+      raw.username && !takenUsernames.has(lower(raw.username))
+        ? String(raw.username)
+        : uniqueUsername(raw.username || email.split("@")[0], takenUsernames),
+    email,
+    hash,
+    crops: Array.isArray(raw.crops) ? raw.crops : [],
+    createdAt: raw.createdAt ?? new Date().toISOString(),
+    // these accounts predate email confirmation
+    emailVerified: true,
+    importedFrom: source,
+  };
+}
+
+/**
+ * Merge the legacy files into state.collections (users, contactMessages, scans).
+ * Returns counts of imported documents.
+ */
+export function importLegacyJson(state, files = LEGACY_FILES) {
+  const c = state.collections;
+  c.users ??= [];
+  c.contactMessages ??= [];
+  c.scans ??= [];
+
+  const emails = new Set(c.users.map((u) => lower(u.email)));
+  const usernames = new Set(c.users.map((u) => lower(u.username)));
+  const ids = new Set(c.users.map((u) => u.id));
+  const counts = { users: 0, contactMessages: 0, scans: 0 };
+
+  for (const file of files.users || []) {
+    const source = path.relative(SERVER_DIR, file);
+    for (const raw of readList(file)) {
+      if (emails.has(lower(raw.email))) continue;
+      const user = toUser(raw, source, usernames);
+      if (!user) continue;
+      usernames.add(lower(user.username));
+      if (ids.has(user.id)) user.id = crypto.randomUUID();
+      emails.add(lower(user.email));
+      ids.add(user.id);
+      c.users.push(user);
+      counts.users += 1;
+    }
+  }
+
+  const messageIds = new Set(c.contactMessages.map((m) => m.id));
+  for (const file of files.contactMessages || []) {
+    for (const raw of readList(file)) {
+      const msg = { ...raw, id: String(raw.id ?? crypto.randomUUID()), createdAt: raw.createdAt ?? new Date().toISOString() };
+      if (messageIds.has(msg.id)) continue;
+      messageIds.add(msg.id);
+      c.contactMessages.push(msg);
+      counts.contactMessages += 1;
+    }
+  }
+
+  const scanIds = new Set(c.scans.map((s) => s.id));
+  for (const file of files.scans || []) {
+    for (const raw of readList(file)) {
+      if (!raw.id || !raw.userId || scanIds.has(raw.id)) continue;
+      scanIds.add(raw.id);
+      c.scans.push(raw);
+      counts.scans += 1;
+    }
+  }
+
+  return counts;
+}
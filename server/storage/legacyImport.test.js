@@ -0,0 +1,72 @@
+// Run with `npm test` from the repository root (node:test).
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { importLegacyJson } from "./legacyImport.js";
+
+let dir;
+let files;
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "legacy-"));
+  const write = async (name, value) => {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, JSON.stringify(value));
+    return file;
+  };
+  files = {
+    users: [
+      await write("users.json", [
+        { id: "1", name: "Ana", username: "ana", email: "Ana@Example.com", hash: "h1", createdAt: "2023-01-01" },
+      ]),
+      await write("old-users.json", [
+        { id: "1", name: "Ana again", email: "ana@example.com", passwordHash: "h0" },
+        { id: "2", name: "Ben", email: "ana@elsewhere.org", passwordHash: "h2", crops: ["tomato"] },
+        { id: "3", name: "No password", email: "x@example.com" },
+      ]),
+      path.join(dir, "missing.json"),
+    ],
+    contactMessages: [await write("messages.json", [{ id: "m1", message: "hello" }])],
+    scans: [await write("scans.json", [{ id: "s1", userId: "1" }, { id: "s2" }])],
+  };
+});
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe("legacy JSON import", () => {
+  test("merges users by email, first file wins", () => {
+    const state = { collections: {} };
+    const counts = importLegacyJson(state, files);
+    assert.deepEqual(counts, { users: 2, contactMessages: 1, scans: 1 });
+
+    const [ana, ben] = state.collections.users;
+    assert.equal(ana.name, "Ana");
+    assert.equal(ana.hash, "h1");
+    // the older schema: passwordHash, no username, a clashing id
+    assert.equal(ben.hash, "h2");
+    assert.equal(ben.username, "ana2");
+    assert.notEqual(ben.id, "1");
+    assert.deepEqual(ben.crops, ["tomato"]);
+  });
+
+  test("imported accounts don't have to confirm their email again", () => {
+    const state = { collections: {} };
+    importLegacyJson(state, files);
+    assert.ok(state.collections.users.every((u) => u.emailVerified === true));
+  });
+
+  test("running it again imports nothing twice", () => {
+    const state = { collections: {} };
+    importLegacyJson(state, files);
+    const counts = importLegacyJson(state, files);
+    assert.deepEqual(counts, { users: 0, contactMessages: 0, scans: 0 });
+    assert.equal(state.collections.users.length, 2);
+  });
+
+  test("the files are left as they were", async () => {
+    importLegacyJson({ collections: {} }, files);
+    assert.deepEqual(JSON.parse(await fs.readFile(files.scans[0], "utf8")), [{ id: "s1", userId: "1" }, { id: "s2" }]);
+  });
+});
@@ -0,0 +1,15 @@
+// server/storage/migrate.js
+// Apply pending schema migrations (and the one-time legacy JSON import) without starting the API:
+//   npm run db:migrate
+
+import "dotenv/config";
+import { DATA_DIR, db, MIGRATIONS } from "./index.js";
+
+try {
+  const version = await db.schemaVersion();
+  const latest = Math.max(0, ...MIGRATIONS.map((m) => m.version));
+  console.log(`${DATA_DIR}: schema version ${version} (latest ${latest}).`);
+} catch (err) {
+  console.error("Migration failed, database left unchanged:", err);
+  process.exit(1);
+}
@@ -0,0 +1,125 @@
+// server/weather/index.js
+// Weather providers behind one interface, with a small in-memory cache.
+// Pick the provider with WEATHER_PROVIDER (default "open-meteo"); "local-stub" works offline.
+
+import * as openMeteo from "./openMeteo.js";
+import * as localStub from "./localStub.js";
+
+const PROVIDERS = {
+  "open-meteo": openMeteo,
+  "local-stub": localStub,
+};
+
+export const DEFAULT_PROVIDER = PROVIDERS[process.env.WEATHER_PROVIDER] ? process.env.WEATHER_PROVIDER : "open-meteo";
+
+export const DEFAULT_PAST_DAYS = 30;
+export const MAX_PAST_DAYS = 92;
+export const DEFAULT_FORECAST_HOURS = 48;
+export const MAX_FORECAST_HOURS = 96;
+
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_MAX = 500;
+
+// ~1 km grid: nearby farms share one entry, and one upstream call per hour per cell
+const COORD_DECIMALS = 2;
+
+const cache = new Map();
+
+export function listProviders() {
+  return Object.entries(PROVIDERS).map(([id, p]) => ({ id, name: p.name, default: id === DEFAULT_PROVIDER }));
+}
+
+export function hasProvider(id) {
+  return Boolean(PROVIDERS[id]);
+}
+
+function roundCoord(v) {
+  const f = 10 ** COORD_DECIMALS;
+  return Math.round(Number(v) * f) / f;
+}
+
+function currentHour() {
+  return new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS).toISOString();
+}
+
+/**
+ * Share one upstream call per key (including in-flight ones); failures are not cached.
+ */
+async function cached(key, load) {
+  const hit = cache.get(key);
+  if (hit) return { ...(await hit), cached: true };
+
+  const pending = load();
+  cache.set(key, pending);
+  pending.catch(() => cache.delete(key));
+
+  // drop the oldest entries (Map keeps insertion order)
+  while (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+
+  return { ...(await pending), cached: false };
+}
+
+function rainSum(rainHours, sinceMs) {
+  const mm = rainHours
+    .filter((h) => new Date(h.at).getTime() > sinceMs)
+    .reduce((a, h) => a + (Number(h.mm) || 0), 0);
+  return Math.round(mm * 10) / 10;
+}
+
+/**
+ * Current conditions plus the history the risk engine uses:
+ * - history.tempSeries: daily mean temperatures (inputs.tempSeries)
+ * - history.rainHours: hourly rain, for wash-off events (inputs.waterEvents)
+ * Results are cached per provider, rounded location, past-days window and clock hour.
+ */
+export async function getWeather({ lat, lon, pastDays = DEFAULT_PAST_DAYS, provider = DEFAULT_PROVIDER } = {}) {
+  const source = PROVIDERS[provider];
+  if (!source) throw new Error(`Unknown weather provider: ${provider}`);
+
+  const location = { lat: roundCoord(lat), lon: roundCoord(lon) };
+  const days = Math.min(MAX_PAST_DAYS, Math.max(1, Math.round(Number(pastDays) || DEFAULT_PAST_DAYS)));
+  const hour = currentHour();
+  const key = `weather|${provider}|${location.lat},${location.lon}|${days}|${hour}`;
+
+  return cached(key, () =>
+    source.fetchWeather({ ...location, pastDays: days }).then((raw) => ({
+      provider,
+      location,
+      hour,
+      fetchedAt: new Date().toISOString(),
+      current: {
+        ...raw.current,
+        rainMm24h: rainSum(raw.rainHours, Date.now() - 24 * HOUR_MS),
+      },
+      history: {
+        pastDays: days,
+        tempSeries: raw.dailyTemps,
+        rainHours: raw.rainHours,
+      },
+    }))
+  );
+}
+
+/**
+ * Hourly forecast from the current hour: [{ at, tempC, humidity, windKmh, gustKmh, rainMm }].
+ * Cached like getWeather.
+ */
+export async function getForecast({ lat, lon, hours = DEFAULT_FORECAST_HOURS, provider = DEFAULT_PROVIDER } = {}) {
+  const source = PROVIDERS[provider];
+  if (!source) throw new Error(`Unknown weather provider: ${provider}`);
+
+  const location = { lat: roundCoord(lat), lon: roundCoord(lon) };
+  const count = Math.min(MAX_FORECAST_HOURS, Math.max(1, Math.round(Number(hours) || DEFAULT_FORECAST_HOURS)));
+  const hour = currentHour();
+  const key = `forecast|${provider}|${location.lat},${location.lon}|${count}|${hour}`;
+
+  return cached(key, () =>
+    source.fetchForecast({ ...location, hours: count }).then((forecast) => ({
+      provider,
+      location,
+      hour,
+      fetchedAt: new Date().toISOString(),
+      hours: forecast,
+    }))
+  );
+}
@@ -0,0 +1,92 @@
+// server/weather/localStub.js
+// Offline provider for development and tests: replays a JSON file instead of calling the network.
+//
+// File shape (times may be absolute or relative to now, so the file never goes stale):
+// {
+//   "current": { "tempC": 27, "humidity": 70 },
+//   "dailyTemps": [{ "daysAgo": 1, "tempC": 25 }, { "date": "2025-06-01", "tempC": 22 }],
+//   "rainHours": [{ "hoursAgo": 30, "mm": 4 }, { "at": "2025-06-01T10:00:00Z", "mm": 2 }],
+//   "forecastDay": [{ "hour": 0, "tempC": 19, "humidity": 85, "windKmh": 4, "gustKmh": 9, "rainMm": 0 }, ...]
+// }
+// forecastDay is one day by GMT hour (missing hours take the nearest earlier one) and repeats
+// for as many days as asked; "forecastRain": [{ "hoursAhead": 20, "mm": 3 }] adds showers on top.
+
+import jsonfile from "jsonfile";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FILE = path.join(__dirname, "stub-weather.json");
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const name = "Local stub (file)";
+
+function stubFile() {
+  return process.env.WEATHER_STUB_FILE || DEFAULT_FILE;
+}
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export async function fetchWeather({ pastDays }) {
+  const stub = await jsonfile.readFile(stubFile());
+  const now = Date.now();
+  const thisHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+  const oldest = now - pastDays * DAY_MS;
+
+  const dailyTemps = (stub.dailyTemps || [])
+    .map((d) => ({
+      date: d.date || dayKey(now - (Number(d.daysAgo) || 0) * DAY_MS),
+      tempC: Number(d.tempC),
+    }))
+    .filter((d) => Number.isFinite(d.tempC) && d.date >= dayKey(oldest))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const rainHours = (stub.rainHours || [])
+    .map((h) => ({
+      at: h.at ? new Date(h.at).toISOString() : new Date(thisHour - (Number(h.hoursAgo) || 0) * HOUR_MS).toISOString(),
+      mm: Number(h.mm) || 0,
+    }))
+    .filter((h) => {
+      const t = new Date(h.at).getTime();
+      return t >= oldest && t <= now;
+    })
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+  return {
+    current: {
+      time: new Date(thisHour).toISOString(),
+      tempC: typeof stub.current?.tempC === "number" ? stub.current.tempC : null,
+      humidity: typeof stub.current?.humidity === "number" ? stub.current.humidity : null,
+    },
+    dailyTemps,
+    rainHours,
+  };
+}
+
+export async function fetchForecast({ hours }) {
+  const stub = await jsonfile.readFile(stubFile());
+  const day = [...(stub.forecastDay || [])].sort((a, b) => Number(a.hour) - Number(b.hour));
+  if (!day.length) return [];
+
+  const rainAt = new Map((stub.forecastRain || []).map((r) => [Number(r.hoursAhead) || 0, Number(r.mm) || 0]));
+  const thisHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+
+  return Array.from({ length: hours }, (_, k) => {
+    const at = thisHour + k * HOUR_MS;
+    const gmtHour = new Date(at).getUTCHours();
+    const slot = [...day].reverse().find((d) => Number(d.hour) <= gmtHour) || day[day.length - 1];
+    return {
+      at: new Date(at).toISOString(),
+      tempC: slot.tempC ?? null,
+      humidity: slot.humidity ?? null,
+      windKmh: slot.windKmh ?? null,
+      gustKmh: slot.gustKmh ?? null,
+      rainMm: (Number(slot.rainMm) || 0) + (rainAt.get(k) || 0),
+    };
+  });
+}
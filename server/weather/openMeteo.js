@@ -0,0 +1,89 @@
+// server/weather/openMeteo.js
+// Open-Meteo forecast API (no key). Past days come from the same endpoint via past_days.
+
+import axios from "axios";
+
+const BASE_URL = process.env.OPEN_METEO_URL || "https://api.open-meteo.com/v1/forecast";
+const TIMEOUT_MS = 8000;
+
+export const name = "Open-Meteo";
+
+/**
+ * Current conditions plus hourly rain and daily mean temperatures for the last `pastDays` days.
+ * Times are GMT.
+ */
+export async function fetchWeather({ lat, lon, pastDays }) {
+  const { data } = await axios.get(BASE_URL, {
+    timeout: TIMEOUT_MS,
+    params: {
+      latitude: lat,
+      longitude: lon,
+      current: "temperature_2m,rain",
+      hourly: "relative_humidity_2m,precipitation",
+      daily: "temperature_2m_mean",
+      past_days: pastDays,
+      forecast_days: 1,
+      timezone: "GMT",
+    },
+  });
+
+  // hourly slot of "current time" (current.time can be on a 15-minute step)
+  const times = data?.hourly?.time || [];
+  const hourIso = String(data?.current?.time || "").slice(0, 13);
+  const nowIdx = times.findIndex((t) => String(t).startsWith(hourIso));
+  const end = nowIdx >= 0 ? nowIdx + 1 : times.length;
+
+  const hums = data?.hourly?.relative_humidity_2m || [];
+  const precip = data?.hourly?.precipitation || [];
+  const humidity = hums[end - 1];
+
+  const rainHours = times.slice(0, end).map((t, i) => ({ at: `${t}:00Z`, mm: Number(precip[i]) || 0 }));
+
+  const days = data?.daily?.time || [];
+  const means = data?.daily?.temperature_2m_mean || [];
+  const dailyTemps = days.map((date, i) => ({ date, tempC: means[i] })).filter((d) => typeof d.tempC === "number");
+
+  return {
+    current: {
+      time: data?.current?.time ? `${data.current.time}:00Z` : new Date().toISOString(),
+      tempC: typeof data?.current?.temperature_2m === "number" ? data.current.temperature_2m : null,
+      humidity: typeof humidity === "number" ? humidity : null,
+    },
+    dailyTemps,
+    rainHours,
+  };
+}
+
+/**
+ * Hourly forecast from the current hour on: [{ at, tempC, humidity, windKmh, gustKmh, rainMm }].
+ */
+export async function fetchForecast({ lat, lon, hours }) {
+  const { data } = await axios.get(BASE_URL, {
+    timeout: TIMEOUT_MS,
+    params: {
+      latitude: lat,
+      longitude: lon,
+      hourly: "temperature_2m,relative_humidity_2m,precipitation,wind_speed_10m,wind_gusts_10m",
+      wind_speed_unit: "kmh",
+      forecast_days: Math.min(16, Math.ceil(hours / 24) + 1),
+      timezone: "GMT",
+    },
+  });
+
+  const h = data?.hourly || {};
+  const thisHour = new Date().toISOString().slice(0, 13);
+  const start = Math.max(0, (h.time || []).findIndex((t) => String(t).slice(0, 13) >= thisHour));
+  const num = (arr, i) => (typeof arr?.[i] === "number" ? arr[i] : null);
+
+  return (h.time || []).slice(start, start + hours).map((t, k) => {
+    const i = start + k;
+    return {
+      at: `${t}:00Z`,
+      tempC: num(h.temperature_2m, i),
+      humidity: num(h.relative_humidity_2m, i),
+      windKmh: num(h.wind_speed_10m, i),
+      gustKmh: num(h.wind_gusts_10m, i),
+      rainMm: num(h.precipitation, i) ?? 0,
+    };
+  });
+}
@@ -0,0 +1,234 @@
+// shared/crops.js
+// PestiScan Web — Crop catalog (reference values)
+// sensitivity: how readily the crop shows spray damage (1 = typical, higher = burns more easily).
+// soilPh / soilMoisture: the range the crop does well in; outside it the plant is stressed.
+// weights: how much more (or less) pH, soil moisture and leaf symptoms say about damage on this crop.
+// Growth stages follow the BBCH principal stages; always defer to local agronomy advice.
+
+/**
+ * BBCH principal growth stages used by the catalog.
+ * factors scale the engine's symptom / pH / moisture weights; sensitivity scales the whole score.
+ */
+export const GROWTH_STAGES = {
+  seedling: {
+    label: "Seedling / leaf development",
+    bbch: "10–19",
+    sensitivity: 1.15, // young, thin-cuticle leaves
+    factors: { symptoms: 1.2, ph: 1.2, moisture: 1.3 },
+  },
+  vegetative: {
+    label: "Vegetative growth",
+    bbch: "20–49",
+    sensitivity: 1,
+    factors: { symptoms: 1, ph: 1, moisture: 1 },
+  },
+  flowering: {
+    label: "Budding / flowering",
+    bbch: "51–69",
+    sensitivity: 1.1, // flowers and young fruit set are easily hurt
+    factors: { symptoms: 1.3, ph: 1, moisture: 1.2 },
+  },
+  fruiting: {
+    label: "Fruit development",
+    bbch: "71–79",
+    sensitivity: 1,
+    factors: { symptoms: 1.1, ph: 0.9, moisture: 1.2 },
+  },
+  ripening: {
+    label: "Ripening",
+    bbch: "81–89",
+    sensitivity: 0.9,
+    factors: { symptoms: 0.8, ph: 0.8, moisture: 0.9 },
+  },
+};
+
+export const DEFAULT_STAGE = "vegetative";
+
+const FRUITING_CROP = ["seedling", "vegetative", "flowering", "fruiting", "ripening"];
+
+export const CROPS = [
+  {
+    id: "tomato",
+    name: "Tomato",
+    sensitivity: 1,
+    soilPh: { min: 6.0, max: 6.8 },
+    soilMoisture: { min: 40, max: 75 },
+    weights: { moisture: 1.2 }, // blossom-end rot and cracking follow uneven watering
+    stages: FRUITING_CROP,
+  },
+  {
+    id: "chilli",
+    name: "Chilli",
+    sensitivity: 1.05,
+    soilPh: { min: 6.0, max: 7.0 },
+    soilMoisture: { min: 40, max: 70 },
+    weights: {},
+    stages: FRUITING_CROP,
+  },
+  {
+    id: "eggplant",
+    name: "Eggplant",
+    sensitivity: 1,
+    soilPh: { min: 5.5, max: 6.8 },
+    soilMoisture: { min: 40, max: 75 },
+    weights: {},
+    stages: FRUITING_CROP,
+  },
+  {
+    id: "potato",
+    name: "Potato",
+    sensitivity: 0.95,
+    soilPh: { min: 5.0, max: 6.0 },
+    soilMoisture: { min: 45, max: 80 },
+    weights: { moisture: 1.2 },
+    stages: ["seedling", "vegetative", "flowering", "ripening"],
+    stageNames: { vegetative: "Tuber initiation / bulking" },
+  },
+  {
+    id: "cucumber",
+    name: "Cucumber",
+    sensitivity: 1.25, // cucurbits scorch easily with oils, sulphur and copper
+    soilPh: { min: 6.0, max: 7.0 },
+    soilMoisture: { min: 50, max: 80 },
+    weights: { symptoms: 1.2 },
+    stages: FRUITING_CROP,
+  },
+  {
+    id: "beans",
+    name: "Beans",
+    sensitivity: 1.15,
+    soilPh: { min: 6.0, max: 7.0 },
+    soilMoisture: { min: 40, max: 75 },
+    weights: {},
+    stages: FRUITING_CROP,
+    stageNames: { fruiting: "Pod development" },
+  },
+  {
+    id: "cabbage",
+    name: "Cabbage",
+    sensitivity: 0.9, // waxy leaves shed spray
+    soilPh: { min: 6.0, max: 7.5 },
+    soilMoisture: { min: 45, max: 80 },
+    weights: {},
+    stages: ["seedling", "vegetative", "ripening"],
+    stageNames: { vegetative: "Head development", ripening: "Head mature" },
+  },
+  {
+    id: "onion",
+    name: "Onion",
+    sensitivity: 0.9,
+    soilPh: { min: 6.0, max: 7.0 },
+    soilMoisture: { min: 35, max: 65 },
+    weights: {},
+    stages: ["seedling", "vegetative", "ripening"],
+    stageNames: { vegetative: "Bulb development", ripening: "Bulb maturing" },
+  },
+  {
+    id: "rice",
+    name: "Rice",
+    sensitivity: 0.85,
+    soilPh: { min: 5.5, max: 6.5 },
+    soilMoisture: { min: 70, max: 100 }, // paddy: wet is normal
+    weights: { moisture: 0.5 },
+    stages: ["seedling", "vegetative", "flowering", "ripening"],
+    stageNames: { vegetative: "Tillering / stem elongation", flowering: "Heading / flowering" },
+  },
+  {
+    id: "cotton",
+    name: "Cotton",
+    sensitivity: 0.9,
+    soilPh: { min: 5.8, max: 8.0 },
+    soilMoisture: { min: 30, max: 70 },
+    weights: {},
+    stages: FRUITING_CROP,
+    stageNames: { fruiting: "Boll development", ripening: "Boll opening" },
+  },
+  {
+    id: "grape",
+    name: "Grape",
+    sensitivity: 1.1,
+    soilPh: { min: 5.5, max: 7.0 },
+    soilMoisture: { min: 30, max: 65 },
+    weights: {},
+    stages: ["vegetative", "flowering", "fruiting", "ripening"],
+    stageNames: { fruiting: "Berry development" },
+  },
+  {
+    id: "citrus",
+    name: "Citrus",
+    sensitivity: 1,
+    soilPh: { min: 6.0, max: 7.0 },
+    soilMoisture: { min: 35, max: 70 },
+    weights: { ph: 1.2 }, // iron and zinc lock-up shows on the leaves
+    stages: ["vegetative", "flowering", "fruiting", "ripening"],
+  },
+  {
+    id: "sugarcane",
+    name: "Sugarcane",
+    sensitivity: 0.8,
+    soilPh: { min: 6.0, max: 7.5 },
+    soilMoisture: { min: 45, max: 85 },
+    weights: {},
+    stages: ["seedling", "vegetative", "ripening"],
+    stageNames: { seedling: "Germination / tillering", vegetative: "Grand growth", ripening: "Maturity" },
+  },
+  {
+    id: "orchid",
+    name: "Orchid",
+    sensitivity: 1.3, // thin petals and leaves mark easily
+    soilPh: { min: 5.5, max: 6.5 }, // potting medium
+    soilMoisture: { min: 30, max: 60 },
+    weights: { ph: 1.3, symptoms: 1.2 },
+    stages: ["vegetative", "flowering"],
+    stageNames: { flowering: "Spike / bloom" },
+  },
+];
+
+function norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+/**
+ * Lookup by catalog id or crop name. Returns null when unknown.
+ */
+export function getCrop(idOrName) {
+  const key = norm(idOrName);
+  if (!key) return null;
+  return CROPS.find((c) => c.id === key || norm(c.name) === key) || null;
+}
+
+/**
+ * The stages a crop goes through, with crop-specific names where it has them.
+ * Unknown crop -> every stage.
+ */
+export function cropStages(crop) {
+  const ids = crop?.stages?.length ? crop.stages : Object.keys(GROWTH_STAGES);
+  return ids.map((id) => ({
+    id,
+    label: crop?.stageNames?.[id] ?? GROWTH_STAGES[id].label,
+    bbch: GROWTH_STAGES[id].bbch,
+  }));
+}
+
+/**
+ * Stage for a scan: the requested one if it's known, else vegetative (neutral factors).
+ */
+export function resolveGrowthStage(stageId) {
+  const id = norm(stageId);
+  const stage = GROWTH_STAGES[id] ? id : DEFAULT_STAGE;
+  return { id: stage, ...GROWTH_STAGES[stage] };
+}
+
+/**
+ * Catalog as the API returns it (stages resolved to labels).
+ */
+export function listCrops() {
+  return CROPS.map((c) => ({
+    id: c.id,
+    name: c.name,
+    sensitivity: c.sensitivity,
+    soilPh: c.soilPh,
+    soilMoisture: c.soilMoisture,
+    stages: cropStages(c),
+  }));
+}
@@ -0,0 +1,251 @@
+// shared/pesticides.js
+// PestiScan Web — Pesticide catalog (reference values)
+// Half-lives are typical on-plant field values; PHI/REI follow common label ranges.
+// labelRatePerHa is product (not active ingredient) per hectare, in rateUnit (ml or g).
+// Always defer to the product label actually used in the field.
+
+export const PESTICIDES = [
+  {
+    id: "mancozeb-75wp",
+    name: "Mancozeb 75 WP",
+    activeIngredient: "Mancozeb",
+    formulation: "WP",
+    type: "Fungicide",
+    halfLifeDays: 5,
+    phiDays: 7,
+    reiHours: 24,
+    labelRatePerHa: 2000,
+    rateUnit: "g",
+    targetCrops: ["Tomato", "Potato", "Chilli", "Grape", "Onion"],
+  },
+  {
+    id: "chlorothalonil-75wp",
+    name: "Chlorothalonil 75 WP",
+    activeIngredient: "Chlorothalonil",
+    formulation: "WP",
+    type: "Fungicide",
+    halfLifeDays: 6,
+    phiDays: 7,
+    reiHours: 48,
+    labelRatePerHa: 2000,
+    rateUnit: "g",
+    targetCrops: ["Tomato", "Potato", "Cucumber", "Beans"],
+  },
+  {
+    id: "azoxystrobin-23sc",
+    name: "Azoxystrobin 23 SC",
+    activeIngredient: "Azoxystrobin",
+    formulation: "SC",
+    type: "Fungicide",
+    halfLifeDays: 7,
+    phiDays: 3,
+    reiHours: 4,
+    labelRatePerHa: 500,
+    rateUnit: "ml",
+    targetCrops: ["Tomato", "Chilli", "Rice", "Cucumber", "Grape"],
+  },
+  {
+    id: "carbendazim-50wp",
+    name: "Carbendazim 50 WP",
+    activeIngredient: "Carbendazim",
+    formulation: "WP",
+    type: "Fungicide",
+    halfLifeDays: 10,
+    phiDays: 14,
+    reiHours: 24,
+    labelRatePerHa: 500,
+    rateUnit: "g",
+    targetCrops: ["Rice", "Chilli", "Beans", "Orchid"],
+  },
+  {
+    id: "copper-oxychloride-50wp",
+    name: "Copper Oxychloride 50 WP",
+    activeIngredient: "Copper oxychloride",
+    formulation: "WP",
+    type: "Fungicide",
+    halfLifeDays: 30,
+    phiDays: 1,
+    reiHours: 24,
+    labelRatePerHa: 2500,
+    rateUnit: "g",
+    targetCrops: ["Tomato", "Chilli", "Potato", "Citrus", "Orchid"],
+  },
+  {
+    id: "imidacloprid-178sl",
+    name: "Imidacloprid 17.8 SL",
+    activeIngredient: "Imidacloprid",
+    formulation: "SL",
+    type: "Insecticide",
+    halfLifeDays: 8,
+    phiDays: 7,
+    reiHours: 12,
+    labelRatePerHa: 150,
+    rateUnit: "ml",
+    targetCrops: ["Tomato", "Chilli", "Eggplant", "Cotton", "Rice"],
+  },
+  {
+    id: "thiamethoxam-25wg",
+    name: "Thiamethoxam 25 WG",
+    activeIngredient: "Thiamethoxam",
+    formulation: "WG",
+    type: "Insecticide",
+    halfLifeDays: 8,
+    phiDays: 7,
+    reiHours: 12,
+    labelRatePerHa: 100,
+    rateUnit: "g",
+    targetCrops: ["Tomato", "Rice", "Cabbage", "Cucumber"],
+  },
+  {
+    id: "lambda-cyhalothrin-5ec",
+    name: "Lambda-cyhalothrin 5 EC",
+    activeIngredient: "Lambda-cyhalothrin",
+    formulation: "EC",
+    type: "Insecticide",
+    halfLifeDays: 5,
+    phiDays: 7,
+    reiHours: 24,
+    labelRatePerHa: 300,
+    rateUnit: "ml",
+    targetCrops: ["Tomato", "Chilli", "Cabbage", "Beans", "Eggplant"],
+  },
+  {
+    id: "cypermethrin-10ec",
+    name: "Cypermethrin 10 EC",
+    activeIngredient: "Cypermethrin",
+    formulation: "EC",
+    type: "Insecticide",
+    halfLifeDays: 8,
+    phiDays: 7,
+    reiHours: 12,
+    labelRatePerHa: 500,
+    rateUnit: "ml",
+    targetCrops: ["Cabbage", "Eggplant", "Cotton", "Beans"],
+  },
+  {
+    id: "chlorpyrifos-20ec",
+    name: "Chlorpyrifos 20 EC",
+    activeIngredient: "Chlorpyrifos",
+    formulation: "EC",
+    type: "Insecticide",
+    halfLifeDays: 14,
+    phiDays: 21,
+    reiHours: 24,
+    labelRatePerHa: 1500,
+    rateUnit: "ml",
+    targetCrops: ["Rice", "Cotton", "Sugarcane"],
+  },
+  {
+    id: "dimethoate-30ec",
+    name: "Dimethoate 30 EC",
+    activeIngredient: "Dimethoate",
+    formulation: "EC",
+    type: "Insecticide",
+    halfLifeDays: 4,
+    phiDays: 14,
+    reiHours: 48,
+    labelRatePerHa: 1000,
+    rateUnit: "ml",
+    targetCrops: ["Beans", "Cabbage", "Citrus"],
+  },
+  {
+    id: "malathion-50ec",
+    name: "Malathion 50 EC",
+    activeIngredient: "Malathion",
+    formulation: "EC",
+    type: "Insecticide",
+    halfLifeDays: 3,
+    phiDays: 3,
+    reiHours: 12,
+    labelRatePerHa: 1000,
+    rateUnit: "ml",
+    targetCrops: ["Beans", "Cabbage", "Cucumber", "Tomato"],
+  },
+  {
+    id: "acephate-75sp",
+    name: "Acephate 75 SP",
+    activeIngredient: "Acephate",
+    formulation: "SP",
+    type: "Insecticide",
+    halfLifeDays: 4,
+    phiDays: 14,
+    reiHours: 24,
+    labelRatePerHa: 750,
+    rateUnit: "g",
+    targetCrops: ["Chilli", "Cotton", "Beans"],
+  },
+  {
+    id: "emamectin-benzoate-5sg",
+    name: "Emamectin Benzoate 5 SG",
+    activeIngredient: "Emamectin benzoate",
+    formulation: "SG",
+    type: "Insecticide",
+    halfLifeDays: 2,
+    phiDays: 5,
+    reiHours: 12,
+    labelRatePerHa: 200,
+    rateUnit: "g",
+    targetCrops: ["Chilli", "Cabbage", "Eggplant", "Tomato"],
+  },
+  {
+    id: "spinosad-45sc",
+    name: "Spinosad 45 SC",
+    activeIngredient: "Spinosad",
+    formulation: "SC",
+    type: "Insecticide",
+    halfLifeDays: 2,
+    phiDays: 1,
+    reiHours: 4,
+    labelRatePerHa: 160,
+    rateUnit: "ml",
+    targetCrops: ["Tomato", "Chilli", "Cabbage", "Cucumber", "Orchid"],
+  },
+  {
+    id: "azadirachtin-003ec",
+    name: "Neem Oil (Azadirachtin 0.03% EC)",
+    activeIngredient: "Azadirachtin",
+    formulation: "EC",
+    type: "Botanical insecticide",
+    halfLifeDays: 1,
+    phiDays: 0,
+    reiHours: 4,
+    labelRatePerHa: 2500,
+    rateUnit: "ml",
+    targetCrops: ["Tomato", "Chilli", "Eggplant", "Beans", "Orchid"],
+  },
+];
+
+function norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+/**
+ * Lookup by catalog id. Returns null when unknown.
+ */
+export function getPesticide(id) {
+  const key = norm(id);
+  if (!key) return null;
+  return PESTICIDES.find((p) => p.id === key) || null;
+}
+
+/**
+ * Text search over name / active ingredient / type.
+ * Optional crop filter keeps only products labelled for that crop.
+ */
+export function searchPesticides(query = "", { crop, limit = 20 } = {}) {
+  const q = norm(query);
+  const c = norm(crop);
+
+  const matches = PESTICIDES.filter((p) => {
+    const matchText =
+      !q ||
+      norm(p.name).includes(q) ||
+      norm(p.activeIngredient).includes(q) ||
+      norm(p.type).includes(q);
+
+    const matchCrop = !c || p.targetCrops.some((tc) => norm(tc) === c);
+    return matchText && matchCrop;
+  });
+
+  return matches.slice(0, Math.max(0, Number(limit) || 0));
+}
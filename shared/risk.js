@@ -2,6 +2,13 @@
 // PestiScan Web v1.0 — Risk scoring (heuristic)
 // Includes AI stress tuning + confidence + sanity rules
 
+import { getCrop, resolveGrowthStage } from "./crops.js";
+import { getPesticide } from "./pesticides.js";
+import { levelFromPercent, resolveRiskPolicy } from "./riskLevels.js";
+
+// Bump when scoring changes so stored results can be told apart
+export const ENGINE_VERSION = "2.6.0";
+
 function clamp(n, min = 0, max = 1) {
   const x = Number(n);
   if (!Number.isFinite(x)) return min;
@@ -13,15 +20,26 @@ function clampNum(n, fallback = 0) {
   return Number.isFinite(x) ? x : fallback;
 }
 
+// like clampNum, but null/"" stay missing (Number(null) would be 0)
+function optNum(n) {
+  if (n === null || n === undefined || n === "") return NaN;
+  return clampNum(n, NaN);
+}
+
 function pct(x01) {
   return Math.round(clamp(x01, 0, 1) * 100);
 }
 
-function labelFromPercent(p) {
-  const x = clampNum(p, 0);
-  if (x <= 30) return "Low";
-  if (x <= 60) return "Medium";
-  return "High";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(v) {
+  const dt = v instanceof Date ? v : new Date(v ?? Date.now());
+  return Number.isNaN(dt.getTime()) ? new Date() : dt;
+}
+
+// bands come from the shared policy (crop / org specific)
+function labelFromPercent(p, context) {
+  return levelFromPercent(clampNum(p, 0), context);
 }
 
 /**
@@ -41,6 +59,218 @@ function decayScore(daysSinceSpray, halfLifeDays) {
   return clamp(fraction, 0, 1);
 }
 
+/* ---------------- Growing environment ---------------- */
+
+// rainShare: part of outdoor rain that reaches the crop (a shade-house net lets most of it through);
+// halfLifeFactor: residue lasts longer under cover, where there is less UV to break it down
+export const ENVIRONMENTS = {
+  "open-field": { label: "Open field", rainShare: 1, halfLifeFactor: 1 },
+  "shade-house": { label: "Shade house", rainShare: 0.7, halfLifeFactor: 1.15 },
+  greenhouse: { label: "Greenhouse", rainShare: 0, halfLifeFactor: 1.3 },
+};
+export const DEFAULT_ENVIRONMENT = "open-field";
+
+/**
+ * inputs.environment -> { id, label, rainShare, halfLifeFactor } (unknown = open field).
+ */
+export function resolveEnvironment(environment) {
+  const id = String(environment ?? "").trim().toLowerCase();
+  return ENVIRONMENTS[id] ? { id, ...ENVIRONMENTS[id] } : { id: DEFAULT_ENVIRONMENT, ...ENVIRONMENTS[DEFAULT_ENVIRONMENT] };
+}
+
+/* ---------------- Temperature-dependent degradation (Q10) ---------------- */
+
+// Half-lives are quoted at 20 °C; EFSA's default activation energy (65.4 kJ/mol) ~ Q10 of 2.58
+export const DEGRADATION_Q10 = 2.58;
+export const REFERENCE_TEMP_C = 20;
+
+// how much faster than at 20 °C a product breaks down at tempC
+function q10Factor(tempC) {
+  return Math.pow(DEGRADATION_Q10, (clamp(tempC, -5, 45) - REFERENCE_TEMP_C) / 10);
+}
+
+function dayKey(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+/**
+ * inputs.tempSeries: [{ date: "YYYY-MM-DD", tempC }] daily means (UTC days).
+ * Returns null when there is no usable entry.
+ */
+function tempLookup(series) {
+  if (!Array.isArray(series)) return null;
+  const byDay = new Map();
+  for (const e of series) {
+    const t = optNum(e?.tempC ?? e?.meanC);
+    const when = e?.date ? new Date(e.date).getTime() : NaN;
+    if (Number.isFinite(t) && Number.isFinite(when)) byDay.set(dayKey(when), t);
+  }
+  if (!byDay.size) return null;
+  const values = [...byDay.values()];
+  return { byDay, mean: values.reduce((a, b) => a + b, 0) / values.length };
+}
+
+/**
+ * Days of breakdown at 20 °C equivalent to the `daysAgo` days before asOf.
+ * Each calendar day runs at its own temperature; days missing from the series
+ * use the series mean. Without a series this is just daysAgo.
+ */
+function degradationDays(daysAgo, temps, asOf) {
+  const d = clampNum(daysAgo, 0);
+  if (!temps || d <= 0 || d > 366) return d;
+
+  const end = asOf.getTime();
+  let t = end - d * DAY_MS;
+  let total = 0;
+  while (t < end) {
+    const dayEnd = Math.min(end, (Math.floor(t / DAY_MS) + 1) * DAY_MS);
+    const temp = temps.byDay.get(dayKey(t)) ?? temps.mean;
+    total += ((dayEnd - t) / DAY_MS) * q10Factor(temp);
+    t = dayEnd;
+  }
+  return total;
+}
+
+/* ---------------- Spray log + tank mixes (multi-application residue) ---------------- */
+
+/**
+ * One active ingredient of an application.
+ * { pesticideId?, pesticide?, activeIngredient?, halfLifeDays?, phiDays?, dose?, recommendedDose? }
+ */
+function resolveIngredient(raw = {}, fallbackHalfLife) {
+  const product = getPesticide(raw.pesticideId ?? raw.catalogId);
+  const dose = optNum(raw.dose ?? raw.appliedDose);
+  const rec = optNum(raw.recommendedDose);
+
+  return {
+    pesticideId: product?.id ?? null,
+    pesticide: raw.pesticide ?? raw.name ?? product?.name ?? "Unknown",
+    activeIngredient: raw.activeIngredient ?? product?.activeIngredient ?? null,
+    halfLifeDays: clampNum(raw.halfLifeDays ?? product?.halfLifeDays ?? fallbackHalfLife, 0),
+    phiDays: clampNum(raw.phiDays ?? product?.phiDays, 0),
+    dose: Number.isFinite(dose) ? dose : null,
+    recommendedDose: Number.isFinite(rec) ? rec : null,
+    // no dose info => assume label rate
+    doseRatio: dose > 0 && rec > 0 ? dose / rec : 1,
+  };
+}
+
+/**
+ * Normalizes applications (latest first).
+ * - inputs.applications: [{ date | daysAgo, ingredients?: [...], ...single-ingredient fields }]
+ * - inputs.ingredients alone: one tank-mix application, daysSinceSpray ago
+ * Applications dated after the scan are ignored.
+ */
+function resolveApplications(inputs = {}, asOf = new Date()) {
+  let list = Array.isArray(inputs.applications) ? inputs.applications : [];
+  if (!list.length && Array.isArray(inputs.ingredients) && inputs.ingredients.length) {
+    list = [
+      {
+        daysAgo: inputs.daysSinceSpray ?? inputs.days ?? inputs.sprayDays ?? 0,
+        ingredients: inputs.ingredients,
+      },
+    ];
+  }
+
+  const out = [];
+
+  for (const app of list) {
+    if (!app || typeof app !== "object") continue;
+
+    let age = optNum(app.daysAgo);
+    if (!Number.isFinite(age) && app.date) {
+      const t = new Date(app.date).getTime();
+      if (Number.isFinite(t)) age = (asOf.getTime() - t) / DAY_MS;
+    }
+    if (!Number.isFinite(age) || age < 0) continue;
+
+    // an application without ingredients is a single-product spray
+    const rawIngredients =
+      Array.isArray(app.ingredients) && app.ingredients.length ? app.ingredients : [app];
+    const fallbackHalfLife = app.halfLifeDays ?? inputs.halfLifeDays;
+    const ingredients = rawIngredients
+      .filter((g) => g && typeof g === "object")
+      .map((g) => resolveIngredient(g, fallbackHalfLife));
+    if (!ingredients.length) continue;
+
+    out.push({
+      id: app.id ?? null,
+      pesticide: ingredients.map((g) => g.pesticide).join(" + "),
+      daysAgo: age,
+      phiDays: Math.max(...ingredients.map((g) => g.phiDays)),
+      ingredients,
+    });
+  }
+
+  return out.sort((a, b) => a.daysAgo - b.daysAgo);
+}
+
+function ingredientKey(g) {
+  return String(g.pesticideId || g.activeIngredient || g.pesticide).toLowerCase();
+}
+
+/**
+ * Cumulative residue from a spray log and/or tank mix.
+ * Each ingredient decays with its own half-life (same curve as decayScore, sped up or
+ * slowed by inputs.tempSeries, slower under cover), loses what rain/irrigation since its spray washed off,
+ * is weighted by its dose ratio, and all contributions are summed.
+ * total is in "fresh label-rate sprays": 1.0 = one label-rate product sprayed today.
+ * ingredients[] aggregates residue per active ingredient (largest first = drives the risk).
+ */
+export function cumulativeResidue(payload = {}, options = {}) {
+  const inputs = payload.inputs || payload || {};
+  const asOf = toDate(options.asOf ?? payload.scannedAt ?? inputs.scanDate);
+  const temps = tempLookup(inputs.tempSeries);
+  const env = resolveEnvironment(inputs.environment);
+  const events = resolveWaterEvents(inputs, payload.weather || inputs.weather || {}, asOf);
+
+  const applications = resolveApplications(inputs, asOf).map((a) => {
+    const effectiveDays = degradationDays(a.daysAgo, temps, asOf);
+    const wash = washOffSince(a.daysAgo, events, asOf);
+    const ingredients = a.ingredients.map((g) => ({
+      ...g,
+      residue: g.doseRatio * decayScore(effectiveDays, g.halfLifeDays * env.halfLifeFactor) * wash.left,
+    }));
+    return {
+      ...a,
+      effectiveDays,
+      washOff: wash.left,
+      waterMm: wash.mm,
+      ingredients,
+      residue: ingredients.reduce((sum, g) => sum + g.residue, 0),
+    };
+  });
+
+  const total = applications.reduce((sum, a) => sum + a.residue, 0);
+
+  const byKey = new Map();
+  for (const a of applications) {
+    for (const g of a.ingredients) {
+      const key = ingredientKey(g);
+      const prev = byKey.get(key);
+      byKey.set(key, {
+        pesticideId: g.pesticideId,
+        pesticide: prev?.pesticide ?? g.pesticide,
+        activeIngredient: g.activeIngredient,
+        halfLifeDays: g.halfLifeDays,
+        residue: (prev?.residue ?? 0) + g.residue,
+      });
+    }
+  }
+
+  const ingredients = [...byKey.values()]
+    .map((g) => ({ ...g, share: total > 0 ? g.residue / total : 0 }))
+    .sort((a, b) => b.residue - a.residue);
+
+  return {
+    total,
+    applications,
+    ingredients,
+    driver: ingredients[0] ?? null,
+    daysSinceLastSpray: applications.length ? applications[0].daysAgo : null,
+  };
+}
+
 /**
  * Dose score (0..1)
  * ratio = applied / recommended
@@ -65,79 +295,187 @@ function doseScore(appliedDose, recommendedDose) {
   return clamp(s, 0, 1);
 }
 
+// how far x sits outside [min, max] (0 inside)
+function outside(x, { min, max }) {
+  return x < min ? min - x : x > max ? x - max : 0;
+}
+
 /**
  * pH penalty score (0..1) — mild influence in v1.0
- * Penalize extreme pH away from neutral.
+ * Leaf pH: distance from neutral. Soil pH: distance outside the crop's range
+ * (neutral 7 when the crop is unknown).
  */
-function phScore(leafPh, soilPh) {
+function phScore(leafPh, soilPh, soilRange = { min: 7, max: 7 }) {
   const lp = clampNum(leafPh, NaN);
   const sp = clampNum(soilPh, NaN);
 
   // If missing, return neutral impact
   if (!Number.isFinite(lp) && !Number.isFinite(sp)) return 0.25;
 
-  // distance from 7, scaled
+  // distance, scaled
   const leafDist = Number.isFinite(lp) ? Math.min(Math.abs(lp - 7) / 3, 1) : 0.25;
-  const soilDist = Number.isFinite(sp) ? Math.min(Math.abs(sp - 7) / 3, 1) : 0.25;
+  const soilDist = Number.isFinite(sp) ? Math.min(outside(sp, soilRange) / 3, 1) : 0.25;
 
   // mild average
   return clamp(0.2 + 0.6 * (0.5 * leafDist + 0.5 * soilDist), 0, 1);
 }
 
+/* ---------------- Rain / irrigation wash-off ---------------- */
+
+const HOUR_MS = 60 * 60 * 1000;
+
 /**
- * Moisture score (0..1) — mild/moderate
- * Expect moisture 0..100.
+ * inputs.waterEvents: [{ at: ISO time, mm, kind: "rain" | "irrigation" }] (overhead irrigation only).
+ * Without an events list, weather.rainMm24h counts as one rain event 12 h before the scan.
+ * Rain is scaled by how much of it gets through the cover (inputs.environment).
  */
-function moistureScore(moisture) {
-  const m = clampNum(moisture, NaN);
-  if (!Number.isFinite(m)) return 0.35;
+function resolveWaterEvents(inputs = {}, weather = {}, asOf = new Date()) {
+  const end = asOf.getTime();
+  const { rainShare } = resolveEnvironment(inputs.environment);
+  const reaching = (e) => (e.kind === "rain" ? { ...e, mm: e.mm * rainShare } : e);
+
+  if (Array.isArray(inputs.waterEvents)) {
+    return inputs.waterEvents
+      .map((e) => ({
+        at: new Date(e?.at ?? NaN).getTime(),
+        mm: clampNum(e?.mm, 0),
+        kind: e?.kind === "irrigation" ? "irrigation" : "rain",
+      }))
+      .map(reaching)
+      .filter((e) => Number.isFinite(e.at) && e.mm > 0 && e.at <= end);
+  }
 
-  const x = clamp(m / 100, 0, 1);
+  const rainfallMm = clampNum(weather.rainfallMm ?? weather.rainMm ?? weather.rainMm24h ?? weather.rain, 0) * rainShare;
+  return rainfallMm > 0 ? [{ at: end - 12 * HOUR_MS, mm: rainfallMm, kind: "rain" }] : [];
+}
 
-  // Higher moisture can increase uptake/conditions; keep mild
-  return clamp(0.25 + 0.55 * x, 0, 1);
+// share of the deposit one event removes: more water removes more, and a deposit
+// that hasn't dried and bound to the leaf yet washes off far more easily
+function washShare(mm, hoursAfterSpray) {
+  const rainfast = 0.25 + 0.45 * Math.exp(-Math.max(0, hoursAfterSpray) / 12); // 0.70 -> 0.25
+  return rainfast * (1 - Math.exp(-mm / 10));
 }
 
 /**
- * Weather score (0..1)
- * Inputs may include: tempC, humidity, rainfallMm, windKph
- * - high humidity + warmth increases risk a bit
- * - rainfall reduces residue risk slightly (wash-off)
- * - strong wind is small factor (spray drift / stress)
+ * What the water events since a spray `daysAgo` before asOf did to its residue.
+ * left: fraction still on the leaf (1 = nothing washed off).
  */
-function weatherScore(weather = {}) {
-  const tempC = clampNum(weather.tempC ?? weather.temperatureC ?? weather.temperature, NaN);
-  const humidity = clampNum(weather.humidity ?? weather.humidityPct, NaN);
-  const rainfallMm = clampNum(weather.rainfallMm ?? weather.rainMm ?? weather.rain, NaN);
-  const windKph = clampNum(weather.windKph ?? weather.windSpeedKph ?? weather.wind, NaN);
+function washOffSince(daysAgo, events, asOf) {
+  const sprayAt = asOf.getTime() - clampNum(daysAgo, 0) * DAY_MS;
+  let left = 1;
+  let mm = 0;
+  let soonAfterMm = 0; // within 6 h of spraying
+  for (const e of events) {
+    if (e.at <= sprayAt) continue;
+    const hours = (e.at - sprayAt) / HOUR_MS;
+    left *= 1 - washShare(e.mm, hours);
+    mm += e.mm;
+    if (hours <= 6) soonAfterMm += e.mm;
+  }
+  return { left, mm, soonAfterMm };
+}
 
-  let score = 0.35; // baseline
+/**
+ * Pre-harvest interval pressure (0..1): share of the label PHI still to run.
+ * null when the PHI is unknown.
+ */
+function phiScore(phiDaysLeft, phiDays) {
+  const phi = clampNum(phiDays, 0);
+  if (phi <= 0) return null;
+  return clamp(clampNum(phiDaysLeft, 0) / phi, 0, 1);
+}
 
-  if (Number.isFinite(tempC)) {
-    // 18..35 is "active range"
-    if (tempC >= 18 && tempC <= 35) score += 0.10;
-    if (tempC > 35) score += 0.12;
-    if (tempC < 12) score -= 0.06;
-  }
+// tags from analyzeLeafPhoto(), strongest first; matched by substring
+const SYMPTOM_WEIGHTS = [
+  ["edge burn", 1],
+  ["necrosis", 0.8],
+  ["chlorosis", 0.5],
+  ["spots", 0.4],
+];
 
-  if (Number.isFinite(humidity)) {
-    const h = clamp(humidity / 100, 0, 1);
-    score += 0.18 * h; // humid -> slightly higher
-  }
+/**
+ * Leaf symptom score (0..1) from the photo stress score and symptom tags.
+ * Confidence shrinks the stress part; no photo at all scores neutral.
+ */
+function symptomScore(stressScore, confidence = 50, symptoms = []) {
+  const tags = (Array.isArray(symptoms) ? symptoms : []).map((t) => String(t).toLowerCase());
+  const stress = clampNum(stressScore, NaN);
+  if (!Number.isFinite(stress) && !tags.length) return 0.25;
 
-  if (Number.isFinite(rainfallMm)) {
-    // rain washes residue: reduce some risk
-    // 0..10mm -> small reduction, >10 -> stronger reduction
-    const wash = Math.min(rainfallMm / 20, 1); // 0..1
-    score -= 0.20 * wash;
-  }
+  const tagScore = Math.max(0, ...tags.map((t) => SYMPTOM_WEIGHTS.find(([k]) => t.includes(k))?.[1] ?? 0));
+  const conf = clamp(clampNum(confidence, 50) / 100, 0.3, 1);
+  const s = Number.isFinite(stress) ? clamp(stress / 100, 0, 1) * (0.5 + 0.5 * conf) : 0;
 
-  if (Number.isFinite(windKph)) {
-    const w = clamp(windKph / 35, 0, 1);
-    score += 0.06 * w; // small effect
-  }
+  return clamp(0.7 * s + 0.3 * tagScore, 0, 1);
+}
 
-  return clamp(score, 0, 1);
+/**
+ * Heat stress score (0..1): leaves burn more easily when hot.
+ * 20 °C or cooler -> 0.1, 38 °C or hotter -> 1. Dry air is scored by vpdScore, dry soil by moistureScore.
+ */
+function heatScore(weather = {}) {
+  const tempC = clampNum(weather.tempC ?? weather.temperatureC ?? weather.temperature, NaN);
+  if (!Number.isFinite(tempC)) return 0.3;
+  return clamp(0.1 + 0.9 * clamp((tempC - 20) / 18, 0, 1), 0, 1);
+}
+
+/**
+ * Soil moisture stress score (0..1) against the crop's comfortable range.
+ * Drought-stressed plants burn most easily; waterlogging counts less.
+ */
+function moistureScore(moisture, range = { min: 20, max: 85 }) {
+  const m = optNum(moisture);
+  if (!Number.isFinite(m)) return 0.25; // missing -> neutral
+  if (m < range.min) return clamp(0.1 + 0.9 * ((range.min - m) / 25), 0, 1);
+  if (m > range.max) return clamp(0.1 + 0.6 * ((m - range.max) / 25), 0, 1);
+  return 0.1;
+}
+
+/**
+ * Vapour-pressure deficit (kPa) from air temperature and relative humidity (Tetens).
+ * NaN when either is missing.
+ */
+export function vapourPressureDeficit(tempC, humidity) {
+  const t = optNum(tempC);
+  const rh = optNum(humidity);
+  if (!Number.isFinite(t) || !Number.isFinite(rh)) return NaN;
+  const saturation = 0.6108 * Math.exp((17.27 * t) / (t + 237.3));
+  return Math.max(0, saturation * (1 - clamp(rh, 0, 100) / 100));
+}
+
+// measured VPD (e.g. a greenhouse climate computer) wins over the one computed from temp/humidity
+function resolveVpd(weather = {}) {
+  const measured = optNum(weather.vpdKpa ?? weather.vpd);
+  if (Number.isFinite(measured) && measured >= 0) return measured;
+  return vapourPressureDeficit(
+    weather.tempC ?? weather.temperatureC ?? weather.temperature,
+    weather.humidity ?? weather.humidityPct
+  );
+}
+
+/**
+ * Air dryness score (0..1) from VPD.
+ * Very damp air (< 0.4 kPa) keeps spray liquid on the leaf, so more of it is taken up;
+ * very dry air (> 1.5 kPa) stresses the plant and scorches leaves. 0.8-1.5 kPa is comfortable.
+ */
+function vpdScore(vpd) {
+  const v = clampNum(vpd, NaN);
+  if (!Number.isFinite(v)) return 0.25; // missing -> neutral
+  if (v < 0.4) return 0.7;
+  if (v < 0.8) return 0.7 - 0.55 * ((v - 0.4) / 0.4);
+  if (v <= 1.5) return 0.15;
+  return clamp(0.15 + 0.75 * ((v - 1.5) / 1.0), 0.15, 0.9);
+}
+
+/**
+ * Leaf wetness score (0..1) from weather.leafWetnessHours (hours the leaves were wet
+ * in the last 24 h, from a sensor or a grower's estimate). Long wet spells keep the
+ * deposit dissolved on the leaf. 0 h -> 0.1, 12 h or more -> 1.
+ */
+function wetnessScore(hours) {
+  const h = optNum(hours);
+  if (!Number.isFinite(h)) return 0.25; // missing -> neutral
+  return clamp(0.1 + 0.9 * (clamp(h, 0, 24) / 12), 0, 1);
 }
 
 /**
@@ -170,122 +508,949 @@ function computeAiContribution({ stressScore, confidence = 50, daysSinceSpray })
   return Math.min(aiScore * 0.25, 0.25);
 }
 
+/* ---------------- Explanation ---------------- */
+
+const FACTOR_LABELS = {
+  residue: "Residue left",
+  dose: "Dose",
+  phi: "Pre-harvest interval",
+  symptoms: "Leaf symptoms (photo)",
+  heat: "Heat",
+  ph: "pH",
+  moisture: "Soil moisture",
+  vpd: "Air dryness (VPD)",
+  wetness: "Leaf wetness",
+};
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// farmer-facing words for one factor, using the same inputs the score used
+function factorPhrase(factor, ctx = {}) {
+  switch (factor) {
+    case "residue": {
+      if (ctx.sprays > 1) return `residue from ${ctx.sprays} sprays still on the crop`;
+      const days = round1(ctx.daysSinceSpray);
+      const slow = ctx.halfLifeDays >= 10 ? " of a slow-breaking product" : "";
+      return `the spray ${days} day${days === 1 ? "" : "s"} ago${slow}`;
+    }
+    case "dose":
+      return ctx.doseRatio != null
+        ? `the dose at ${ctx.doseRatio.toFixed(2)}× the label rate`
+        : "the dose applied";
+    case "phi": {
+      const left = Math.ceil(clampNum(ctx.phiDaysLeft, 0));
+      return `${left} of ${ctx.phiDays} PHI day${ctx.phiDays === 1 ? "" : "s"} still to run`;
+    }
+    case "symptoms": {
+      const tags = (ctx.symptoms || []).filter((t) => !/healthy/i.test(t));
+      return tags.length ? `${tags.slice(0, 2).join(" and ").toLowerCase()} in the photo` : "leaf stress seen in the photo";
+    }
+    case "heat": {
+      const t = clampNum(ctx.weather?.tempC, NaN);
+      return Number.isFinite(t) ? `${round1(t)} °C heat` : "heat";
+    }
+    case "ph": {
+      const sp = optNum(ctx.soilPh);
+      if (ctx.crop && Number.isFinite(sp) && outside(sp, ctx.crop.soilPh) > 0) {
+        return `soil pH ${round1(sp)} outside the ${ctx.crop.soilPh.min}–${ctx.crop.soilPh.max} ${ctx.crop.name.toLowerCase()} prefers`;
+      }
+      return "leaf/soil pH away from neutral";
+    }
+    case "moisture": {
+      const m = optNum(ctx.soilMoisture);
+      if (!Number.isFinite(m)) return "soil moisture";
+      const range = ctx.crop?.soilMoisture;
+      const state = range && m > range.max ? "waterlogged" : "dry";
+      return `${state} soil (${Math.round(m)}% moisture)`;
+    }
+    case "vpd": {
+      if (!Number.isFinite(ctx.vpdKpa)) return "air dryness";
+      const v = ctx.vpdKpa.toFixed(2);
+      return ctx.vpdKpa < 0.8 ? `damp air (VPD ${v} kPa) keeping spray wet on the leaf` : `dry air (VPD ${v} kPa)`;
+    }
+    case "wetness": {
+      const h = round1(clampNum(ctx.leafWetnessHours, 0));
+      return `${h} h of wet leaves`;
+    }
+    default:
+      return factor;
+  }
+}
+
 /**
- * Main API:
+ * One or two sentences built only from the contributions and fired rules,
+ * so the text always matches what drove the number.
+ */
+export function explainRisk({ riskPercent, level, contributions = [], rules = [], context = {}, subject = "risk" }) {
+  const top = contributions.filter((c) => c.points >= 1).slice(0, 2);
+
+  let text = `${level} ${subject} (${riskPercent}%)`;
+  if (top.length) {
+    const parts = top.map((c) => `${factorPhrase(c.factor, context)} (+${Math.round(c.points)})`);
+    text += ` mainly from ${parts.join(" and ")}.`;
+  } else {
+    text += ".";
+  }
+
+  for (const r of rules) text += ` ${r.text}`;
+  return text;
+}
+
+// contributions sorted largest first, with farmer-facing labels
+function toContributions(list) {
+  return list
+    .map((c) => ({
+      ...c,
+      label: FACTOR_LABELS[c.factor],
+      points: Math.round(c.weight * c.score * 1000) / 10,
+    }))
+    .sort((a, b) => b.points - a.points);
+}
+
+// sanity rules record how far they moved the number, for the explanation
+function ruleRecorder(start) {
+  const state = { riskPercent: start, rules: [] };
+  state.apply = (id, text, next) => {
+    if (next === state.riskPercent) return;
+    state.rules.push({ id, text, points: next - state.riskPercent });
+    state.riskPercent = next;
+  };
+  return state;
+}
+
+/**
+ * Consumer-residue score, single pass (no projection): is the produce safe to eat?
+ * Driven by dose, residue decay and the label PHI (rain washes some residue off).
  * Pass in your merged payload: { inputs, weather, ai }
- * Returns: { riskPercent, level, breakdown, tips }
+ * Returns: { riskPercent, level, breakdown, contributions, rules, explanation, tips, ... }
  */
-export function calculateRisk(payload = {}) {
+function scoreRisk(payload = {}) {
   const inputs = payload.inputs || payload || {};
-  const weather = payload.weather || {};
-  const ai = payload.ai || {};
+  const weather = payload.weather || inputs.weather || {};
 
-  const appliedDose = inputs.appliedDose ?? inputs.dose ?? inputs.userDose;
-  const recommendedDose = inputs.recommendedDose ?? inputs.recDose ?? inputs.recommended;
-  const daysSinceSpray = inputs.daysSinceSpray ?? inputs.days ?? inputs.sprayDays;
-  const halfLifeDays = inputs.halfLifeDays ?? inputs.halfLife ?? inputs.halflife;
+  // Spray log / tank mix (optional): when present it replaces the single-spray inputs
+  const residue = cumulativeResidue(payload);
+  const latest = residue.applications[0] || null;
+  const fromApplications = Boolean(latest);
 
-  const leafPh = inputs.leafPh ?? inputs.leafPH;
-  const soilPh = inputs.soilPh ?? inputs.soilPH;
-  const moisture = inputs.moisture;
+  // Dose is judged on the most over-applied ingredient of the latest spray
+  const dosed = (latest?.ingredients || []).filter((g) => g.dose != null && g.recommendedDose != null);
+  const topDose = dosed.length ? dosed.reduce((a, b) => (b.doseRatio > a.doseRatio ? b : a)) : null;
 
-  const aiStress = ai.stressScore ?? ai.imageStress ?? inputs.imageStress; // legacy fallback
-  const aiConfidence = ai.confidence ?? 50;
+  const recommendedDose =
+    topDose?.recommendedDose ?? inputs.recommendedDose ?? inputs.recDose ?? inputs.recommended;
+  // no applied amount => assume the label rate was used (same rule as tank-mix ingredients)
+  const appliedDose =
+    topDose?.dose ?? inputs.appliedDose ?? inputs.dose ?? inputs.userDose ?? recommendedDose;
+  const daysSinceSpray = fromApplications
+    ? latest.daysAgo
+    : inputs.daysSinceSpray ?? inputs.days ?? inputs.sprayDays;
 
-  // component scores (0..1)
-  const sDose = doseScore(appliedDose, recommendedDose);
-  const sDecay = decayScore(daysSinceSpray, halfLifeDays);
-  const sPh = phScore(leafPh, soilPh);
-  const sMoist = moistureScore(moisture);
-  const sWeather = weatherScore(weather);
-
-  // AI contribution is capped 0..0.25 directly (already weighted)
-  const aiContribution = computeAiContribution({
-    stressScore: aiStress,
-    confidence: aiConfidence,
-    daysSinceSpray,
-  });
+  // Catalog product (optional): fills breakdown time when the user didn't type one
+  const product = getPesticide(inputs.pesticideId ?? inputs.catalogId);
+  const halfLifeDays =
+    inputs.halfLifeDays ?? inputs.halfLife ?? inputs.halflife ?? product?.halfLifeDays;
 
-  /**
-   * Weights (sum ~ 1.0, AI added separately but capped)
-   * Keep AI from dominating.
-   */
-  const W_DOSE = 0.22;
-  const W_DECAY = 0.28;
-  const W_WEATHER = 0.18;
-  const W_MOIST = 0.14;
-  const W_PH = 0.10;
+  const d = clampNum(daysSinceSpray, 0);
+  const env = resolveEnvironment(inputs.environment);
+  // warm days break the product down faster than the quoted half-life
+  const asOf = toDate(payload.scannedAt ?? inputs.scanDate);
+  const temps = tempLookup(inputs.tempSeries);
+  const effectiveDays = fromApplications ? latest.effectiveDays : degradationDays(d, temps, asOf);
 
-  // Base score (0..1), without AI
-  let base =
-    W_DOSE * sDose +
-    W_DECAY * sDecay +
-    W_WEATHER * sWeather +
-    W_MOIST * sMoist +
-    W_PH * sPh;
+  // PHI: the logged spray with the most PHI still to run binds
+  let phiDays = clampNum(inputs.phiDays ?? product?.phiDays, 0);
+  let phiDaysLeft = Math.max(0, phiDays - d);
+  if (fromApplications) {
+    const binding = residue.applications.reduce((a, b) => (b.phiDays - b.daysAgo > a.phiDays - a.daysAgo ? b : a));
+    phiDays = binding.phiDays;
+    phiDaysLeft = Math.max(0, binding.phiDays - binding.daysAgo);
+  }
 
-  base = clamp(base, 0, 1);
+  // component scores (0..1)
+  // rain and overhead irrigation since the (latest) spray
+  const wash = washOffSince(d, resolveWaterEvents(inputs, weather, asOf), asOf);
+  const sDecay = fromApplications
+    ? clamp(residue.total, 0, 1) // already washed per application
+    : decayScore(effectiveDays, clampNum(halfLifeDays, 0) * env.halfLifeFactor) * wash.left;
+  // dose only matters while its residue is still there
+  const remaining = fromApplications
+    ? decayScore(
+        effectiveDays,
+        Math.max(...latest.ingredients.map((g) => clampNum(g.halfLifeDays, 0))) * env.halfLifeFactor
+      ) * wash.left
+    : sDecay;
+  const sDose = doseScore(appliedDose, recommendedDose) * remaining;
+  // unknown PHI: no PHI term; its weight is spread over residue and dose
+  const sPhi = phiScore(phiDaysLeft, phiDays);
+  const phiKnown = sPhi !== null;
 
-  // Add AI (already capped as <= 0.25)
-  let total01 = clamp(base + aiContribution, 0, 1);
+  const W_PHI = phiKnown ? 0.25 : 0;
+  const W_DECAY = 0.45 / (0.75 + W_PHI);
+  const W_DOSE = 0.30 / (0.75 + W_PHI);
 
-  // Convert to percent
-  let riskPercent = pct(total01);
+  const base = clamp(W_DECAY * sDecay + W_DOSE * sDose + (phiKnown ? W_PHI * sPhi : 0), 0, 1);
+  const rec = ruleRecorder(pct(base));
 
   /* ---------------- ✅ Sanity rules ---------------- */
 
-  const d = clampNum(daysSinceSpray, 0);
-
-  // Sanity 1: Long time since spray -> AI alone can't keep it very high
-  if (d >= 20 && riskPercent > 60 && aiContribution > 0.15) {
-    riskPercent = Math.min(riskPercent, 55);
-  }
+  // caps sit under the High band of whatever policy applies
+  const policyContext = { crop: inputs.crop, org: inputs.org };
+  const policy = resolveRiskPolicy(policyContext);
+  const residueCap = policy.medium - 15;
 
-  // Sanity 2: Very low dose + strong decay => cannot be High
+  // Very low dose + strong decay => cannot be High
   // (doseScore low + decayScore low means little residue and little application)
   if (sDose < 0.2 && sDecay < 0.2) {
-    riskPercent = Math.min(riskPercent, 45);
-  }
-
-  // Sanity 3: High AI stress but low confidence -> downgrade a bit
-  if (clampNum(aiStress, 0) > 80 && clampNum(aiConfidence, 0) < 40) {
-    riskPercent = Math.max(riskPercent - 10, 0);
+    rec.apply(
+      "little-residue-cap",
+      `Capped at ${residueCap}% because little was applied and little residue is left.`,
+      Math.min(rec.riskPercent, residueCap)
+    );
   }
 
-  const level = labelFromPercent(riskPercent);
+  const { riskPercent, rules } = rec;
+  const level = labelFromPercent(riskPercent, policyContext);
 
   // breakdown in a stable schema
   const breakdown = {
     doseScore: sDose,
     decayScore: sDecay,
-    weatherScore: sWeather,
-    moistureScore: sMoist,
-    phScore: sPh,
-    aiContribution: aiContribution, // already weighted + capped
+    phiScore: sPhi,
+    washOff: wash.left,
+    waterMm: wash.mm,
+    phiDays: phiDays || null,
+    phiDaysLeft: phiDays ? phiDaysLeft : null,
     baseScore: base,
     totalScore: clamp(riskPercent / 100, 0, 1),
   };
+  if (fromApplications) breakdown.cumulativeResidue = residue.total;
+  if (temps) breakdown.degradationDays = effectiveDays;
+  if (env.id !== DEFAULT_ENVIRONMENT) breakdown.halfLifeFactor = env.halfLifeFactor;
+
+  // applied / recommended, so over-application shows up next to its score
+  const applied = clampNum(appliedDose, 0);
+  const recommended = clampNum(recommendedDose, 0);
+  const doseRatio = applied > 0 && recommended > 0 ? applied / recommended : null;
+  if (doseRatio != null) breakdown.doseRatio = doseRatio;
+
+  // weighted share of each factor in the final percentage (before sanity rules)
+  const contributions = toContributions([
+    { factor: "residue", score: sDecay, weight: W_DECAY },
+    { factor: "dose", score: sDose, weight: W_DOSE },
+    ...(phiKnown ? [{ factor: "phi", score: sPhi, weight: W_PHI }] : []),
+  ]);
+
+  const explanation = explainRisk({
+    riskPercent,
+    level,
+    contributions,
+    rules,
+    subject: "residue risk",
+    context: {
+      daysSinceSpray: d,
+      halfLifeDays: clampNum(halfLifeDays, NaN),
+      sprays: fromApplications ? residue.applications.length : 1,
+      doseRatio,
+      phiDays,
+      phiDaysLeft,
+    },
+  });
 
   const tips = [];
 
-  // Tips (keep simple for v1.0)
-  if (riskPercent >= 61) tips.push("High risk: follow label intervals and consider waiting before harvest.");
+  if (level === "High") tips.push("High residue risk: follow label intervals and do not harvest yet.");
   if (d < 3) tips.push("Recent spray: residue is likely higher in the first few days.");
-  if (Number.isFinite(recommendedDose) && Number.isFinite(appliedDose) && recommendedDose > 0) {
-    const ratio = appliedDose / recommendedDose;
-    if (ratio > 1.05) tips.push("Applied dose looks higher than recommended. Verify dilution and nozzle calibration.");
+  if (fromApplications && residue.applications.length > 1 && residue.total - residue.applications[0].residue >= 0.15) {
+    tips.push("Earlier sprays in your log still add residue. Space applications further apart where the label allows.");
+  }
+  if (residue.ingredients.length > 1 && residue.driver && residue.total > 0.1) {
+    tips.push(
+      `${residue.driver.pesticide} drives most of the residue (${Math.round(residue.driver.share * 100)}%). Check its label interval first.`
+    );
+  }
+  if (doseRatio != null && doseRatio > 1.05) {
+    tips.push(
+      `Applied dose is ${doseRatio.toFixed(2)}× the label rate. Verify dilution and nozzle calibration.`
+    );
+  }
+  if (!phiDays) tips.push("No pre-harvest interval on record for this product: check the label before harvest.");
+  if (wash.left <= 0.9) {
+    tips.push(
+      `${round1(wash.mm)} mm of rain/irrigation since spraying washed off about ${Math.round((1 - wash.left) * 100)}% of the residue.`
+    );
+  }
+  if (wash.soonAfterMm >= 5) {
+    tips.push("Rain or irrigation came within hours of spraying: pest control may be weaker too. Check before any re-spray and mind label limits.");
+  }
+  if (env.id !== DEFAULT_ENVIRONMENT && sDecay >= 0.3) {
+    tips.push(
+      `${env.label}: less sunlight under cover slows breakdown` +
+        (env.rainShare === 0 ? " and rain doesn't wash residue off." : ".")
+    );
+  }
+  if (temps && d >= 1 && Math.abs(effectiveDays - d) / d >= 0.25) {
+    const faster = effectiveDays > d;
+    tips.push(
+      `${faster ? "Warm" : "Cool"} days since spraying (about ${Math.round(temps.mean)} °C) ${faster ? "sped up" : "slowed"} breakdown: ` +
+        `${round1(d)} days count like ${round1(effectiveDays)} days at ${REFERENCE_TEMP_C} °C.`
+    );
   }
-  if (clampNum(weather.humidity, 0) >= 80) tips.push("High humidity can increase plant stress; confirm with field conditions.");
-  if (aiStress != null && clampNum(aiStress, 0) >= 75) tips.push("Leaf stress detected: inspect for pests, disease, or nutrient stress too.");
 
   return {
     riskPercent,
     level,
     breakdown,
+    contributions,
+    rules,
+    explanation,
     tips,
+    riskPolicy: policy,
+    applications: residue.applications,
+    ingredients: residue.ingredients,
+    drivingIngredient: residue.driver
+      ? {
+          pesticideId: residue.driver.pesticideId,
+          pesticide: residue.driver.pesticide,
+          share: residue.driver.share,
+        }
+      : null,
+    pesticide: product
+      ? {
+          id: product.id,
+          name: product.name,
+          activeIngredient: product.activeIngredient,
+          halfLifeDays: product.halfLifeDays,
+          phiDays: product.phiDays,
+          reiHours: product.reiHours,
+        }
+      : null,
+  };
+}
+
+// base plant-damage weights (sum to 1) before crop and stage adjustments
+const PHYTOTOXIC_WEIGHTS = { symptoms: 0.4, heat: 0.2, ph: 0.12, moisture: 0.08, vpd: 0.1, wetness: 0.1 };
+
+/**
+ * Weights for one crop and growth stage: the crop and stage scale the symptom, pH and
+ * moisture weights, the set is renormalized, then scaled by how sensitive the crop and
+ * stage are (so contributions still add up to the score).
+ */
+function phytotoxicWeights(crop, stage) {
+  const scaled = {};
+  for (const [k, w] of Object.entries(PHYTOTOXIC_WEIGHTS)) {
+    scaled[k] = w * (crop?.weights?.[k] ?? 1) * (stage.factors?.[k] ?? 1);
+  }
+  const total = Object.values(scaled).reduce((a, b) => a + b, 0);
+  const sensitivity = (crop?.sensitivity ?? 1) * (stage.sensitivity ?? 1);
+
+  const out = { sensitivity };
+  for (const [k, w] of Object.entries(scaled)) out[k] = (w / total) * sensitivity;
+  return out;
+}
+
+/**
+ * Plant phytotoxicity score, single pass: is the spray burning the plant?
+ * Driven by leaf symptoms from the photo (analyzeLeafPhoto), pH, soil moisture, heat,
+ * air dryness (VPD) and leaf-wetness hours, weighted for the crop and its growth stage
+ * (shared/crops.js).
+ * Returns: { riskPercent, level, breakdown, contributions, rules, explanation, tips }
+ */
+function scorePhytotoxicity(payload = {}) {
+  const inputs = payload.inputs || payload || {};
+  const weather = payload.weather || inputs.weather || {};
+  const ai = payload.ai || {};
+
+  const stressScore = ai.stressScore ?? ai.imageStress ?? inputs.imageStress; // legacy fallback
+  const confidence = ai.confidence ?? 50;
+  const rawSymptoms = ai.symptoms ?? inputs.symptoms;
+  const symptoms = Array.isArray(rawSymptoms) ? rawSymptoms : [];
+  const leafPh = inputs.leafPh ?? inputs.leafPH;
+  const soilPh = inputs.soilPh ?? inputs.soilPH;
+  const moisture = inputs.moisture ?? inputs.soilMoisture;
+
+  const latest = resolveApplications(inputs, toDate(payload.scannedAt ?? inputs.scanDate))[0];
+  const d = clampNum(latest ? latest.daysAgo : inputs.daysSinceSpray ?? inputs.days ?? inputs.sprayDays, 0);
+
+  const env = resolveEnvironment(inputs.environment);
+  const vpd = resolveVpd(weather);
+  const wetHours = optNum(weather.leafWetnessHours ?? inputs.leafWetnessHours);
+  const crop = getCrop(inputs.cropId ?? inputs.crop);
+  const stage = resolveGrowthStage(inputs.growthStage);
+
+  const sSymptoms = symptomScore(stressScore, confidence, symptoms);
+  const sHeat = heatScore(weather);
+  const sPh = phScore(leafPh, soilPh, crop?.soilPh);
+  const sMoisture = moistureScore(moisture, crop?.soilMoisture);
+  const sVpd = vpdScore(vpd);
+  const sWet = wetnessScore(wetHours);
+
+  const W = phytotoxicWeights(crop, stage);
+  const base = clamp(
+    W.symptoms * sSymptoms +
+      W.heat * sHeat +
+      W.ph * sPh +
+      W.moisture * sMoisture +
+      W.vpd * sVpd +
+      W.wetness * sWet,
+    0,
+    1
+  );
+  const rec = ruleRecorder(pct(base));
+
+  const policyContext = { crop: inputs.crop, org: inputs.org };
+  const policy = resolveRiskPolicy(policyContext);
+  const agedCap = policy.medium - 5;
+
+  // Long time since spray -> the damage is unlikely to come from it
+  if (d >= 20 && rec.riskPercent > policy.medium) {
+    rec.apply(
+      "old-spray-cap",
+      `Capped at ${agedCap}% because the spray is 20+ days old, so leaf damage is unlikely to come from it.`,
+      Math.min(rec.riskPercent, agedCap)
+    );
+  }
+
+  // High stress but low confidence -> downgrade a bit
+  if (clampNum(stressScore, 0) > 80 && clampNum(confidence, 0) < 40) {
+    rec.apply(
+      "low-confidence-stress",
+      "Lowered by 10 points: the photo shows strong stress but the reading is not confident.",
+      Math.max(rec.riskPercent - 10, 0)
+    );
+  }
+
+  const { riskPercent, rules } = rec;
+  const level = labelFromPercent(riskPercent, policyContext);
+
+  const breakdown = {
+    symptomScore: sSymptoms,
+    heatScore: sHeat,
+    phScore: sPh,
+    moistureScore: sMoisture,
+    vpdScore: sVpd,
+    vpdKpa: Number.isFinite(vpd) ? Math.round(vpd * 100) / 100 : null,
+    wetnessScore: sWet,
+    leafWetnessHours: Number.isFinite(wetHours) ? wetHours : null,
+    environment: env.id,
+    crop: crop?.id ?? null,
+    growthStage: stage.id,
+    sensitivity: Math.round(W.sensitivity * 100) / 100,
+    stressScore: Number.isFinite(optNum(stressScore)) ? optNum(stressScore) : null,
+    baseScore: base,
+    totalScore: clamp(riskPercent / 100, 0, 1),
+  };
+
+  const contributions = toContributions([
+    { factor: "symptoms", score: sSymptoms, weight: W.symptoms },
+    { factor: "heat", score: sHeat, weight: W.heat },
+    { factor: "ph", score: sPh, weight: W.ph },
+    { factor: "moisture", score: sMoisture, weight: W.moisture },
+    { factor: "vpd", score: sVpd, weight: W.vpd },
+    { factor: "wetness", score: sWet, weight: W.wetness },
+  ]);
+
+  const explanation = explainRisk({
+    riskPercent,
+    level,
+    contributions,
+    rules,
+    subject: "plant damage risk",
+    context: { symptoms, weather, vpdKpa: vpd, leafWetnessHours: wetHours, crop, soilPh, soilMoisture: moisture },
+  });
+
+  const tags = symptoms.map((t) => String(t).toLowerCase());
+  const tempC = clampNum(weather.tempC, NaN);
+  const tips = [];
+
+  if (level === "High") tips.push("High plant damage risk: hold further sprays on this block until new leaves look healthy.");
+  if (tags.some((t) => t.includes("edge burn") || t.includes("necrosis"))) {
+    tips.push("Edge burn or necrosis after a spray often means leaf burn. Check the tank mix for incompatible products.");
+  }
+  if (tempC >= 30) tips.push("Spray in the cool of early morning or evening; heat makes leaf burn more likely.");
+  const sp = optNum(soilPh);
+  if (crop && Number.isFinite(sp) && outside(sp, crop.soilPh) >= 0.5) {
+    tips.push(
+      `Soil pH ${round1(sp)} is outside the ${crop.soilPh.min}–${crop.soilPh.max} range ${crop.name.toLowerCase()} grows best in. Correct it before the next spray.`
+    );
+  } else if (sPh >= 0.5) {
+    tips.push("Leaf/soil pH is far from neutral. Test and correct it before the next spray.");
+  }
+  if (sMoisture >= 0.5) {
+    tips.push(
+      crop && optNum(moisture) > crop.soilMoisture.max
+        ? "Soil is waterlogged: roots are stressed. Let it drain before spraying again."
+        : "Soil is dry: water the crop a day before spraying; drought-stressed plants burn easily."
+    );
+  }
+  if (stage.id === "flowering" && level !== "Low") {
+    tips.push("Flowering: spray late in the day, keep drift off open flowers and check the label for bloom restrictions.");
+  }
+  if (stage.id === "seedling" && level !== "Low") {
+    tips.push("Young plants burn easily: use the lowest label rate and test on a few plants first.");
+  }
+  if (vpd < 0.4) {
+    tips.push(
+      env.id === "greenhouse"
+        ? "Very humid air (VPD under 0.4 kPa): spray dries slowly and more enters the leaf. Ventilate or heat the house before spraying."
+        : "Very humid air (VPD under 0.4 kPa): spray dries slowly and more enters the leaf. Spray when the air is drier."
+    );
+  }
+  if (vpd > 2) tips.push("Very dry air (VPD over 2 kPa): stressed plants scorch easily. Irrigate first and spray in the cool of the day.");
+  if (wetHours >= 10) tips.push("Leaves stay wet for long spells: the deposit stays dissolved and disease pressure rises too. Improve airflow.");
+  if (clampNum(stressScore, 0) >= 75) tips.push("Leaf stress detected: inspect for pests, disease, or nutrient stress too.");
+
+  return { riskPercent, level, breakdown, contributions, rules, explanation, tips, riskPolicy: policy };
+}
+
+/* ---------------- Safe-harvest projection ---------------- */
+
+/**
+ * Returns a copy of the payload as it would look `extraDays` later
+ * (spray ages and the scan date move; weather and photo are held constant,
+ * days beyond inputs.tempSeries degrade at the series mean).
+ */
+function advancePayload(payload = {}, extraDays = 0, asOf = new Date()) {
+  const inputs = payload.inputs || payload || {};
+  const d0 = clampNum(inputs.daysSinceSpray ?? inputs.days ?? inputs.sprayDays, 0);
+  const later = new Date(asOf.getTime() + extraDays * DAY_MS).toISOString();
+  const nextInputs = { ...inputs, daysSinceSpray: d0 + extraDays, scanDate: later };
+
+  if (Array.isArray(inputs.applications)) {
+    nextInputs.applications = resolveApplications(inputs, asOf).map((a) => ({
+      ...a,
+      daysAgo: a.daysAgo + extraDays,
+    }));
+  }
+
+  if (!payload.inputs) return nextInputs;
+  return { ...payload, inputs: nextInputs, ...(payload.scannedAt ? { scannedAt: later } : {}) };
+}
+
+/**
+ * Earliest date when risk is "Low" AND the label PHI has passed.
+ * Steps day by day with the same half-life decay used by decayScore.
+ * Without a half-life (typed, catalog or per logged product) residue never
+ * decays, so a date that isn't reached is reported as limitedBy "half-life".
+ * Without a label PHI the date only follows the residue: limitedBy "phi-unknown".
+ *
+ * options.score lets other engines project with their own scoring
+ * (must return { riskPercent, level }).
+ */
+export function predictSafeHarvest(payload = {}, options = {}) {
+  const { score = scoreRisk, horizonDays = 60 } = options;
+  const inputs = payload.inputs || payload || {};
+
+  const asOf = toDate(options.asOf ?? payload.scannedAt ?? inputs.scanDate);
+  const product = getPesticide(inputs.pesticideId ?? inputs.catalogId);
+  const apps = resolveApplications(inputs, asOf);
+
+  // PHI must pass for every logged application; the slowest one binds
+  let phiDays = clampNum(inputs.phiDays ?? product?.phiDays, 0);
+  let d0 = clampNum(inputs.daysSinceSpray ?? inputs.days ?? inputs.sprayDays, 0);
+  let phiWait = Math.max(0, phiDays - d0);
+
+  if (apps.length) {
+    d0 = apps[0].daysAgo;
+    const binding = apps.reduce((a, b) => (b.phiDays - b.daysAgo > a.phiDays - a.daysAgo ? b : a));
+    phiDays = binding.phiDays;
+    phiWait = Math.max(0, binding.phiDays - binding.daysAgo);
+  }
+
+  const phiKnown = phiDays > 0;
+  const halfLifeKnown = apps.length
+    ? apps.every((a) => a.ingredients.every((g) => g.halfLifeDays > 0))
+    : clampNum(inputs.halfLifeDays ?? inputs.halfLife ?? inputs.halflife ?? product?.halfLifeDays, 0) > 0;
+
+  let lowYesterday = false;
+
+  for (let k = 0; k <= horizonDays; k++) {
+    const out = score(advancePayload(payload, k, asOf));
+    const lowEnough = String(out?.level || "").toLowerCase() === "low";
+    const phiPassed = k >= phiWait;
+
+    if (lowEnough && phiPassed) {
+      return {
+        reached: true,
+        date: new Date(asOf.getTime() + k * DAY_MS).toISOString(),
+        daysFromNow: k,
+        daysAfterSpray: Math.round((d0 + k) * 10) / 10,
+        phiDays,
+        riskPercentAtDate: out.riskPercent,
+        limitedBy: !phiKnown ? "phi-unknown" : k === 0 ? "none" : lowYesterday ? "phi" : "risk",
+      };
+    }
+
+    lowYesterday = lowEnough;
+  }
+
+  return {
+    reached: false,
+    date: null,
+    daysFromNow: null,
+    daysAfterSpray: null,
+    phiDays,
+    riskPercentAtDate: null,
+    limitedBy: halfLifeKnown ? "risk" : "half-life",
+    horizonDays,
+  };
+}
+
+/**
+ * Farmer-facing tip for a predictSafeHarvest() result.
+ */
+export function safeHarvestTip(sh) {
+  if (!sh) return null;
+  if (!sh.reached && sh.limitedBy === "half-life") {
+    return "No safe-harvest date: the product's breakdown time (half-life) is unknown. Pick it from the catalog or enter its half-life.";
+  }
+  if (!sh.reached) {
+    return `Risk does not reach Low within ${sh.horizonDays} days at current conditions. Re-scan later before harvest.`;
+  }
+  // the missing PHI has its own tip
+  if (sh.limitedBy === "phi-unknown") {
+    return sh.daysFromNow === 0
+      ? "Residue risk is Low now; the label PHI is unknown."
+      : `Residue risk reaches Low on ${sh.date.slice(0, 10)}; the label PHI is unknown.`;
+  }
+  if (sh.daysFromNow === 0) return "Safe to harvest now: risk is Low and the label PHI has passed.";
+
+  const day = sh.date.slice(0, 10);
+  const why = sh.limitedBy === "phi" ? `label PHI is ${sh.phiDays} days` : "residue needs time to break down";
+  return `Earliest safe harvest: ${day} (wait ${sh.daysFromNow} more day${sh.daysFromNow === 1 ? "" : "s"}; ${why}).`;
+}
+
+/* ---------------- Uncertainty (Monte Carlo) ---------------- */
+
+/**
+ * Spread used when the caller gives none (sd, same unit as the input).
+ * `missing` is the prior sampled when the value wasn't entered at all.
+ * halfLifeDays spread is relative (0.3 = ±30%) because it scales with the value.
+ */
+export const UNCERTAINTY_DEFAULTS = {
+  leafPh: { sd: 0.3, min: 3, max: 10, missing: { mean: 6.5, sd: 0.8 } },
+  soilPh: { sd: 0.3, min: 3, max: 10, missing: { mean: 6.8, sd: 0.8 } },
+  soilMoisture: { sd: 8, min: 0, max: 100, missing: { mean: 50, sd: 20 } },
+  halfLifeDays: { relSd: 0.3, min: 0.1, max: 365, missing: { mean: 7, sd: 3 } },
+  tempC: { sd: 1.5, min: -20, max: 60 },
+  humidity: { sd: 6, min: 0, max: 100 },
+  leafWetnessHours: { sd: 2, min: 0, max: 24 },
+};
+
+// small seeded PRNG so the same scan always gets the same band
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
 }
 
+function normal(rand) {
+  const u = Math.max(rand(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+  return sorted[idx];
+}
+
+// value +/- its spread; missing values come from the prior (or stay missing without one)
+function sampleInput(value, spec, userSd, rand) {
+  const v = optNum(value);
+  if (!Number.isFinite(v)) {
+    if (!spec.missing) return value;
+    return clamp(spec.missing.mean + spec.missing.sd * normal(rand), spec.min, spec.max);
+  }
+  const sd = Number.isFinite(optNum(userSd)) ? optNum(userSd) : spec.relSd ? spec.relSd * v : spec.sd;
+  return clamp(v + sd * normal(rand), spec.min, spec.max);
+}
+
+// the inputs each score actually reads; only these are sampled and reported as assumed
+const RESIDUE_FIELDS = ["halfLifeDays"];
+const PHYTOTOXIC_FIELDS = ["leafPh", "soilPh", "soilMoisture", "tempC", "humidity", "leafWetnessHours"];
+
+/**
+ * Monte Carlo over the uncertain inputs.
+ * uncertainty (inputs.uncertainty or options.uncertainty): { leafPh: 0.5, halfLifeDays: 2, ... } as sd.
+ * options.fields limits sampling to the inputs the score reads (default: all of UNCERTAINTY_DEFAULTS).
+ * Returns a 90% interval, the median and the share of samples at each level
+ * (null when samples is 0).
+ */
+export function riskUncertainty(payload = {}, options = {}) {
+  const { samples = 200, seed = 20240601, score = scoreRisk } = options;
+  const fields = new Set(options.fields || Object.keys(UNCERTAINTY_DEFAULTS));
+  if (!(samples > 0)) return null;
+  const inputs = payload.inputs || payload || {};
+  const spread = { ...(inputs.uncertainty || {}), ...(options.uncertainty || {}) };
+  const weather = payload.weather || inputs.weather || {};
+  const product = getPesticide(inputs.pesticideId ?? inputs.catalogId);
+
+  const rand = mulberry32(seed);
+  const D = UNCERTAINTY_DEFAULTS;
+  const halfLife = inputs.halfLifeDays ?? inputs.halfLife ?? product?.halfLifeDays;
+  // spray ages are counted back from the scan, as in the point score
+  const asOf = toDate(options.asOf ?? payload.scannedAt ?? inputs.scanDate);
+  const apps = Array.isArray(inputs.applications) ? resolveApplications(inputs, asOf) : null;
+
+  // inputs that were not entered, so their prior was sampled instead
+  const entered = {
+    leafPh: inputs.leafPh,
+    soilPh: inputs.soilPh,
+    soilMoisture: inputs.soilMoisture ?? inputs.moisture,
+    halfLifeDays: apps?.length ? 1 : halfLife, // logged sprays carry their own
+  };
+  const assumed = Object.keys(entered).filter((k) => fields.has(k) && !Number.isFinite(optNum(entered[k])));
+
+  const percents = [];
+  const counts = { Low: 0, Medium: 0, High: 0 };
+
+  // inputs outside `fields` are passed through unchanged
+  const draw = (key, value) => (fields.has(key) ? sampleInput(value, D[key], spread[key], rand) : value);
+
+  for (let i = 0; i < samples; i++) {
+    const hl = draw("halfLifeDays", halfLife);
+    let hlFactor = 1;
+    if (fields.has("halfLifeDays")) {
+      hlFactor = Number.isFinite(optNum(halfLife))
+        ? hl / optNum(halfLife)
+        : clamp(1 + D.halfLifeDays.relSd * normal(rand), 0.1, 3);
+    }
+
+    const next = {
+      ...inputs,
+      leafPh: draw("leafPh", inputs.leafPh),
+      soilPh: draw("soilPh", inputs.soilPh),
+      soilMoisture: draw("soilMoisture", inputs.soilMoisture ?? inputs.moisture),
+      halfLifeDays: hl,
+      weather: {
+        ...weather,
+        tempC: draw("tempC", weather.tempC),
+        humidity: draw("humidity", weather.humidity),
+        leafWetnessHours: draw("leafWetnessHours", weather.leafWetnessHours),
+      },
+    };
+    delete next.moisture;
+
+    // logged sprays: every product's breakdown time shifts together
+    if (apps) {
+      next.applications = apps.map((a) => ({
+        ...a,
+        ingredients: a.ingredients.map((g) => ({ ...g, halfLifeDays: g.halfLifeDays * hlFactor })),
+      }));
+    }
+
+    const out = score(payload.inputs ? { ...payload, inputs: next, weather: next.weather } : next);
+    percents.push(out.riskPercent);
+    if (counts[out.level] !== undefined) counts[out.level] += 1;
+  }
+
+  const sorted = [...percents].sort((a, b) => a - b);
+  const share = (n) => Math.round((n / samples) * 100) / 100;
+
+  // missing inputs score neutral in the headline number but are sampled here,
+  // so stretch the band to always contain the number we show
+  const point = options.riskPercent ?? score(payload).riskPercent;
+  const low = Math.min(percentile(sorted, 0.05), point);
+  const high = Math.max(percentile(sorted, 0.95), point);
+
+  return {
+    samples,
+    interval: { low, high, confidence: 0.9 },
+    median: percentile(sorted, 0.5),
+    levelProbabilities: { Low: share(counts.Low), Medium: share(counts.Medium), High: share(counts.High) },
+    assumed,
+  };
+}
+
+/**
+ * Phytotoxicity (plant damage) risk with its own uncertainty band.
+ * Returns: { riskPercent, level, breakdown, contributions, rules, explanation, tips, uncertainty }
+ */
+export function calculatePhytotoxicRisk(payload = {}, options = {}) {
+  const result = scorePhytotoxicity(payload);
+  const uncertainty = riskUncertainty(payload, {
+    ...options,
+    score: scorePhytotoxicity,
+    fields: PHYTOTOXIC_FIELDS,
+    riskPercent: result.riskPercent,
+  });
+  return { ...result, uncertainty };
+}
+
+/**
+ * Main API:
+ * Pass in your merged payload: { inputs, weather, ai }
+ * The top-level score is the consumer-residue risk (what safe harvest and the
+ * what-if levers work on); the plant damage score sits under `phytotoxicity`.
+ * Returns: { riskPercent, level, breakdown, tips, pesticide, safeHarvest, uncertainty, phytotoxicity }
+ * options.uncertainty / samples / seed are passed to riskUncertainty().
+ */
+export function calculateRisk(payload = {}, options = {}) {
+  const result = scoreRisk(payload);
+  const safeHarvest = predictSafeHarvest(payload);
+  const uncertainty = riskUncertainty(payload, {
+    ...options,
+    fields: RESIDUE_FIELDS,
+    riskPercent: result.riskPercent,
+  });
+  const phytotoxicity = calculatePhytotoxicRisk(payload, options);
+
+  const tip = safeHarvestTip(safeHarvest);
+  const tips = tip ? [tip, ...result.tips] : result.tips;
+
+  return { ...result, tips, safeHarvest, uncertainty, phytotoxicity };
+}
+
+/* ---------------- What-if counterfactuals ---------------- */
+
+const LEVEL_RANK = { low: 0, medium: 1, high: 2 };
+
+function levelRank(level) {
+  return LEVEL_RANK[String(level || "").toLowerCase()] ?? 3;
+}
+
+// an ingredient at `factor` times the dose it was sprayed at (missing dose = label rate)
+function scaleIngredient(g, factor) {
+  const rec = optNum(g.recommendedDose);
+  const dose = optNum(g.dose ?? g.appliedDose);
+  const label = Number.isFinite(rec) && rec > 0 ? rec : 1;
+  return { ...g, recommendedDose: label, dose: (Number.isFinite(dose) ? dose : label) * factor };
+}
+
+/**
+ * Copy of the payload with one set of changes applied:
+ * - extraDays: days to wait from now
+ * - doseFactor: dose of the latest spray scaled (0.5 = half)
+ * - rainMm: rain (or irrigation) in the last 24 h; added as a new irrigation event when
+ *   inputs.waterEvents is used or no rain reaches the crop (greenhouse)
+ */
+function applyVariation(payload = {}, variation = {}, asOf = new Date()) {
+  const extraDays = clampNum(variation.extraDays, 0);
+  const doseFactor = optNum(variation.doseFactor);
+  const rainMm = optNum(variation.rainMm);
+
+  let next = extraDays > 0 ? advancePayload(payload, extraDays, asOf) : payload;
+  const nested = Boolean(next.inputs);
+  const inputs = { ...(next.inputs || next) };
+
+  if (Number.isFinite(doseFactor) && doseFactor >= 0) {
+    const rec = optNum(inputs.recommendedDose);
+    const applied = optNum(inputs.appliedDose ?? inputs.dose ?? inputs.userDose);
+    const base = Number.isFinite(applied) ? applied : rec;
+    if (Number.isFinite(base)) inputs.appliedDose = base * doseFactor;
+
+    if (Array.isArray(inputs.ingredients)) {
+      inputs.ingredients = inputs.ingredients.map((g) => scaleIngredient(g, doseFactor));
+    }
+    if (Array.isArray(inputs.applications) && inputs.applications.length) {
+      // only the spray being judged (the latest) changes
+      const apps = resolveApplications(inputs, asOf);
+      inputs.applications = apps.map((a, i) =>
+        i === 0 ? { ...a, ingredients: a.ingredients.map((g) => scaleIngredient(g, doseFactor)) } : a
+      );
+    }
+  }
+
+  if (Number.isFinite(rainMm) && rainMm >= 0) {
+    if (Array.isArray(inputs.waterEvents) || resolveEnvironment(inputs.environment).rainShare === 0) {
+      // an event log: the water falls at the (possibly advanced) scan time
+      const at = new Date(asOf.getTime() + extraDays * DAY_MS).toISOString();
+      inputs.waterEvents = [...(inputs.waterEvents || []), { at, mm: rainMm, kind: "irrigation" }];
+    } else if (nested && next.weather) next = { ...next, weather: { ...next.weather, rainMm24h: rainMm } };
+    else inputs.weather = { ...(inputs.weather || {}), rainMm24h: rainMm };
+  }
+
+  return nested ? { ...next, inputs } : inputs;
+}
+
+/**
+ * Risk for a base payload and each variation.
+ * variations: [{ id?, label?, extraDays?, doseFactor?, rainMm? }]
+ * options.score lets other engines answer (must return { riskPercent, level }).
+ */
+export function whatIf(payload = {}, variations = [], options = {}) {
+  const { score = calculateRisk } = options;
+  const inputs = payload.inputs || payload || {};
+  const asOf = toDate(options.asOf ?? payload.scannedAt ?? inputs.scanDate);
+
+  const base = score(payload);
+
+  const results = (Array.isArray(variations) ? variations : []).map((v, i) => {
+    const out = score(applyVariation(payload, v, asOf));
+    return {
+      id: v.id ?? String(i),
+      label: v.label ?? null,
+      changes: {
+        extraDays: v.extraDays ?? null,
+        doseFactor: v.doseFactor ?? null,
+        rainMm: v.rainMm ?? null,
+      },
+      riskPercent: out.riskPercent,
+      level: out.level,
+      delta: out.riskPercent - base.riskPercent,
+      safeHarvest: out.safeHarvest ?? null,
+    };
+  });
+
+  return {
+    base: { riskPercent: base.riskPercent, level: base.level, safeHarvest: base.safeHarvest ?? null },
+    variations: results,
+  };
+}
+
+/**
+ * The few changes that help most, e.g. "Wait 4 more days → Low".
+ * Waiting is searched day by day up to maxWaitDays; dose and rain are single probes.
+ */
+export function findLevers(payload = {}, options = {}) {
+  const { score = scoreRisk, maxWaitDays = 21, limit = 3 } = options;
+  const inputs = payload.inputs || payload || {};
+  const asOf = toDate(options.asOf ?? payload.scannedAt ?? inputs.scanDate);
+
+  const base = score(payload);
+  const baseRank = levelRank(base.level);
+  const levers = [];
+
+  // smallest wait that drops a level
+  for (let k = 1; k <= maxWaitDays && baseRank > 0; k++) {
+    const out = score(applyVariation(payload, { extraDays: k }, asOf));
+    if (levelRank(out.level) < baseRank) {
+      levers.push({
+        kind: "wait",
+        label: `Wait ${k} more day${k === 1 ? "" : "s"}`,
+        changes: { extraDays: k },
+        riskPercent: out.riskPercent,
+        level: out.level,
+      });
+      break;
+    }
+  }
+
+  const probes = [
+    { kind: "dose", label: "Spray at half the dose", changes: { doseFactor: 0.5 } },
+    { kind: "rain", label: "10 mm rain or irrigation", changes: { rainMm: 10 } },
+  ];
+  for (const p of probes) {
+    const out = score(applyVariation(payload, p.changes, asOf));
+    levers.push({ ...p, riskPercent: out.riskPercent, level: out.level });
+  }
+
+  return levers
+    .map((l) => ({ ...l, delta: l.riskPercent - base.riskPercent }))
+    // a level drop always counts; otherwise at least 2 points
+    .filter((l) => levelRank(l.level) < baseRank || l.delta <= -2)
+    .sort((a, b) => levelRank(a.level) - levelRank(b.level) || a.riskPercent - b.riskPercent)
+    .slice(0, limit);
+}
+
 /**
  * Export for direct use if you want to call AI calc in UI too.
  */
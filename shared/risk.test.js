@@ -0,0 +1,264 @@
+// Run with `npm test` from the repository root (node:test).
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEGRADATION_Q10,
+  calculateRisk,
+  cumulativeResidue,
+  findLevers,
+  predictSafeHarvest,
+  safeHarvestTip,
+  whatIf,
+} from "./risk.js";
+
+// fixed scan time so dates in the results don't depend on when the tests run
+const SCAN = "2024-06-10T12:00:00Z";
+const single = { scanDate: SCAN, recommendedDose: 2, appliedDose: 2, halfLifeDays: 5, phiDays: 7 };
+
+describe("half-life decay", () => {
+  test("residue halves every half-life", () => {
+    assert.equal(calculateRisk({ ...single, daysSinceSpray: 0 }).breakdown.decayScore, 1);
+    assert.equal(calculateRisk({ ...single, daysSinceSpray: 5 }).breakdown.decayScore, 0.5);
+    assert.equal(calculateRisk({ ...single, daysSinceSpray: 10 }).breakdown.decayScore, 0.25);
+  });
+
+  test("risk falls as the spray ages", () => {
+    const fresh = calculateRisk({ ...single, daysSinceSpray: 0 });
+    const older = calculateRisk({ ...single, daysSinceSpray: 10 });
+    assert.ok(older.riskPercent < fresh.riskPercent);
+    assert.equal(older.level, "Low");
+  });
+});
+
+describe("predictSafeHarvest", () => {
+  test("waits for the residue to break down", () => {
+    const sh = predictSafeHarvest({ ...single, daysSinceSpray: 0 });
+    assert.equal(sh.reached, true);
+    assert.equal(sh.daysFromNow, 7);
+    assert.equal(sh.date, "2024-06-17T12:00:00.000Z");
+  });
+
+  test("never before the label PHI, even when risk is already low", () => {
+    const sh = predictSafeHarvest({ ...single, halfLifeDays: 1, daysSinceSpray: 1 });
+    assert.equal(sh.daysFromNow, 6);
+    assert.equal(sh.daysAfterSpray, 7);
+    assert.equal(sh.limitedBy, "phi");
+  });
+
+  test("harvest now when risk is low and the PHI has passed", () => {
+    const sh = predictSafeHarvest({ ...single, daysSinceSpray: 10 });
+    assert.equal(sh.daysFromNow, 0);
+    assert.equal(sh.limitedBy, "none");
+  });
+
+  test("no date without a half-life instead of a misleading horizon", () => {
+    const sh = predictSafeHarvest({ scanDate: SCAN, recommendedDose: 2 });
+    assert.equal(sh.reached, false);
+    assert.equal(sh.limitedBy, "half-life");
+    assert.match(safeHarvestTip(sh), /half-life/);
+  });
+
+  test("a catalog product supplies the half-life", () => {
+    const sh = predictSafeHarvest({ scanDate: SCAN, pesticideId: "mancozeb-75wp", recommendedDose: 2 });
+    assert.equal(sh.reached, true);
+  });
+});
+
+describe("tank mixes", () => {
+  const mix = {
+    scanDate: SCAN,
+    daysSinceSpray: 4,
+    ingredients: [
+      { pesticide: "A", halfLifeDays: 2, dose: 1, recommendedDose: 1 },
+      { pesticide: "B", halfLifeDays: 4, dose: 2, recommendedDose: 1 },
+    ],
+  };
+
+  test("each ingredient decays with its own half-life, weighted by its dose", () => {
+    const r = cumulativeResidue(mix);
+    assert.equal(r.total, 1.25); // A: 1 x 0.25, B: 2 x 0.5
+    assert.deepEqual(
+      r.ingredients.map((g) => [g.pesticide, g.residue, g.share]),
+      [
+        ["B", 1, 0.8],
+        ["A", 0.25, 0.2],
+      ]
+    );
+  });
+
+  test("the slowest, most over-applied ingredient drives the result", () => {
+    const r = calculateRisk(mix);
+    assert.equal(r.drivingIngredient.pesticide, "B");
+    assert.equal(r.breakdown.doseRatio, 2);
+    assert.ok(r.tips.some((t) => t.startsWith("B drives most of the residue")));
+  });
+
+  test("an ingredient without a dose counts at the label rate", () => {
+    const r = cumulativeResidue({ ...mix, ingredients: [{ pesticide: "A", halfLifeDays: 2 }] });
+    assert.equal(r.total, 0.25);
+  });
+});
+
+describe("what-if", () => {
+  const recent = { ...single, daysSinceSpray: 1 };
+
+  test("waiting scores the same as a scan that many days later", () => {
+    const out = whatIf(recent, [{ id: "wait", extraDays: 7 }]);
+    const later = calculateRisk({ ...recent, daysSinceSpray: 8, scanDate: "2024-06-17T12:00:00Z" });
+    assert.equal(out.base.riskPercent, calculateRisk(recent).riskPercent);
+    assert.equal(out.variations[0].riskPercent, later.riskPercent);
+    assert.equal(out.variations[0].delta, later.riskPercent - out.base.riskPercent);
+  });
+
+  test("half the dose and rain both lower the risk; the payload is left alone", () => {
+    const before = structuredClone(recent);
+    const [half, rain] = whatIf(recent, [{ doseFactor: 0.5 }, { rainMm: 10 }]).variations;
+    assert.ok(half.delta < 0);
+    assert.ok(rain.delta < 0);
+    assert.deepEqual(recent, before);
+  });
+
+  test("levers: the shortest wait that drops a level comes first", () => {
+    const levers = findLevers(recent);
+    assert.equal(levers[0].kind, "wait");
+    assert.deepEqual(levers[0].changes, { extraDays: 2 });
+    assert.equal(levers[0].level, "Medium");
+    assert.ok(levers.every((l) => l.delta < 0));
+  });
+});
+
+describe("uncertainty", () => {
+  test("the same scan always gets the same band (seeded)", () => {
+    const a = calculateRisk({ ...single, daysSinceSpray: 3 });
+    const b = calculateRisk({ ...single, daysSinceSpray: 3 });
+    assert.deepEqual(a.uncertainty, b.uncertainty);
+    assert.equal(a.uncertainty.samples, 200);
+  });
+
+  test("the band sits around the point score", () => {
+    const r = calculateRisk({ ...single, daysSinceSpray: 3 });
+    const { low, high } = r.uncertainty.interval;
+    assert.ok(low < r.riskPercent && r.riskPercent < high);
+    assert.ok(Math.abs(r.uncertainty.median - r.riskPercent) <= 5);
+  });
+
+  test("a back-dated scan measures spray ages from its scan date", () => {
+    const r = calculateRisk({
+      scanDate: SCAN,
+      phiDays: 7,
+      applications: [{ date: "2024-06-08T12:00:00Z", halfLifeDays: 5, dose: 2, recommendedDose: 2 }],
+    });
+    const { low, high } = r.uncertainty.interval;
+    assert.ok(low <= r.riskPercent && r.riskPercent <= high);
+    // the samples themselves, not just the stretched interval, sit around the score
+    assert.ok(Math.abs(r.uncertainty.median - r.riskPercent) <= 5, `median ${r.uncertainty.median} vs ${r.riskPercent}`);
+  });
+
+  test("unentered inputs are sampled and listed as assumed", () => {
+    const r = calculateRisk({ ...single, daysSinceSpray: 3 });
+    assert.deepEqual(r.phytotoxicity.uncertainty.assumed, ["leafPh", "soilPh", "soilMoisture"]);
+  });
+});
+
+describe("unknown pre-harvest interval", () => {
+  const noPhi = { scanDate: SCAN, recommendedDose: 2, appliedDose: 2, halfLifeDays: 5, daysSinceSpray: 2 };
+
+  test("no PHI term: residue and dose carry all of the weight", () => {
+    const r = calculateRisk(noPhi);
+    assert.deepEqual(r.contributions.map((c) => c.factor).sort(), ["dose", "residue"]);
+    assert.equal(r.breakdown.phiScore, null);
+    const weights = r.contributions.reduce((sum, c) => sum + c.weight, 0);
+    assert.ok(Math.abs(weights - 1) < 1e-9);
+  });
+
+  test("the explanation doesn't credit points to the missing PHI", () => {
+    const r = calculateRisk(noPhi);
+    assert.doesNotMatch(r.explanation, /pre-harvest interval/);
+    assert.match(r.explanation, /the spray 2 days ago/);
+  });
+
+  test("the safe-harvest date is marked as having no PHI behind it", () => {
+    const r = calculateRisk(noPhi);
+    assert.equal(r.safeHarvest.reached, true);
+    assert.equal(r.safeHarvest.limitedBy, "phi-unknown");
+    assert.match(safeHarvestTip(r.safeHarvest), /label PHI is unknown/);
+  });
+
+  test("a known PHI keeps its own term", () => {
+    const r = calculateRisk({ ...noPhi, phiDays: 7 });
+    assert.ok(r.contributions.some((c) => c.factor === "phi"));
+    assert.notEqual(r.safeHarvest.limitedBy, "phi-unknown");
+  });
+});
+
+describe("temperature (Q10) breakdown", () => {
+  // five days before a midnight scan, every day at the same temperature
+  const at = (tempC) => ({
+    scanDate: "2024-06-10T00:00:00Z",
+    recommendedDose: 2,
+    halfLifeDays: 5,
+    phiDays: 7,
+    daysSinceSpray: 5,
+    tempSeries: ["05", "06", "07", "08", "09"].map((d) => ({ date: `2024-06-${d}`, tempC })),
+  });
+  const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} vs ${b}`);
+
+  test("20 °C is the quoted half-life", () => {
+    assert.equal(calculateRisk(at(20)).breakdown.degradationDays, 5);
+    assert.equal(calculateRisk(at(20)).breakdown.decayScore, 0.5);
+  });
+
+  test("every 10 °C warmer breaks down Q10 times faster", () => {
+    close(calculateRisk(at(30)).breakdown.degradationDays, 5 * DEGRADATION_Q10);
+    close(calculateRisk(at(10)).breakdown.degradationDays, 5 / DEGRADATION_Q10);
+    assert.ok(calculateRisk(at(30)).riskPercent < calculateRisk(at(20)).riskPercent);
+    assert.ok(calculateRisk(at(10)).riskPercent > calculateRisk(at(20)).riskPercent);
+  });
+
+  test("days missing from the series use its mean", () => {
+    const partial = at(30);
+    partial.tempSeries = partial.tempSeries.slice(0, 2);
+    close(calculateRisk(partial).breakdown.degradationDays, 5 * DEGRADATION_Q10);
+  });
+});
+
+describe("rain and irrigation wash-off", () => {
+  // sprayed 3 days before the scan, at 12:00 on 2024-06-07
+  const sprayed = (waterEvents, extra = {}) => ({ ...single, daysSinceSpray: 3, waterEvents, ...extra });
+  const rainAt = (at, mm = 20) => ({ at, mm, kind: "rain" });
+
+  test("no water leaves the deposit in place", () => {
+    const { breakdown } = calculateRisk(sprayed([]));
+    assert.equal(breakdown.washOff, 1);
+    assert.equal(breakdown.waterMm, 0);
+  });
+
+  test("rain after the spray washes residue off and lowers the score", () => {
+    const dry = calculateRisk(sprayed([]));
+    const wet = calculateRisk(sprayed([rainAt("2024-06-08T12:00:00Z")]));
+    assert.ok(wet.breakdown.washOff < 1);
+    assert.equal(wet.breakdown.waterMm, 20);
+    assert.ok(wet.breakdown.decayScore < dry.breakdown.decayScore);
+    assert.ok(wet.riskPercent < dry.riskPercent);
+  });
+
+  test("rain before the spray or after the scan doesn't count", () => {
+    const { breakdown } = calculateRisk(sprayed([rainAt("2024-06-06T12:00:00Z"), rainAt("2024-06-11T12:00:00Z")]));
+    assert.equal(breakdown.washOff, 1);
+  });
+
+  test("a fresh deposit washes off more easily than a dried one", () => {
+    const soon = calculateRisk(sprayed([rainAt("2024-06-07T14:00:00Z")])).breakdown.washOff;
+    const later = calculateRisk(sprayed([rainAt("2024-06-09T12:00:00Z")])).breakdown.washOff;
+    assert.ok(soon < later, `${soon} vs ${later}`);
+  });
+
+  test("rain doesn't reach a greenhouse crop, overhead irrigation does", () => {
+    const rain = calculateRisk(sprayed([rainAt("2024-06-08T12:00:00Z")], { environment: "greenhouse" }));
+    assert.equal(rain.breakdown.washOff, 1);
+    const irrigated = calculateRisk(
+      sprayed([{ at: "2024-06-08T12:00:00Z", mm: 20, kind: "irrigation" }], { environment: "greenhouse" })
+    );
+    assert.ok(irrigated.breakdown.washOff < 1);
+  });
+});
@@ -0,0 +1,97 @@
+// shared/riskLevels.js
+// PestiScan Web — Risk-level policy (Low / Medium / High cut-offs)
+// One place for the bands. Server, engine and client (via /api/risk-levels) all read it.
+
+export const RISK_LEVELS = ["Low", "Medium", "High"];
+
+// low: highest % still Low, medium: highest % still Medium, above = High
+export const DEFAULT_THRESHOLDS = { low: 30, medium: 60 };
+
+const BASE_POLICIES = {
+  default: DEFAULT_THRESHOLDS,
+  // crops that show damage/residue problems early get tighter bands
+  crops: {
+    orchid: { low: 25, medium: 50 },
+  },
+  // organisation overrides: { [orgId]: { default?: {...}, crops?: { [crop]: {...} } } }
+  orgs: {},
+};
+
+let policies = BASE_POLICIES;
+
+function norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+function validThresholds(t) {
+  const low = Number(t?.low);
+  const medium = Number(t?.medium);
+  return Number.isFinite(low) && Number.isFinite(medium) && low >= 0 && low < medium && medium < 100;
+}
+
+function lowerKeys(obj = {}) {
+  return Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [norm(k), v]));
+}
+
+/**
+ * Merge overrides (e.g. loaded from a config file) over the built-in policies.
+ * Invalid threshold pairs are dropped rather than half-applied.
+ */
+export function configureRiskPolicies(overrides = {}) {
+  const keepValid = (map) =>
+    Object.fromEntries(Object.entries(lowerKeys(map)).filter(([, t]) => validThresholds(t)));
+
+  const orgs = { ...BASE_POLICIES.orgs };
+  for (const [id, org] of Object.entries(lowerKeys(overrides.orgs))) {
+    orgs[id] = {
+      ...(validThresholds(org?.default) ? { default: org.default } : {}),
+      crops: keepValid(org?.crops),
+    };
+  }
+
+  policies = {
+    default: validThresholds(overrides.default) ? overrides.default : BASE_POLICIES.default,
+    crops: { ...BASE_POLICIES.crops, ...keepValid(overrides.crops) },
+    orgs,
+  };
+  return policies;
+}
+
+/**
+ * Thresholds for a scan. Most specific wins: org+crop, org, crop, default.
+ */
+export function resolveRiskPolicy({ crop, org } = {}) {
+  const c = norm(crop);
+  const o = norm(org);
+  const orgPolicy = o ? policies.orgs[o] : null;
+
+  if (orgPolicy?.crops?.[c]) return { source: `org:${o}/crop:${c}`, ...orgPolicy.crops[c] };
+  if (orgPolicy?.default) return { source: `org:${o}`, ...orgPolicy.default };
+  if (c && policies.crops[c]) return { source: `crop:${c}`, ...policies.crops[c] };
+  return { source: "default", ...policies.default };
+}
+
+/**
+ * Bands as inclusive integer ranges, ready to render a legend.
+ */
+export function riskBands(context = {}) {
+  const { low, medium, source } = resolveRiskPolicy(context);
+  return {
+    source,
+    thresholds: { low, medium },
+    bands: [
+      { level: "Low", min: 0, max: low },
+      { level: "Medium", min: low + 1, max: medium },
+      { level: "High", min: medium + 1, max: 100 },
+    ],
+  };
+}
+
+export function levelFromPercent(percent, context = {}) {
+  const p = Number(percent);
+  if (!Number.isFinite(p)) return "—";
+  const { low, medium } = resolveRiskPolicy(context);
+  if (p <= low) return "Low";
+  if (p <= medium) return "Medium";
+  return "High";
+}
@@ -0,0 +1,136 @@
+// shared/sprayWindow.js
+// PestiScan Web — Spray-window advisor (heuristic)
+// Rates each forecast hour as a good / marginal / bad time to spray:
+// wind (drift), rain before the product is rainfast (wash-off), heat and dry air (evaporation, leaf burn).
+
+export const SPRAY_RATINGS = ["good", "marginal", "bad"];
+
+// hours a deposit needs before rain no longer washes it off, by formulation (label values win)
+const RAINFAST_HOURS = { EC: 1, SC: 2, SL: 2, SG: 4, SP: 4, WG: 4, WP: 6 };
+const DEFAULT_RAINFAST_HOURS = 4;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// penalty points per rule; an hour at or above BAD_AT is bad, at or above MARGINAL_AT is marginal
+const MARGINAL_AT = 0.25;
+const BAD_AT = 0.6;
+
+function clamp(n, min = 0, max = 1) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return min;
+  return Math.min(Math.max(x, min), max);
+}
+
+function clampNum(n, fallback = 0) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : fallback;
+}
+
+/**
+ * How long the product must stay dry after spraying.
+ * product: catalog entry or { rainfastHours } / { formulation }
+ */
+export function rainfastHours(product = {}) {
+  const explicit = Number(product?.rainfastHours);
+  if (Number.isFinite(explicit) && explicit >= 0) return explicit;
+  return RAINFAST_HOURS[String(product?.formulation || "").toUpperCase()] ?? DEFAULT_RAINFAST_HOURS;
+}
+
+/**
+ * One forecast hour -> { score 0..1 (higher = worse), rating, reasons }.
+ * hour: { at, tempC, humidity, windKmh, gustKmh, rainMm }
+ * rainAhead: mm of rain expected from this hour until the product is rainfast
+ */
+export function scoreSprayHour(hour = {}, { rainAhead = 0, rainfast = DEFAULT_RAINFAST_HOURS } = {}) {
+  const tempC = clampNum(hour.tempC, NaN);
+  const humidity = clampNum(hour.humidity, NaN);
+  const wind = clampNum(hour.windKmh, NaN);
+  const gust = clampNum(hour.gustKmh, NaN);
+  const rainNow = clampNum(hour.rainMm, 0);
+
+  const reasons = [];
+  let score = 0;
+  let bad = false;
+
+  const add = (id, points, message, isBad = false) => {
+    score += points;
+    bad = bad || isBad;
+    reasons.push({ id, points, message, severity: isBad ? "bad" : "marginal" });
+  };
+
+  // wind: drift above ~15 km/h, inversions (drift hangs) when it's dead calm
+  if (Number.isFinite(wind)) {
+    if (wind > 20) add("wind-high", 0.6, `Wind ${Math.round(wind)} km/h: spray will drift.`, true);
+    else if (wind > 15) add("wind-breezy", 0.3, `Wind ${Math.round(wind)} km/h: use coarse droplets, watch drift.`);
+    else if (wind < 3) add("wind-calm", 0.25, "Almost no wind: fine droplets can hang in the air (inversion).");
+  }
+  if (Number.isFinite(gust) && gust > 30) add("gusts", 0.35, `Gusts up to ${Math.round(gust)} km/h.`, gust > 40);
+
+  // rain: on the leaf before it's rainfast = washed off
+  if (rainNow >= 0.2) {
+    add("raining", 0.7, `Rain expected this hour (${rainNow.toFixed(1)} mm).`, true);
+  } else if (rainAhead >= 2) {
+    add("rain-soon", 0.6, `${rainAhead.toFixed(1)} mm of rain within ${rainfast} h (before it's rainfast).`, true);
+  } else if (rainAhead >= 0.2) {
+    add("showers-soon", 0.3, `Light rain (${rainAhead.toFixed(1)} mm) within ${rainfast} h.`);
+  }
+
+  // heat / cold: evaporation and leaf burn when hot, slow uptake when cold
+  if (Number.isFinite(tempC)) {
+    if (tempC > 35) add("hot", 0.6, `${Math.round(tempC)}°C: droplets evaporate and leaves can burn.`, true);
+    else if (tempC > 30) add("warm", 0.3, `${Math.round(tempC)}°C: spray early or late in the day if you can.`);
+    else if (tempC < 8) add("cold", 0.25, `${Math.round(tempC)}°C: slow uptake, product works less well.`);
+  }
+
+  // humidity: dry air evaporates fine droplets before they land
+  if (Number.isFinite(humidity)) {
+    if (humidity < 25) add("very-dry-air", 0.45, `Very dry air (${Math.round(humidity)}%): high evaporation loss.`);
+    else if (humidity < 40) add("dry-air", 0.2, `Dry air (${Math.round(humidity)}%): some evaporation loss.`);
+  }
+
+  const total = clamp(score, 0, 1);
+  const rating = bad || total >= BAD_AT ? "bad" : total >= MARGINAL_AT ? "marginal" : "good";
+  return { score: total, rating, reasons };
+}
+
+/**
+ * Rate each hour and group consecutive hours with the same rating into windows
+ * ({ rating, start, end, hours, worstScore }; end is when the last hour finishes).
+ * forecast: [{ at, tempC, humidity, windKmh, gustKmh, rainMm }] (hourly, time order)
+ * options: { product, minWindowHours = 2 }
+ * Returns { rainfastHours, hours, windows, best } where best is the earliest good window
+ * (falling back to the earliest marginal one) that is at least minWindowHours long.
+ */
+export function rankSprayWindows(forecast = [], { product = {}, minWindowHours = 2 } = {}) {
+  const rainfast = rainfastHours(product);
+  const list = (forecast || []).filter((h) => h && !Number.isNaN(new Date(h.at).getTime()));
+
+  const hours = list.map((h, i) => {
+    // rain in the hours after this one, until the deposit is rainfast
+    const rainAhead = list
+      .slice(i + 1, i + 1 + Math.ceil(rainfast))
+      .reduce((a, x) => a + clampNum(x.rainMm, 0), 0);
+    return { ...h, rainAhead: Math.round(rainAhead * 10) / 10, ...scoreSprayHour(h, { rainAhead, rainfast }) };
+  });
+
+  const windows = [];
+  for (const h of hours) {
+    const last = windows[windows.length - 1];
+    const end = new Date(new Date(h.at).getTime() + HOUR_MS).toISOString();
+    if (last && last.rating === h.rating) {
+      last.end = end;
+      last.hours += 1;
+      last.worstScore = Math.max(last.worstScore, h.score);
+    } else {
+      windows.push({ rating: h.rating, start: h.at, end, hours: 1, worstScore: h.score });
+    }
+  }
+
+  const long = (w) => w.hours >= minWindowHours;
+  const best =
+    windows.find((w) => w.rating === "good" && long(w)) ||
+    windows.find((w) => w.rating === "marginal" && long(w)) ||
+    null;
+
+  return { rainfastHours: rainfast, hours, windows, best };
+}